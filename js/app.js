@@ -1,10 +1,12 @@
 // Main Application Module
 import { dom } from './utils/dom.js';
 import { notificationService } from './services/notification.js';
-import { storageService } from './services/storage.js';
 import { checkBrowserSupport, validatePeerId, isPeerAvailable } from './utils/helpers.js';
 import { PEER_CONFIG, UI_CONFIG } from './config/constants.js';
 
+// The storage service is a classic script (js/services/storage.js) - load it before this module
+const storageService = new StorageService();
+
 // Import other modules (to be created)
 // import { PeerService } from './services/peer.js';
 // import { FileService } from './services/file.js';
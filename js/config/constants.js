@@ -20,6 +20,10 @@ const BASE_URL = ENVIRONMENT_URLS[CURRENT_ENVIRONMENT];
 // Get the GitHub URL for current environment
 const GITHUB_URL = GITHUB_URLS[CURRENT_ENVIRONMENT];
 
+// Signaling server (PeerServer) that peers find each other through - an empty host means the public PeerJS cloud
+// Change with: node switch-env.js signaling <host>[:port] [path] [key] (signaling-server.js is one you can run yourself)
+const SIGNALING_SERVER = { host: '', port: 443, path: '/', key: 'peerjs', secure: true };
+
 // Configuration object
 const CONFIG = {
     BASE_URL,
@@ -27,12 +31,39 @@ const CONFIG = {
     ENVIRONMENT: CURRENT_ENVIRONMENT,
     IS_PRODUCTION: CURRENT_ENVIRONMENT === 'production',
     IS_DEVELOPMENT: CURRENT_ENVIRONMENT === 'development',
+    SIGNALING_SERVER,
     // Other constants
-    CHUNK_SIZE: 16384,
+    CHUNK_SIZE: 16384, // Smallest chunk the streamer sends
+    MAX_CHUNK_SIZE: 262144, // Largest chunk the streamer grows to on fast links
+    BUFFER_HIGH_WATER_MARK: 4194304, // Pause sending when this many bytes are buffered
+    BUFFER_LOW_WATER_MARK: 1048576, // Resume sending once the buffer drains below this
+    DISK_STREAM_THRESHOLD: 104857600, // Downloads this large are written straight to disk where supported
+    MAX_PARALLEL_DOWNLOADS: 6, // Upper bound for blob requests kept in flight during bulk downloads
+    SWARM_SEED_MEMORY_LIMIT: 268435456, // Downloads kept in memory to serve other peers (disk-saved files don't count)
+    MAX_TEXT_MESSAGE_LENGTH: 65536, // Longer text has to be sent as a file
+    PREVIEW_MEMORY_LIMIT: 104857600, // Downloaded files kept in memory for the preview modal (disk-saved files don't count)
+    PREVIEW_TEXT_LIMIT: 1048576, // Text previews show at most this many bytes
     DB_NAME: 'fileTransferDB',
-    DB_VERSION: 1,
+    DB_VERSION: 3, // 2 adds the chat message store, 3 the shared file handles/copies
     STORE_NAME: 'files',
+    CHAT_STORE_NAME: 'chatMessages',
+    SHARED_FILES_STORE_NAME: 'sharedFiles',
+    MAX_CHAT_MESSAGE_LENGTH: 2000,
+    MAX_CHAT_MESSAGES: 200, // Per chat thread, in memory, on screen and in storage
+    HISTORY_RETENTION_DAYS: 7, // Default for how long sent/received file history is kept (users can change it)
+    SHARED_FILE_COPY_LIMIT: 10485760, // Files up to this size can be copied into storage (opt-in) to share them again after a reload
+    KEY_EXCHANGE_TIMEOUT: 10000, // Peers that don't answer a key exchange by then don't support encryption
+    ADMISSION_TIMEOUT: 60000, // Incoming peers not admitted by then (no passphrase answer, approval prompt ignored) are rejected
+    RECONNECT_MAX_ATTEMPTS: 6, // Reconnection attempts to a dropped peer before it is shown as lost
+    RECONNECT_BASE_DELAY: 1000, // Wait after the first failed attempt, doubled after each further failure
+    RECONNECT_MAX_DELAY: 30000,
+    RECONNECT_JITTER: 0.3, // Waits vary by up to ±30% so both sides don't retry in lockstep
+    RECONNECT_ATTEMPT_TIMEOUT: 15000, // An attempt whose connection hasn't opened by then counts as failed
     KEEP_ALIVE_INTERVAL: 30000,
+    KEEP_ALIVE_MAX_MISSES: 3, // Unanswered keep-alives in a row before a connection is closed and reconnected
+    KEEP_ALIVE_RESPONSE_TIMEOUT: 10000, // A keep-alive counts as unanswered once it has waited this long
+    MANUAL_PAIRING_GATHER_TIMEOUT: 5000, // Pairing codes include the ICE candidates found by then
+    MANUAL_PAIRING_TIMEOUT: 300000, // A manually paired connection that hasn't opened by then is given up (codes travel by hand)
     CONNECTION_TIMEOUT: 60000
 };
 
@@ -64,7 +95,23 @@ const MESSAGE_TYPES = {
     SIMULTANEOUS_DOWNLOAD_REQUEST: 'simultaneous-download-request',
     SIMULTANEOUS_DOWNLOAD_READY: 'simultaneous-download-ready',
     SIMULTANEOUS_DOWNLOAD_START: 'simultaneous-download-start',
-    FORCE_DISABLE_AUTO_MODE: 'force-disable-auto-mode'
+    FORCE_DISABLE_AUTO_MODE: 'force-disable-auto-mode',
+    TRANSFER_PAUSE: 'transfer-pause',
+    TRANSFER_RESUME: 'transfer-resume',
+    TRANSFER_CANCEL: 'transfer-cancel',
+    SWARM_HAVE: 'swarm-have',
+    KEY_EXCHANGE: 'key-exchange',
+    AUTH_CHALLENGE: 'auth-challenge',
+    AUTH_NONCE: 'auth-nonce',
+    AUTH_HOST_PROOF: 'auth-host-proof',
+    AUTH_RESPONSE: 'auth-response',
+    ADMISSION_PENDING: 'admission-pending',
+    ADMISSION_ACCEPTED: 'admission-accepted',
+    ADMISSION_REJECTED: 'admission-rejected',
+    TEXT_MESSAGE: 'text-message',
+    CHAT_MESSAGE: 'chat-message',
+    CHAT_TYPING: 'chat-typing',
+    CHAT_READ: 'chat-read'
 };
 
 // Enhanced PeerJS Configuration with Multiple STUN and TURN Servers
@@ -1,10 +1,12 @@
 // Bulk Download Manager Service
-// Orchestrates memory-aware bulk file downloads with ZIP part splitting
+// Orchestrates bulk file downloads: one streamed ZIP where the browser can write to a file,
+// otherwise memory-aware ZIP part splitting
 
 class BulkDownloadManager {
-    constructor(memoryMonitor, zipPartManager, deviceManager = null) {
+    constructor(memoryMonitor, zipPartManager, deviceManager = null, zipStreamWriter = null) {
         this.memoryMonitor = memoryMonitor;
         this.zipPartManager = zipPartManager;
+        this.zipStreamWriter = zipStreamWriter;
         this.deviceManager = deviceManager || (typeof DeviceManager !== 'undefined' && window.deviceManager ? window.deviceManager : null);
         this.MEMORY_THRESHOLD = 60; // Start splitting at 60% (more aggressive)
         this.MEMORY_SAFETY_LIMIT = 75; // Hard limit at 75% (before JSZip fails)
@@ -19,6 +21,12 @@ class BulkDownloadManager {
         } else {
             this.MIN_PART_SIZE = 400 * 1024 * 1024; // 400 MB for all other devices
         }
+
+        // Parallel requests: the limit starts low and is tuned from measured throughput
+        this.MIN_CONCURRENT_REQUESTS = 1;
+        this.INITIAL_CONCURRENT_REQUESTS = 2;
+        this.MAX_CONCURRENT_REQUESTS = 6;
+        this.THROUGHPUT_WINDOW_MS = 2000; // Re-tune the limit every 2 seconds of completed requests
     }
     
     // Check if running on iPadOS Safari tablet
@@ -34,6 +42,11 @@ class BulkDownloadManager {
         return isIOS && isTablet && isSafari;
     }
 
+    // Check if bulk downloads are streamed into a single archive (no part size limit)
+    canStreamZip() {
+        return !!this.zipStreamWriter && this.zipStreamWriter.isSupported;
+    }
+
     // Main method to download all files with memory-aware ZIP part splitting
     async downloadAllFiles(fileItems, options = {}) {
         const {
@@ -48,11 +61,6 @@ class BulkDownloadManager {
             throw new Error('Required dependencies not provided');
         }
 
-        // Check if JSZip is available
-        if (!this.zipPartManager.isAvailable()) {
-            throw new Error('JSZip library not loaded');
-        }
-
         // Convert NodeList to Array
         const fileItemsArray = Array.from(fileItems);
         
@@ -65,6 +73,20 @@ class BulkDownloadManager {
             };
         }
 
+        // Stream everything into one archive when the browser can write to a file
+        if (this.canStreamZip()) {
+            const archive = await this.zipStreamWriter.open(`One-Host-${this.zipPartManager.getTimestampString()}.zip`);
+            if (archive) {
+                return this.streamAllFiles(fileItemsArray, archive, options);
+            }
+            console.log('📦 Streaming ZIP unavailable, falling back to ZIP parts');
+        }
+
+        // Check if JSZip is available
+        if (!this.zipPartManager.isAvailable()) {
+            throw new Error('JSZip library not loaded');
+        }
+
         // Log initial memory
         this.memoryMonitor.logMemoryStatus('before bulk download');
 
@@ -81,122 +103,56 @@ class BulkDownloadManager {
         let currentBatchSize = 0;
         const successfulFileIds = new Set();
 
-        // Process files in batches based on memory constraints
-        for (let i = 0; i < fileItemsArray.length; i++) {
-            const item = fileItemsArray[i];
-            const fileId = item.getAttribute('data-file-id');
-            if (!fileId) continue;
-
-            // Get file info from Map
-            const fileInfo = receivedFileInfoMap.get(fileId);
-            if (!fileInfo) {
-                console.warn(`File info not found for file ID: ${fileId}`);
-                totalErrors.push(`File ${fileId} not found`);
-                continue;
-            }
+        // Files ordered round-robin across senders so parallel requests go to different peers
+        const queue = this.interleaveBySender(fileItemsArray, receivedFileInfoMap, totalErrors);
+        const inFlight = new Map(); // fileId -> request promise
+        const fetched = []; // Blobs waiting to be added to the ZIP, in completion order
+        const concurrency = this.createConcurrencyState();
 
-            // Check memory before fetching next file
-            const memoryUsage = this.memoryMonitor.getMemoryUsagePercent();
+        // Generate and download the current ZIP part, then start a new one
+        const createPart = async (reason) => {
             const batchSizeMB = this.memoryMonitor.formatBytes(currentBatchSize);
-            const minPartSizeMB = Math.round(this.MIN_PART_SIZE / (1024 * 1024)); // Convert to MB for display
+            console.log(`📦 Creating ZIP part ${partNumber} (${reason}): ${currentBatch.length} files, ${batchSizeMB}`);
             
-            // Determine if we should create a ZIP part
-            // Priority: Memory safety > Minimum part size
-            const shouldCreatePart = (
-                // Memory safety checks (highest priority)
-                (memoryUsage !== null && (
-                    memoryUsage >= this.MEMORY_THRESHOLD || 
-                    (currentBatch.length > 0 && memoryUsage >= this.MEMORY_SAFETY_LIMIT)
-                )) ||
-                // Minimum part size reached
-                (currentBatchSize >= this.MIN_PART_SIZE)
+            await this.createAndDownloadPart(
+                currentZip,
+                currentBatch,
+                partNumber,
+                fileItemsArray.length,
+                totalCompleted,
+                showOrUpdateProgressNotification,
+                downloadBlob,
+                sharedTimestamp
             );
 
-            // If we should create a part and we have files in current batch, create ZIP part
-            if (shouldCreatePart && currentBatch.length > 0) {
-                const reason = memoryUsage !== null && memoryUsage >= this.MEMORY_SAFETY_LIMIT ? 'memory safety' :
-                              memoryUsage !== null && memoryUsage >= this.MEMORY_THRESHOLD ? 'memory threshold' :
-                              `minimum size reached (${minPartSizeMB} MB)`;
-                console.log(`📦 Creating ZIP part ${partNumber} (${reason}): ${currentBatch.length} files, ${batchSizeMB}`);
-                
-                // Generate and download current ZIP part
-                await this.createAndDownloadPart(
-                    currentZip,
-                    currentBatch,
-                    partNumber,
-                    fileItemsArray.length,
-                    totalCompleted,
-                    showOrUpdateProgressNotification,
-                    downloadBlob,
-                    sharedTimestamp
-                );
-
-                // Clear memory: delete ZIP instance and revoke blob URLs
-                this.zipPartManager.cleanupZipInstance(currentZip);
-                currentZip = this.zipPartManager.createZipInstance(); // Create new instance for next batch
-                currentBatch = [];
-                currentBatchSize = 0;
-                partNumber++;
-
-                // Longer delay to allow memory cleanup and garbage collection
-                await new Promise(resolve => setTimeout(resolve, 300));
-
-                // Log memory after cleanup
-                this.memoryMonitor.logMemoryStatus(`after ZIP part ${partNumber - 1} cleanup`);
-            }
+            // Clear memory: delete ZIP instance and revoke blob URLs
+            this.zipPartManager.cleanupZipInstance(currentZip);
+            currentZip = this.zipPartManager.createZipInstance(); // Create new instance for next batch
+            currentBatch = [];
+            currentBatchSize = 0;
+            partNumber++;
 
-            try {
-                // Update progress
-                if (showOrUpdateProgressNotification) {
-                    showOrUpdateProgressNotification(
-                        'downloading', 
-                        totalCompleted, 
-                        fileItemsArray.length, 
-                        `downloading (part ${partNumber})`
-                    );
-                }
+            // Longer delay to allow memory cleanup and garbage collection
+            await new Promise(resolve => setTimeout(resolve, 300));
 
-                // Request blob from peer
-                const blob = await requestBlobFromPeer(fileInfo);
-                
-                // Check memory after fetching blob
-                const memoryAfterFetch = this.memoryMonitor.getMemoryUsagePercent();
-                if (memoryAfterFetch !== null && memoryAfterFetch >= this.MEMORY_SAFETY_LIMIT) {
-                    console.warn(`⚠️ Memory at ${memoryAfterFetch}% after fetching ${fileInfo.name}, creating ZIP part now`);
-                    
-                    // Add current file to batch and create ZIP immediately
-                    const fileName = this.zipPartManager.getUniqueFileName(currentZip, fileInfo.name);
-                    currentZip.file(fileName, blob, { compression: 'STORE' });
-                    currentBatch.push({ fileId, item, fileInfo });
-                    currentBatchSize += blob.size;
-                    successfulFileIds.add(fileId);
-                    totalCompleted++;
+            // Log memory after cleanup
+            this.memoryMonitor.logMemoryStatus(`after ZIP part ${partNumber - 1} cleanup`);
+        };
 
-                    // Create ZIP part
-                    await this.createAndDownloadPart(
-                        currentZip,
-                        currentBatch,
-                        partNumber,
-                        fileItemsArray.length,
-                        totalCompleted,
-                        showOrUpdateProgressNotification,
-                        downloadBlob,
-                        sharedTimestamp
-                    );
+        const requests = { requestBlobFromPeer, inFlight, fetched, concurrency, errors: totalErrors };
 
-                    // Clear and reset
-                    this.zipPartManager.cleanupZipInstance(currentZip);
-                    currentZip = this.zipPartManager.createZipInstance();
-                    currentBatch = [];
-                    currentBatchSize = 0;
-                    partNumber++;
+        // Update progress
+        if (showOrUpdateProgressNotification) {
+            showOrUpdateProgressNotification('downloading', 0, fileItemsArray.length, `downloading (part ${partNumber})`);
+        }
 
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    continue;
-                }
+        while (queue.length > 0 || inFlight.size > 0 || fetched.length > 0) {
+            // Add fetched files to the ZIP one at a time
+            while (fetched.length > 0) {
+                const { fileId, item, fileInfo, blob } = fetched.shift();
 
-                // Handle duplicate filenames
-                const fileName = this.zipPartManager.getUniqueFileName(currentZip, fileInfo.name);
+                // Handle duplicate filenames (files from a shared folder keep their path inside the ZIP)
+                const fileName = this.zipPartManager.getUniqueFileName(currentZip, fileInfo.relativePath || fileInfo.name);
                 
                 // Add to ZIP with no compression (STORE method)
                 currentZip.file(fileName, blob, { compression: 'STORE' });
@@ -205,55 +161,50 @@ class BulkDownloadManager {
                 successfulFileIds.add(fileId);
                 totalCompleted++;
 
+                if (showOrUpdateProgressNotification) {
+                    showOrUpdateProgressNotification(
+                        'downloading', 
+                        totalCompleted, 
+                        fileItemsArray.length, 
+                        `downloading (part ${partNumber})`
+                    );
+                }
+
                 // Check if we should create a ZIP part after adding this file
                 const memoryAfterAdd = this.memoryMonitor.getMemoryUsagePercent();
-                const batchSizeAfterAddMB = this.memoryMonitor.formatBytes(currentBatchSize);
                 const minPartSizeMB = Math.round(this.MIN_PART_SIZE / (1024 * 1024)); // Convert to MB for display
                 
                 // Determine if we should create a ZIP part now
-                const shouldCreatePartAfterAdd = (
-                    // Memory safety (highest priority)
-                    (memoryAfterAdd !== null && memoryAfterAdd >= this.MEMORY_SAFETY_LIMIT) ||
-                    // Minimum part size reached
-                    (currentBatchSize >= this.MIN_PART_SIZE)
-                );
-
-                if (shouldCreatePartAfterAdd) {
-                    const reason = memoryAfterAdd !== null && memoryAfterAdd >= this.MEMORY_SAFETY_LIMIT ? 'memory safety' :
-                                  `minimum size reached (${minPartSizeMB} MB)`;
-                    console.log(`📦 Creating ZIP part ${partNumber} after adding ${fileInfo.name} (${reason}): ${currentBatch.length} files, ${batchSizeAfterAddMB}`);
-                    
-                    // Create ZIP part immediately
-                    await this.createAndDownloadPart(
-                        currentZip,
-                        currentBatch,
-                        partNumber,
-                        fileItemsArray.length,
-                        totalCompleted,
-                        showOrUpdateProgressNotification,
-                        downloadBlob,
-                        sharedTimestamp
-                    );
-
-                    // Clear and reset
-                    this.zipPartManager.cleanupZipInstance(currentZip);
-                    currentZip = this.zipPartManager.createZipInstance();
-                    currentBatch = [];
-                    currentBatchSize = 0;
-                    partNumber++;
-
-                    await new Promise(resolve => setTimeout(resolve, 300));
+                // Priority: Memory safety > Minimum part size
+                if (memoryAfterAdd !== null && memoryAfterAdd >= this.MEMORY_SAFETY_LIMIT) {
+                    console.warn(`⚠️ Memory at ${memoryAfterAdd}% after fetching ${fileInfo.name}, creating ZIP part now`);
+                    await createPart('memory safety');
+                } else if (currentBatchSize >= this.MIN_PART_SIZE) {
+                    await createPart(`minimum size reached (${minPartSizeMB} MB)`);
                 }
 
                 // Log memory periodically
                 if (totalCompleted % 5 === 0) {
                     this.memoryMonitor.logMemoryStatus(`after processing ${totalCompleted} files`);
                 }
+            }
 
-            } catch (error) {
-                console.error(`Error fetching file ${fileInfo.name}:`, error);
-                totalErrors.push(fileInfo.name);
-                // Continue with other files
+            // Check memory before fetching more files
+            const memoryUsage = this.memoryMonitor.getMemoryUsagePercent();
+            if (memoryUsage !== null && memoryUsage >= this.MEMORY_THRESHOLD && currentBatch.length > 0) {
+                await createPart(memoryUsage >= this.MEMORY_SAFETY_LIMIT ? 'memory safety' : 'memory threshold');
+                continue;
+            }
+            const memoryFull = memoryUsage !== null && memoryUsage >= this.MEMORY_SAFETY_LIMIT;
+
+            // Keep up to the current limit of requests in flight (only one while memory is tight)
+            while (queue.length > 0 && inFlight.size < concurrency.limit && (!memoryFull || inFlight.size === 0)) {
+                this.startRequest(queue.shift(), requests);
+            }
+
+            // Wait for the next request to finish
+            if (inFlight.size > 0) {
+                await Promise.race(inFlight.values());
             }
         }
 
@@ -284,6 +235,167 @@ class BulkDownloadManager {
         };
     }
 
+    // Download all files into a streamed archive, writing each blob out as soon as it arrives
+    // Only the blobs in flight or waiting to be written are held in memory
+    async streamAllFiles(fileItemsArray, archive, options) {
+        const { receivedFileInfoMap, requestBlobFromPeer, showOrUpdateProgressNotification } = options;
+
+        let totalCompleted = 0;
+        const totalErrors = [];
+        const successfulFileIds = new Set();
+
+        const queue = this.interleaveBySender(fileItemsArray, receivedFileInfoMap, totalErrors);
+        const inFlight = new Map(); // fileId -> request promise
+        const fetched = []; // Blobs waiting to be written, in completion order
+        const concurrency = this.createConcurrencyState();
+        const requests = { requestBlobFromPeer, inFlight, fetched, concurrency, errors: totalErrors };
+
+        if (showOrUpdateProgressNotification) {
+            showOrUpdateProgressNotification('downloading', 0, fileItemsArray.length, 'downloading');
+        }
+
+        try {
+            while (queue.length > 0 || inFlight.size > 0 || fetched.length > 0) {
+                // Write fetched files to the archive one at a time
+                while (fetched.length > 0) {
+                    const { fileId, fileInfo, blob } = fetched.shift();
+                    const fileName = this.zipStreamWriter.getUniqueFileName(archive, fileInfo.relativePath || fileInfo.name);
+
+                    await this.zipStreamWriter.addFile(archive, fileName, blob);
+                    successfulFileIds.add(fileId);
+                    totalCompleted++;
+
+                    if (showOrUpdateProgressNotification) {
+                        showOrUpdateProgressNotification('downloading', totalCompleted, fileItemsArray.length, 'downloading');
+                    }
+                }
+
+                // Keep up to the current limit of requests in flight (only one while memory is tight)
+                const memoryUsage = this.memoryMonitor.getMemoryUsagePercent();
+                const memoryFull = memoryUsage !== null && memoryUsage >= this.MEMORY_SAFETY_LIMIT;
+                while (queue.length > 0 && inFlight.size < concurrency.limit && (!memoryFull || inFlight.size === 0)) {
+                    this.startRequest(queue.shift(), requests);
+                }
+
+                // Wait for the next request to finish
+                if (inFlight.size > 0) {
+                    await Promise.race(inFlight.values());
+                }
+            }
+
+            if (totalCompleted === 0) {
+                await this.zipStreamWriter.abort(archive); // Don't leave an empty archive behind
+            } else {
+                const zipFile = await this.zipStreamWriter.finish(archive);
+                console.log(`📦 Streamed ZIP complete: ${totalCompleted} files, ${this.memoryMonitor.formatBytes(zipFile.size)}`);
+            }
+        } catch (error) {
+            console.error('❌ Streamed ZIP failed:', error);
+            await this.zipStreamWriter.abort(archive);
+            throw error;
+        }
+
+        this.memoryMonitor.logMemoryStatus('after streamed bulk download');
+
+        return {
+            successCount: totalCompleted,
+            errors: totalErrors,
+            partsCreated: totalCompleted > 0 ? 1 : 0,
+            successfulFileIds: successfulFileIds
+        };
+    }
+
+    // Request a blob from its sender; the result is queued for the ZIP when it arrives
+    startRequest(entry, requests) {
+        const { requestBlobFromPeer, inFlight, fetched, concurrency, errors } = requests;
+        const request = requestBlobFromPeer(entry.fileInfo)
+            .then(blob => {
+                fetched.push({ ...entry, blob });
+                this.recordThroughput(concurrency, blob.size);
+            })
+            .catch(error => {
+                console.error(`Error fetching file ${entry.fileInfo.name}:`, error);
+                errors.push(entry.fileInfo.name);
+                // Continue with other files
+            })
+            .finally(() => inFlight.delete(entry.fileId));
+        inFlight.set(entry.fileId, request);
+    }
+
+    // Resolve file infos and order them round-robin across senders
+    // so the requests in flight are spread over every peer instead of queueing on one
+    interleaveBySender(fileItemsArray, receivedFileInfoMap, totalErrors) {
+        const filesBySender = new Map(); // sender peerId -> [{ fileId, item, fileInfo }]
+
+        for (const item of fileItemsArray) {
+            const fileId = item.getAttribute('data-file-id');
+            if (!fileId) continue;
+
+            // Get file info from Map
+            const fileInfo = receivedFileInfoMap.get(fileId);
+            if (!fileInfo) {
+                console.warn(`File info not found for file ID: ${fileId}`);
+                totalErrors.push(`File ${fileId} not found`);
+                continue;
+            }
+
+            const sender = fileInfo.sharedBy || 'unknown';
+            if (!filesBySender.has(sender)) {
+                filesBySender.set(sender, []);
+            }
+            filesBySender.get(sender).push({ fileId, item, fileInfo });
+        }
+
+        const senderQueues = Array.from(filesBySender.values());
+        const ordered = [];
+        while (senderQueues.some(senderQueue => senderQueue.length > 0)) {
+            for (const senderQueue of senderQueues) {
+                if (senderQueue.length > 0) {
+                    ordered.push(senderQueue.shift());
+                }
+            }
+        }
+        return ordered;
+    }
+
+    // Create the concurrency state for one bulk download
+    createConcurrencyState() {
+        return {
+            limit: Math.min(this.INITIAL_CONCURRENT_REQUESTS, this.MAX_CONCURRENT_REQUESTS),
+            step: 1, // Direction of the last change: +1 more requests, -1 fewer
+            windowStart: performance.now(),
+            windowBytes: 0,
+            lastThroughput: null
+        };
+    }
+
+    // Record a finished request and re-tune the limit once per measurement window
+    // Keeps moving the limit in the same direction while throughput improves and reverses when it drops
+    recordThroughput(state, bytes) {
+        state.windowBytes += bytes;
+        const elapsed = performance.now() - state.windowStart;
+        if (elapsed < this.THROUGHPUT_WINDOW_MS) return;
+
+        const throughput = (state.windowBytes / elapsed) * 1000; // bytes per second
+        let change = 0;
+        if (state.lastThroughput === null || throughput > state.lastThroughput * 1.05) {
+            change = state.step; // First sample or the last change helped - keep going
+        } else if (throughput < state.lastThroughput * 0.9) {
+            state.step = -state.step; // The last change hurt - go back
+            change = state.step;
+        }
+
+        const previousLimit = state.limit;
+        state.limit = Math.max(this.MIN_CONCURRENT_REQUESTS, Math.min(this.MAX_CONCURRENT_REQUESTS, state.limit + change));
+        if (state.limit !== previousLimit) {
+            console.log(`🔀 Parallel downloads: ${previousLimit} → ${state.limit} (${this.memoryMonitor.formatBytes(throughput)}/s)`);
+        }
+
+        state.lastThroughput = throughput;
+        state.windowStart = performance.now();
+        state.windowBytes = 0;
+    }
+
     // Helper method to create and download a ZIP part
     async createAndDownloadPart(zip, batch, partNumber, totalFiles, totalCompleted, showOrUpdateProgressNotification, downloadBlob, sharedTimestamp = null) {
         // Update progress - creating ZIP part
@@ -349,6 +461,11 @@ class BulkDownloadManager {
     setMinPartSize(sizeMB = 400) {
         this.MIN_PART_SIZE = sizeMB * 1024 * 1024; // Convert MB to bytes
     }
+
+    // Set the maximum number of blob requests kept in flight at once
+    setConcurrencyLimit(maxRequests = 6) {
+        this.MAX_CONCURRENT_REQUESTS = Math.max(this.MIN_CONCURRENT_REQUESTS, maxRequests);
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,169 @@
+// Chunk Streamer Service
+// Streams a Blob over a PeerJS data connection with backpressure and adaptive chunk sizing
+
+class ChunkStreamer {
+    constructor(options = {}) {
+        this.MIN_CHUNK_SIZE = options.minChunkSize || 16 * 1024; // 16 KB (the old fixed CHUNK_SIZE)
+        this.MAX_CHUNK_SIZE = options.maxChunkSize || 256 * 1024; // 256 KB
+        this.BUFFER_HIGH_WATER_MARK = options.bufferHighWaterMark || 4 * 1024 * 1024; // Pause sending above 4 MB buffered
+        this.BUFFER_LOW_WATER_MARK = options.bufferLowWaterMark || 1024 * 1024; // Resume sending below 1 MB buffered
+        this.TARGET_CHUNK_DURATION_MS = 50; // Aim for chunks that take ~50ms to drain at the measured rate
+        this.MEASURE_WINDOW_MS = 250; // How often throughput is re-measured
+        this.DRAIN_POLL_MS = 100; // Fallback poll interval if 'bufferedamountlow' never fires
+    }
+
+    // Get the underlying RTCDataChannel from a PeerJS DataConnection
+    getDataChannel(conn) {
+        return conn ? (conn.dataChannel || conn._dc || null) : null;
+    }
+
+    // Bytes still waiting to go out (browser buffer + PeerJS internal queue)
+    getBufferedAmount(conn) {
+        const channel = this.getDataChannel(conn);
+        const channelBuffered = channel ? channel.bufferedAmount : 0;
+        const peerjsBuffered = conn && typeof conn.bufferSize === 'number' ? conn.bufferSize : 0;
+        return channelBuffered + peerjsBuffered;
+    }
+
+    // Wait until the data channel has drained below the low water mark
+    waitForDrain(conn) {
+        const channel = this.getDataChannel(conn);
+
+        return new Promise((resolve, reject) => {
+            let pollTimer = null;
+
+            const cleanup = () => {
+                clearInterval(pollTimer);
+                if (channel) {
+                    channel.removeEventListener('bufferedamountlow', check);
+                }
+            };
+
+            const check = () => {
+                if (!conn.open) {
+                    cleanup();
+                    reject(new Error('Connection lost during transfer'));
+                } else if (this.getBufferedAmount(conn) <= this.BUFFER_LOW_WATER_MARK) {
+                    cleanup();
+                    resolve();
+                }
+            };
+
+            if (channel) {
+                channel.bufferedAmountLowThreshold = this.BUFFER_LOW_WATER_MARK;
+                channel.addEventListener('bufferedamountlow', check);
+            }
+            // PeerJS keeps its own queue that doesn't fire 'bufferedamountlow', so poll as well
+            pollTimer = setInterval(check, this.DRAIN_POLL_MS);
+            check();
+        });
+    }
+
+    // Pick a chunk size from measured throughput (bytes per second), rounded to 16 KB steps
+    getChunkSizeForThroughput(bytesPerSecond) {
+        const target = bytesPerSecond * (this.TARGET_CHUNK_DURATION_MS / 1000);
+        const rounded = Math.round(target / this.MIN_CHUNK_SIZE) * this.MIN_CHUNK_SIZE;
+        return Math.max(this.MIN_CHUNK_SIZE, Math.min(this.MAX_CHUNK_SIZE, rounded));
+    }
+
+    // Create a handle for pausing, resuming or cancelling a stream (passed as options.control)
+    createControl() {
+        let resumeWaiters = [];
+        const control = {
+            paused: false,
+            cancelled: false,
+            pause() {
+                control.paused = true;
+            },
+            resume() {
+                control.paused = false;
+                resumeWaiters.forEach(resolve => resolve());
+                resumeWaiters = [];
+            },
+            cancel() {
+                control.cancelled = true;
+                control.resume(); // Wake a paused stream so it can stop
+            },
+            waitWhilePaused() {
+                return control.paused
+                    ? new Promise(resolve => resumeWaiters.push(resolve))
+                    : Promise.resolve();
+            }
+        };
+        return control;
+    }
+
+    // Stream a blob over a connection, reading one slice at a time
+    // buildMessage(data, offset) returns the message (or a Promise of it, e.g. once encrypted) to send for each chunk
+    // onProgress(offset, total) is called after every chunk
+    // control (from createControl) pauses the loop between chunks or stops it with a 'Transfer cancelled' error
+    async stream(conn, blob, options = {}) {
+        const {
+            startOffset = 0,
+            buildMessage,
+            onProgress,
+            control = null
+        } = options;
+
+        if (typeof buildMessage !== 'function') {
+            throw new Error('buildMessage is required');
+        }
+
+        let offset = startOffset;
+        let chunkSize = this.MIN_CHUNK_SIZE;
+        let windowStart = performance.now();
+        let windowBytes = 0;
+        let windowBuffered = this.getBufferedAmount(conn);
+
+        while (offset < blob.size) {
+            if (control && control.paused) {
+                await control.waitWhilePaused();
+                // Start a fresh measurement so the paused time doesn't count as a slow link
+                windowStart = performance.now();
+                windowBytes = 0;
+                windowBuffered = this.getBufferedAmount(conn);
+            }
+            if (control && control.cancelled) {
+                throw new Error('Transfer cancelled');
+            }
+
+            if (!conn.open) {
+                throw new Error('Connection lost during transfer');
+            }
+
+            // Backpressure: let the channel drain before queueing more data
+            if (this.getBufferedAmount(conn) > this.BUFFER_HIGH_WATER_MARK) {
+                await this.waitForDrain(conn);
+            }
+
+            // Only the current slice is held in memory, never the whole file
+            const data = await blob.slice(offset, offset + chunkSize).arrayBuffer();
+            conn.send(await buildMessage(data, offset));
+            offset += data.byteLength;
+            windowBytes += data.byteLength;
+
+            if (onProgress) {
+                onProgress(offset, blob.size);
+            }
+
+            // Re-measure throughput: bytes that actually left the buffer during the window
+            const now = performance.now();
+            const elapsed = now - windowStart;
+            if (elapsed >= this.MEASURE_WINDOW_MS) {
+                const buffered = this.getBufferedAmount(conn);
+                const drained = Math.max(0, windowBytes - (buffered - windowBuffered));
+                chunkSize = this.getChunkSizeForThroughput((drained / elapsed) * 1000);
+                windowStart = now;
+                windowBytes = 0;
+                windowBuffered = buffered;
+            }
+        }
+
+        return offset - startOffset;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChunkStreamer;
+}
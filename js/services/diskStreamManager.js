@@ -0,0 +1,101 @@
+// Disk Stream Manager Service
+// Writes received chunks straight to a user-chosen file with the File System Access API,
+// so large downloads don't have to be held in memory
+
+class DiskStreamManager {
+    constructor(threshold = 100 * 1024 * 1024) {
+        this.STREAM_THRESHOLD = threshold; // Files at least this big are streamed to disk (100 MB)
+        this.isSupported = typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+
+        if (!this.isSupported) {
+            console.log('File System Access API not available - downloads are assembled in memory');
+        }
+    }
+
+    // Check if a file of this size should be streamed to disk
+    shouldStream(fileSize) {
+        return this.isSupported && fileSize >= this.STREAM_THRESHOLD;
+    }
+
+    // Ask the user where to save the file and open a writable stream
+    // Must run while the click that started the download still counts as a user gesture
+    // Returns null when the picker can't be used (caller falls back to memory)
+    async open(fileName) {
+        if (!this.isSupported) return null;
+
+        try {
+            const handle = await window.showSaveFilePicker({ suggestedName: fileName });
+            const writable = await handle.createWritable();
+            return {
+                handle: handle,
+                writable: writable,
+                queue: Promise.resolve(), // Writes are chained so they land in arrival order
+                error: null
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Save cancelled');
+            }
+            console.warn('Could not open file for streaming, falling back to in-memory download:', error);
+            return null;
+        }
+    }
+
+    // Queue a chunk to be written at the given byte position
+    write(target, data, position) {
+        this.enqueue(target, () => target.writable.write({ type: 'write', position: position, data: data }));
+    }
+
+    // Queue a truncate (used when the sender restarts a transfer from byte 0)
+    truncate(target, size = 0) {
+        this.enqueue(target, () => target.writable.truncate(size));
+    }
+
+    // Chain an operation after the pending writes; the first failure is kept and reported by finish()
+    enqueue(target, operation) {
+        target.queue = target.queue
+            .then(() => (target.error ? null : operation()))
+            .catch(error => {
+                target.error = target.error || error;
+            });
+    }
+
+    // Flush pending writes, commit the file and return it as a disk-backed File
+    async finish(target) {
+        await target.queue;
+        if (target.error) {
+            throw target.error;
+        }
+        await target.writable.close();
+        target.writable = null;
+        return target.handle.getFile();
+    }
+
+    // Re-open a committed file for patching ranges in place
+    async reopen(target) {
+        target.writable = await target.handle.createWritable({ keepExistingData: true });
+        target.queue = Promise.resolve();
+        target.error = null;
+    }
+
+    // Discard a partially written (or failed) file
+    async abort(target) {
+        try {
+            await target.queue;
+            if (target.writable) {
+                await target.writable.abort();
+            } else if (typeof target.handle.remove === 'function') {
+                await target.handle.remove(); // Already committed - don't leave a corrupted file behind
+            }
+        } catch (error) {
+            console.warn('Error aborting disk stream:', error);
+        } finally {
+            target.writable = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiskStreamManager;
+}
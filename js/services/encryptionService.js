@@ -0,0 +1,145 @@
+// Encryption Service
+// End-to-end encryption for file data: ECDH (P-256) key agreement, AES-GCM per chunk,
+// and a short authentication string users compare out of band to rule out a man in the middle
+
+class EncryptionService {
+    constructor() {
+        this.CURVE = 'P-256';
+        this.IV_LENGTH = 12; // Random 96-bit IV prepended to every encrypted chunk
+        this.SAS_LENGTH = 5; // Emoji in the short authentication string (6 bits each)
+        this.isSupported = typeof crypto !== 'undefined' && !!crypto.subtle;
+
+        // 64 emoji that are easy to tell apart and to read out loud
+        this.SAS_EMOJI = [
+            ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'], ['🦄', 'Unicorn'], ['🐷', 'Pig'],
+            ['🐘', 'Elephant'], ['🐰', 'Rabbit'], ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'],
+            ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'], ['🌳', 'Tree'], ['🌵', 'Cactus'],
+            ['🍄', 'Mushroom'], ['🌏', 'Globe'], ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+            ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'], ['🎂', 'Cake'], ['❤️', 'Heart'],
+            ['😀', 'Smiley'], ['🤖', 'Robot'], ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+            ['👍', 'Thumbs up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'], ['🎁', 'Gift'], ['💡', 'Light bulb'],
+            ['📕', 'Book'], ['✏️', 'Pencil'], ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+            ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'], ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'],
+            ['🚀', 'Rocket'], ['🏆', 'Trophy'], ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'],
+            ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin']
+        ];
+
+        if (!this.isSupported) {
+            console.warn('Web Crypto not available (requires HTTPS) - end-to-end encryption is unavailable');
+        }
+    }
+
+    // Generate an ephemeral key pair for one connection
+    // Returns { keyPair, publicKey (raw ArrayBuffer to send to the peer), key, sas }
+    async createSession() {
+        const keyPair = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: this.CURVE },
+            false,
+            ['deriveBits']
+        );
+        return {
+            keyPair: keyPair,
+            publicKey: await crypto.subtle.exportKey('raw', keyPair.publicKey),
+            key: null, // AES-GCM key, set by deriveSession
+            sas: null // Short authentication string, set by deriveSession
+        };
+    }
+
+    // Agree on the AES-GCM key and the short authentication string with the peer's public key
+    // A man in the middle ends up with different secrets on each side, so the strings won't match
+    async deriveSession(session, remotePublicKey) {
+        const remoteKey = await crypto.subtle.importKey(
+            'raw',
+            remotePublicKey,
+            { name: 'ECDH', namedCurve: this.CURVE },
+            false,
+            []
+        );
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: remoteKey },
+            session.keyPair.privateKey,
+            256
+        );
+        const secretKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey', 'deriveBits']);
+
+        // Both sides must use the same salt, so the public keys are hashed in a fixed order
+        const salt = await crypto.subtle.digest('SHA-256', this.concatSorted(session.publicKey, remotePublicKey));
+        const encoder = new TextEncoder();
+
+        session.key = await crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: salt, info: encoder.encode('one-host file encryption') },
+            secretKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        const sasBits = await crypto.subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt: salt, info: encoder.encode('one-host short authentication string') },
+            secretKey,
+            64
+        );
+        session.sas = this.toEmoji(new Uint8Array(sasBits));
+        return session;
+    }
+
+    // Concatenate two byte buffers, smaller one first
+    concatSorted(a, b) {
+        const first = new Uint8Array(a);
+        const second = new Uint8Array(b);
+        let order = 0;
+        for (let i = 0; i < Math.min(first.length, second.length) && order === 0; i++) {
+            order = first[i] - second[i];
+        }
+        const [low, high] = order <= 0 ? [first, second] : [second, first];
+        const result = new Uint8Array(low.length + high.length);
+        result.set(low, 0);
+        result.set(high, low.length);
+        return result;
+    }
+
+    // Turn derived bytes into SAS_LENGTH emoji ([{ emoji, name }])
+    toEmoji(bytes) {
+        let bits = 0n;
+        for (const byte of bytes) {
+            bits = (bits << 8n) | BigInt(byte);
+        }
+        const totalBits = BigInt(bytes.length * 8);
+        const result = [];
+        for (let i = 0; i < this.SAS_LENGTH; i++) {
+            const index = Number((bits >> (totalBits - BigInt((i + 1) * 6))) & 63n);
+            const [emoji, name] = this.SAS_EMOJI[index];
+            result.push({ emoji, name });
+        }
+        return result;
+    }
+
+    // Format a short authentication string for display
+    formatSas(sas, withNames = false) {
+        return sas.map(item => (withNames ? `${item.emoji} ${item.name}` : item.emoji)).join(withNames ? ', ' : ' ');
+    }
+
+    // Encrypt a chunk - returns IV followed by the ciphertext (includes the GCM tag)
+    async encrypt(session, data) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, session.key, data);
+        const result = new Uint8Array(this.IV_LENGTH + ciphertext.byteLength);
+        result.set(iv, 0);
+        result.set(new Uint8Array(ciphertext), this.IV_LENGTH);
+        return result.buffer;
+    }
+
+    // Decrypt a chunk produced by encrypt() - throws if it was tampered with
+    async decrypt(session, data) {
+        const bytes = new Uint8Array(data);
+        return crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.slice(0, this.IV_LENGTH) },
+            session.key,
+            bytes.slice(this.IV_LENGTH)
+        );
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EncryptionService;
+}
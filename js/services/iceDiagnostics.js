@@ -0,0 +1,228 @@
+// ICE Diagnostics Service
+// Probes STUN/TURN servers one by one, gathers ICE candidates and infers the NAT type,
+// so connection problems can be explained (and reported) instead of just failing
+
+class IceDiagnostics {
+    constructor(options = {}) {
+        this.TIMEOUT_MS = options.timeout || 5000; // A server that hasn't answered by now counts as unreachable
+        this.CONCURRENCY = options.concurrency || 4; // Probes running at once (each one opens a peer connection)
+        this.isSupported = typeof RTCPeerConnection !== 'undefined';
+    }
+
+    // Gather ICE candidates for a throwaway connection using the given servers
+    // stopWhen(candidate) can end gathering early; resolves { candidates, errors, durationMs, timedOut }
+    gather(iceServers, options = {}) {
+        const { stopWhen = null, iceTransportPolicy = 'all' } = options;
+
+        return new Promise((resolve) => {
+            const startTime = performance.now();
+            const candidates = [];
+            const errors = [];
+            let pc;
+            let timer = null;
+            let finished = false;
+
+            const finish = (timedOut) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                pc.close();
+                resolve({ candidates, errors, durationMs: Math.round(performance.now() - startTime), timedOut });
+            };
+
+            try {
+                pc = new RTCPeerConnection({ iceServers, iceTransportPolicy });
+            } catch (error) {
+                resolve({ candidates, errors: [error.message], durationMs: 0, timedOut: false });
+                return;
+            }
+
+            pc.onicecandidate = (event) => {
+                if (!event.candidate) {
+                    finish(false);
+                    return;
+                }
+                if (!event.candidate.candidate) return; // End-of-candidates marker on some browsers
+                const candidate = this.parseCandidate(event.candidate);
+                candidate.elapsedMs = Math.round(performance.now() - startTime);
+                candidates.push(candidate);
+                if (stopWhen && stopWhen(candidate)) {
+                    finish(false);
+                }
+            };
+
+            pc.onicecandidateerror = (event) => {
+                // 701 is reported for every server the browser couldn't reach on some interface - keep the text
+                errors.push(`${event.errorCode || ''} ${event.errorText || ''}`.trim() || 'ICE candidate error');
+            };
+
+            timer = setTimeout(() => finish(true), this.TIMEOUT_MS);
+
+            pc.createDataChannel('diagnostics');
+            pc.createOffer()
+                .then(offer => pc.setLocalDescription(offer))
+                .catch(error => {
+                    errors.push(error.message);
+                    finish(false);
+                });
+        });
+    }
+
+    // Same fields getPublicIPViaSTUN/getPrivateIPViaSTUN collect, with values parsed from the candidate line
+    // where the browser leaves them out
+    parseCandidate(iceCandidate) {
+        const line = iceCandidate.candidate;
+        const parts = line.split(' ');
+        const typeIndex = parts.indexOf('typ');
+        const raddrIndex = parts.indexOf('raddr');
+        const rportIndex = parts.indexOf('rport');
+        return {
+            type: iceCandidate.type || (typeIndex !== -1 ? parts[typeIndex + 1] : null),
+            candidate: line,
+            address: iceCandidate.address || parts[4] || null,
+            port: iceCandidate.port || Number(parts[5]) || null,
+            protocol: (iceCandidate.protocol || parts[2] || '').toLowerCase() || null,
+            priority: iceCandidate.priority || null,
+            foundation: iceCandidate.foundation || null,
+            relatedAddress: iceCandidate.relatedAddress || (raddrIndex !== -1 ? parts[raddrIndex + 1] : null),
+            relatedPort: iceCandidate.relatedPort || (rportIndex !== -1 ? Number(parts[rportIndex + 1]) : null),
+            usernameFragment: iceCandidate.usernameFragment || null
+        };
+    }
+
+    // Check a single STUN or TURN server: STUN answers with a srflx candidate, TURN with a relay candidate
+    async probeServer(server) {
+        const url = Array.isArray(server.urls) ? server.urls[0] : server.urls;
+        const kind = url.startsWith('turn') ? 'turn' : 'stun';
+        const expectedType = kind === 'turn' ? 'relay' : 'srflx';
+
+        const result = await this.gather([server], {
+            stopWhen: candidate => candidate.type === expectedType,
+            iceTransportPolicy: kind === 'turn' ? 'relay' : 'all'
+        });
+        const answer = result.candidates.find(candidate => candidate.type === expectedType);
+        return {
+            url,
+            kind,
+            ok: !!answer,
+            responseMs: answer ? answer.elapsedMs : null,
+            address: answer ? answer.address : null,
+            error: answer ? null : (result.timedOut ? 'No response' : (result.errors[0] || 'No candidate'))
+        };
+    }
+
+    // Probe every server, CONCURRENCY at a time; onResult(index, result) is called as each one finishes
+    async probeServers(servers, onResult = null) {
+        const results = new Array(servers.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < servers.length) {
+                const index = next++;
+                results[index] = await this.probeServer(servers[index]);
+                if (onResult) onResult(index, results[index]);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.CONCURRENCY, servers.length) }, worker));
+        return results;
+    }
+
+    // Count candidates by type and spot mDNS-obfuscated host addresses (random-uuid.local)
+    summarizeCandidates(candidates) {
+        const summary = { total: candidates.length, host: 0, srflx: 0, prflx: 0, relay: 0, mdns: 0, protocols: [] };
+        const protocols = new Set();
+        candidates.forEach(candidate => {
+            if (summary.hasOwnProperty(candidate.type)) {
+                summary[candidate.type]++;
+            }
+            if (candidate.type === 'host' && candidate.address && candidate.address.endsWith('.local')) {
+                summary.mdns++;
+            }
+            if (candidate.protocol) {
+                protocols.add(candidate.protocol);
+            }
+        });
+        summary.protocols = Array.from(protocols);
+        return summary;
+    }
+
+    // Infer the NAT type from candidates gathered against several STUN servers at once
+    // Symmetric NATs map each destination to a new port, so the same local socket shows up
+    // as several srflx candidates; cone NATs reuse one mapping for every server
+    inferNatType(candidates, stunServerCount) {
+        const reflexive = candidates.filter(candidate => candidate.type === 'srflx' && candidate.protocol === 'udp');
+        if (reflexive.length === 0) {
+            return { type: 'blocked', label: 'UDP blocked or STUN unreachable', canConnectDirectly: false };
+        }
+
+        const hostAddresses = new Set(candidates.filter(candidate => candidate.type === 'host').map(candidate => candidate.address));
+        if (reflexive.some(candidate => hostAddresses.has(candidate.address))) {
+            return { type: 'open', label: 'No NAT (public address)', canConnectDirectly: true };
+        }
+
+        // Group mappings by local socket - hidden (mDNS) bases report rport 0, so they share one group
+        const mappings = new Map();
+        reflexive.forEach(candidate => {
+            const base = `${candidate.relatedAddress}:${candidate.relatedPort}`;
+            if (!mappings.has(base)) mappings.set(base, new Set());
+            mappings.get(base).add(`${candidate.address}:${candidate.port}`);
+        });
+        if (Array.from(mappings.values()).some(mapped => mapped.size > 1)) {
+            return { type: 'symmetric', label: 'Symmetric NAT (direct connections often fail)', canConnectDirectly: false };
+        }
+        if (stunServerCount < 2) {
+            return { type: 'unknown', label: 'Behind NAT (type unknown - fewer than two STUN servers answered)', canConnectDirectly: true };
+        }
+        return { type: 'cone', label: 'Cone NAT (direct connections usually work)', canConnectDirectly: true };
+    }
+
+    // Plain-text report for support tickets
+    formatReport(diagnostics) {
+        const lines = [
+            'Connection diagnostics',
+            `Date: ${new Date(diagnostics.timestamp).toISOString()}`,
+            `Browser: ${diagnostics.userAgent}`,
+            `Peer ID: ${diagnostics.peerId || 'none'}`,
+            `Signaling server: ${diagnostics.signaling}`,
+            '',
+            `NAT type: ${diagnostics.nat ? diagnostics.nat.label : 'not checked'}`,
+            `Public IP: ${diagnostics.publicIP || 'not found'}`,
+            `mDNS host candidates: ${diagnostics.mdns ? 'yes (local addresses hidden)' : 'no'}`
+        ];
+
+        if (diagnostics.candidates) {
+            const c = diagnostics.candidates;
+            lines.push(`Candidates: ${c.total} (host ${c.host}, srflx ${c.srflx}, prflx ${c.prflx}, relay ${c.relay}; ${c.protocols.join('/') || 'none'})`);
+        }
+
+        lines.push('', 'ICE servers:');
+        (diagnostics.servers || []).forEach(server => {
+            lines.push(server
+                ? `  ${server.ok ? 'OK  ' : 'FAIL'} ${server.url}${server.ok ? ` ${server.responseMs} ms` : ` (${server.error})`}`
+                : '  (not checked)');
+        });
+
+        lines.push('', 'Connections:');
+        if (!diagnostics.connections || diagnostics.connections.length === 0) {
+            lines.push('  none');
+        }
+        (diagnostics.connections || []).forEach(connection => {
+            const route = connection.route;
+            lines.push(route && route.localType
+                ? `  ${connection.peerId}: ${route.route} - local ${route.localType} ${route.localAddress || '?'}, remote ${route.remoteType} ${route.remoteAddress || '?'} (${route.protocol || '?'}${route.roundTripTime !== null ? `, ${Math.round(route.roundTripTime * 1000)} ms` : ''})`
+                : `  ${connection.peerId}: no selected candidate pair`);
+        });
+
+        if (diagnostics.errors && diagnostics.errors.length > 0) {
+            lines.push('', 'Recent errors:');
+            diagnostics.errors.forEach(error => {
+                lines.push(`  ${new Date(error.time).toISOString()} ${error.type}: ${error.message}`);
+            });
+        }
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IceDiagnostics;
+}
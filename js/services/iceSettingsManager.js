@@ -0,0 +1,221 @@
+// ICE Settings Manager Service
+// Combines the built-in STUN/TURN servers with the user's own TURN servers (static credentials, or
+// time-limited ones fetched from a TURN REST endpoint and refreshed before they expire)
+// and builds the RTCPeerConnection config every Peer is created with
+
+class IceSettingsManager {
+    constructor(defaultConfig, options = {}) {
+        this.defaultConfig = defaultConfig; // PEER_CONFIG.config
+        this.onChange = options.onChange || null; // Called when the servers in use change (settings saved, credentials fetched)
+        this.autoRefresh = options.autoRefresh !== false; // Refetch REST credentials before they expire
+        this.REST_TIMEOUT = options.restTimeout || 10000;
+        this.DEFAULT_TTL = options.defaultTtl || 3600; // Seconds REST credentials are assumed valid when the response has no ttl
+        this.REFRESH_AT = 0.8; // Refetch once 80% of the lifetime has passed
+        this.settings = this.normalize(options.settings);
+        this.credentials = new Map(); // server id -> { iceServers, expiresAt, refreshAt, error }
+        this.refreshTimer = null;
+    }
+
+    // Settings with every field present: { useDefaultServers, relayOnly, servers: [{ id, urls, credentialType, username, credential, restUrl }] }
+    normalize(settings) {
+        const source = settings || {};
+        return {
+            useDefaultServers: source.useDefaultServers !== false,
+            relayOnly: !!source.relayOnly,
+            servers: (Array.isArray(source.servers) ? source.servers : []).map((server, index) => ({
+                id: server.id || `server-${Date.now()}-${index}`,
+                urls: server.urls || '',
+                credentialType: server.credentialType === 'rest' ? 'rest' : 'static',
+                username: server.username || '',
+                credential: server.credential || '',
+                restUrl: server.restUrl || ''
+            }))
+        };
+    }
+
+    // Current settings (what gets persisted)
+    getSettings() {
+        return this.settings;
+    }
+
+    // Replace the settings and fetch REST credentials for them; resolves once the fetches have finished
+    setSettings(settings) {
+        this.settings = this.normalize(settings);
+        const ids = new Set(this.settings.servers.map(server => server.id));
+        for (const id of this.credentials.keys()) {
+            if (!ids.has(id)) this.credentials.delete(id);
+        }
+        if (this.onChange) this.onChange();
+        return this.refreshCredentials();
+    }
+
+    // Check a custom server entry; returns an error message or null
+    validateServer(server) {
+        const urls = this.splitUrls(server.urls);
+        if (server.credentialType === 'rest') {
+            let restUrl;
+            try {
+                restUrl = new URL(server.restUrl);
+            } catch (error) {
+                return 'Enter the URL that issues TURN credentials';
+            }
+            if (restUrl.protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(restUrl.hostname)) {
+                return 'The credentials URL must use HTTPS';
+            }
+        } else if (urls.length === 0) {
+            return 'Enter a server URL (turn:host:3478)';
+        }
+        const invalid = urls.find(url => !/^(stun|turns?):[^\s]+$/.test(url));
+        if (invalid) {
+            return `${invalid} is not a stun:, turn: or turns: URL`;
+        }
+        if (server.credentialType === 'static' && urls.some(url => url.startsWith('turn')) && (!server.username || !server.credential)) {
+            return 'TURN servers need a username and credential';
+        }
+        return null;
+    }
+
+    // Servers every new connection uses: the built-in ones (unless turned off) plus the custom ones
+    getIceServers(baseServers = this.defaultConfig.iceServers) {
+        return [...(this.settings.useDefaultServers ? baseServers : []), ...this.getCustomServers()];
+    }
+
+    // Custom servers as RTCIceServer entries - REST servers without valid credentials are left out
+    getCustomServers() {
+        return this.settings.servers.flatMap(server => this.getServerEntries(server));
+    }
+
+    // RTCIceServer entries for one custom server (empty until a REST server's credentials arrive)
+    getServerEntries(server) {
+        if (server.credentialType === 'rest') {
+            const cached = this.credentials.get(server.id);
+            return cached && cached.iceServers && cached.expiresAt > Date.now() ? cached.iceServers : [];
+        }
+        const urls = this.splitUrls(server.urls);
+        if (urls.length === 0) return [];
+        const entry = { urls: urls.length === 1 ? urls[0] : urls };
+        if (server.username) entry.username = server.username;
+        if (server.credential) entry.credential = server.credential;
+        return [entry];
+    }
+
+    // RTCPeerConnection config for a Peer; relay-only hides our addresses from peers (everything goes through TURN)
+    buildConfig(baseConfig = this.defaultConfig) {
+        return {
+            ...baseConfig,
+            iceServers: this.getIceServers(baseConfig.iceServers || []),
+            iceTransportPolicy: this.settings.relayOnly ? 'relay' : (baseConfig.iceTransportPolicy || 'all')
+        };
+    }
+
+    // Check if any server in use can relay (relay-only can't connect without one)
+    hasRelayServer(baseServers = this.defaultConfig.iceServers) {
+        return this.getIceServers(baseServers).some(server => {
+            const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+            return urls.some(url => url.startsWith('turn'));
+        });
+    }
+
+    // Errors from the last credential fetch, by server id
+    getCredentialError(serverId) {
+        const cached = this.credentials.get(serverId);
+        return cached ? cached.error : null;
+    }
+
+    // Fetch credentials for every REST server; failures are kept per server (see getCredentialError)
+    async refreshCredentials() {
+        clearTimeout(this.refreshTimer);
+        const restServers = this.settings.servers.filter(server => server.credentialType === 'rest');
+        if (restServers.length === 0) return;
+
+        await Promise.all(restServers.map(async (server) => {
+            try {
+                this.credentials.set(server.id, await this.fetchRestCredentials(server));
+            } catch (error) {
+                console.warn(`Could not fetch TURN credentials from ${server.restUrl}:`, error.message);
+                const cached = this.credentials.get(server.id);
+                this.credentials.set(server.id, {
+                    iceServers: cached ? cached.iceServers : null,
+                    expiresAt: cached ? cached.expiresAt : 0,
+                    refreshAt: Date.now() + 60000, // Try again in a minute
+                    error: error.message
+                });
+            }
+        }));
+
+        if (this.autoRefresh) this.scheduleRefresh();
+        if (this.onChange) this.onChange();
+    }
+
+    // Refetch when the first set of credentials is due
+    scheduleRefresh() {
+        const due = Array.from(this.credentials.values()).map(cached => cached.refreshAt).filter(Boolean);
+        if (due.length === 0) return;
+        const delay = Math.max(1000, Math.min(...due) - Date.now());
+        this.refreshTimer = setTimeout(() => this.refreshCredentials(), Math.min(delay, 2147483647));
+    }
+
+    // Ask a TURN REST endpoint for time-limited credentials
+    async fetchRestCredentials(server) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.REST_TIMEOUT);
+        try {
+            const response = await fetch(server.restUrl, { signal: controller.signal, cache: 'no-store', credentials: 'omit' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.parseRestResponse(await response.json(), server);
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error('No response') : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Accepts the TURN REST API format ({ username, password, ttl, uris }), { iceServers: [...] }
+    // and plain arrays of RTCIceServer entries (what most hosted TURN services return)
+    parseRestResponse(body, server) {
+        if (!body || typeof body !== 'object') {
+            throw new Error('Unexpected response');
+        }
+        const list = Array.isArray(body) ? body : (body.iceServers || body.ice_servers || null);
+        let iceServers;
+        if (Array.isArray(list)) {
+            iceServers = list
+                .map(entry => ({ urls: entry.urls || entry.url, username: entry.username, credential: entry.credential }))
+                .filter(entry => entry.urls);
+        } else if (body.username && (body.password || body.credential)) {
+            const urls = body.uris || body.urls || this.splitUrls(server.urls);
+            iceServers = [{ urls, username: body.username, credential: body.password || body.credential }];
+        } else {
+            throw new Error('Response has no credentials');
+        }
+        if (iceServers.length === 0 || iceServers.some(entry => Array.isArray(entry.urls) && entry.urls.length === 0)) {
+            throw new Error('Response has no server URLs');
+        }
+
+        const ttl = Number(body.ttl) > 0 ? Number(body.ttl) : this.DEFAULT_TTL;
+        const now = Date.now();
+        return {
+            iceServers,
+            expiresAt: now + ttl * 1000,
+            refreshAt: now + ttl * 1000 * this.REFRESH_AT,
+            error: null
+        };
+    }
+
+    // Split a comma- or space-separated list of URLs
+    splitUrls(urls) {
+        return String(urls || '').split(/[\s,]+/).filter(Boolean);
+    }
+
+    // Stop refreshing credentials
+    dispose() {
+        clearTimeout(this.refreshTimer);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IceSettingsManager;
+}
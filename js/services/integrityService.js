@@ -0,0 +1,75 @@
+// Integrity Service
+// Computes and verifies SHA-256 digests for files and fixed-size byte ranges
+
+class IntegrityService {
+    constructor(rangeSize = 4 * 1024 * 1024) {
+        this.ALGORITHM = 'SHA-256';
+        this.RANGE_SIZE = rangeSize; // 4 MB ranges - small enough to re-send cheaply when one is corrupted
+        this.isSupported = typeof crypto !== 'undefined' && !!crypto.subtle;
+
+        if (!this.isSupported) {
+            console.warn('Web Crypto not available (requires HTTPS) - transfers will not be verified');
+        }
+    }
+
+    // Convert a digest ArrayBuffer to a lowercase hex string
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Digest a single ArrayBuffer
+    async digest(data) {
+        return this.toHex(await crypto.subtle.digest(this.ALGORITHM, data));
+    }
+
+    // Compute per-range digests and a file digest, reading one range at a time
+    // The file digest is SHA-256 over the concatenated range digests, so the whole file never has to be in memory
+    async computeDigests(blob, rangeSize = this.RANGE_SIZE) {
+        if (!this.isSupported) return null;
+
+        const rangeDigests = [];
+        for (let offset = 0; offset < blob.size; offset += rangeSize) {
+            const data = await blob.slice(offset, offset + rangeSize).arrayBuffer();
+            rangeDigests.push(await this.digest(data));
+        }
+
+        return {
+            algorithm: this.ALGORITHM,
+            rangeSize: rangeSize,
+            rangeDigests: rangeDigests,
+            fileDigest: await this.digest(new TextEncoder().encode(rangeDigests.join('')))
+        };
+    }
+
+    // Verify a blob against expected digests
+    // Returns { verified, corruptedRanges } where corruptedRanges is a list of [start, end) byte ranges
+    async verify(blob, expected) {
+        if (!this.isSupported || !expected || expected.algorithm !== this.ALGORITHM) {
+            return { verified: false, skipped: true, corruptedRanges: [] };
+        }
+
+        const actual = await this.computeDigests(blob, expected.rangeSize);
+        const corruptedRanges = [];
+
+        expected.rangeDigests.forEach((expectedDigest, index) => {
+            if (actual.rangeDigests[index] !== expectedDigest) {
+                const start = index * expected.rangeSize;
+                corruptedRanges.push([start, Math.min(start + expected.rangeSize, blob.size)]);
+            }
+        });
+
+        return {
+            verified: corruptedRanges.length === 0 && actual.fileDigest === expected.fileDigest,
+            skipped: false,
+            corruptedRanges: corruptedRanges,
+            fileDigest: actual.fileDigest
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntegrityService;
+}
@@ -0,0 +1,241 @@
+// Manual Data Connection Service
+// Wraps an RTCDataChannel from manual pairing in the parts of the PeerJS DataConnection interface
+// the app uses (peer, open, send, close, on/off/once/emit, peerConnection, dataChannel, bufferSize),
+// so setupConnectionHandlers and everything after it treat it like any other connection
+// Messages are JSON with binary values (ArrayBuffer, typed arrays, Blobs) carried alongside, split into
+// pieces that fit the channel's message size limit
+
+class ManualDataConnection {
+    constructor(peerId, peerConnection, dataChannel, options = {}) {
+        this.peer = peerId;
+        this.peerConnection = peerConnection;
+        this.dataChannel = dataChannel;
+        this.type = 'data';
+        this.label = dataChannel.label;
+        this.metadata = options.metadata || null;
+        this.reliable = true;
+        this.serialization = 'manual';
+        this.open = false;
+        this.bufferSize = 0; // Bytes of messages still being encoded (Blobs are read first)
+        this.MAX_PIECE_SIZE = options.maxPieceSize || 64 * 1024; // Every browser accepts data channel messages this big
+        this.BINARY_KEY = '__binary'; // Placeholder key for binary values inside the JSON
+        this.listeners = new Map(); // event -> [handler]
+        this.sendQueue = Promise.resolve(); // Keeps messages in order while Blobs are read
+        this.pieces = []; // Pieces of the message being received
+        this.closed = false;
+
+        dataChannel.binaryType = 'arraybuffer';
+        dataChannel.addEventListener('open', () => this.handleOpen());
+        dataChannel.addEventListener('message', (event) => this.receive(event.data));
+        dataChannel.addEventListener('close', () => this.close());
+        dataChannel.addEventListener('error', (event) => {
+            this.emit('error', event.error || new Error('Data channel error'));
+        });
+        peerConnection.addEventListener('connectionstatechange', () => {
+            if (peerConnection.connectionState === 'failed' && !this.closed) {
+                // Same error PeerJS reports, so a pairing that never connects ends like any other connection
+                const error = new Error(`Negotiation of connection to ${peerId} failed.`);
+                error.type = 'negotiation-failed';
+                this.emit('error', error);
+            }
+            if (peerConnection.connectionState === 'failed' || peerConnection.connectionState === 'closed') {
+                this.close();
+            }
+        });
+        if (dataChannel.readyState === 'open') {
+            setTimeout(() => this.handleOpen()); // Let the caller attach its handlers first
+        }
+    }
+
+    // Add an event handler ('open', 'data', 'close', 'error')
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(handler);
+        return this;
+    }
+
+    // Remove an event handler
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            this.listeners.set(event, handlers.filter(item => item !== handler && item.original !== handler));
+        }
+        return this;
+    }
+
+    // Add a handler that runs once
+    once(event, handler) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            handler(...args);
+        };
+        wrapper.original = handler;
+        return this.on(event, wrapper);
+    }
+
+    // Call the handlers of an event (also used to replay held messages, as with PeerJS connections)
+    emit(event, ...args) {
+        (this.listeners.get(event) || []).slice().forEach(handler => handler(...args));
+    }
+
+    // Send a message; like PeerJS, this returns straight away and reports failures through 'error'
+    send(data) {
+        if (!this.open) {
+            this.emit('error', new Error('Connection is not open. You should listen for the "open" event before sending messages.'));
+            return;
+        }
+        const size = this.estimateSize(data);
+        this.bufferSize += size;
+        this.sendQueue = this.sendQueue
+            .then(() => this.encode(data))
+            .then((bytes) => {
+                if (this.open) this.sendPieces(bytes);
+            })
+            .catch((error) => this.emit('error', error))
+            .finally(() => {
+                this.bufferSize -= size;
+            });
+    }
+
+    // Close the channel and the peer connection
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        const wasOpen = this.open;
+        this.open = false;
+        try {
+            this.dataChannel.close();
+            this.peerConnection.close();
+        } catch (error) {
+            // Already closed
+        }
+        if (wasOpen) this.emit('close');
+    }
+
+    // The data channel is ready
+    handleOpen() {
+        if (this.open || this.closed) return;
+        this.open = true;
+        this.emit('open');
+    }
+
+    // Bytes a message will add to the send buffer (binary values only - the JSON is small)
+    estimateSize(value) {
+        if (value instanceof ArrayBuffer) return value.byteLength;
+        if (ArrayBuffer.isView(value)) return value.byteLength;
+        if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+        if (value && typeof value === 'object') {
+            return Object.values(value).reduce((sum, item) => sum + this.estimateSize(item), 0);
+        }
+        return 0;
+    }
+
+    // Encode a message: 4-byte JSON length, the JSON, then the binary values it points to
+    async encode(data) {
+        const buffers = [];
+        let offset = 0;
+        const extract = async (value) => {
+            let bytes = null;
+            if (value instanceof ArrayBuffer) {
+                bytes = new Uint8Array(value);
+            } else if (ArrayBuffer.isView(value)) {
+                bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            } else if (typeof Blob !== 'undefined' && value instanceof Blob) {
+                bytes = new Uint8Array(await value.arrayBuffer());
+            }
+            if (bytes) {
+                buffers.push(bytes);
+                offset += bytes.byteLength;
+                return { [this.BINARY_KEY]: [offset - bytes.byteLength, bytes.byteLength] };
+            }
+            if (Array.isArray(value)) {
+                const result = [];
+                for (const item of value) result.push(await extract(item));
+                return result;
+            }
+            if (value && typeof value === 'object') {
+                const result = {};
+                for (const [key, item] of Object.entries(value)) result[key] = await extract(item);
+                return result;
+            }
+            return value;
+        };
+
+        const json = new TextEncoder().encode(JSON.stringify(await extract(data)));
+        const message = new Uint8Array(4 + json.byteLength + offset);
+        new DataView(message.buffer).setUint32(0, json.byteLength);
+        message.set(json, 4);
+        let position = 4 + json.byteLength;
+        buffers.forEach(bytes => {
+            message.set(bytes, position);
+            position += bytes.byteLength;
+        });
+        return message;
+    }
+
+    // Decode a message produced by encode(); binary values come back as ArrayBuffers
+    decode(message) {
+        const jsonLength = new DataView(message.buffer, message.byteOffset).getUint32(0);
+        const binaryStart = 4 + jsonLength;
+        const restore = (value) => {
+            if (Array.isArray(value)) return value.map(restore);
+            if (value && typeof value === 'object') {
+                const range = value[this.BINARY_KEY];
+                if (Array.isArray(range) && Object.keys(value).length === 1) {
+                    const start = message.byteOffset + binaryStart + range[0];
+                    return message.buffer.slice(start, start + range[1]);
+                }
+                const result = {};
+                Object.entries(value).forEach(([key, item]) => {
+                    result[key] = restore(item);
+                });
+                return result;
+            }
+            return value;
+        };
+        return restore(JSON.parse(new TextDecoder().decode(message.subarray(4, binaryStart))));
+    }
+
+    // Send a message in pieces: each starts with 1 if more pieces follow, 0 on the last
+    sendPieces(message) {
+        const size = this.MAX_PIECE_SIZE - 1;
+        for (let start = 0; start < message.byteLength; start += size) {
+            const chunk = message.subarray(start, start + size);
+            const piece = new Uint8Array(chunk.byteLength + 1);
+            piece[0] = start + size < message.byteLength ? 1 : 0;
+            piece.set(chunk, 1);
+            this.dataChannel.send(piece);
+        }
+    }
+
+    // Collect pieces and hand complete messages to the 'data' handlers
+    receive(data) {
+        const piece = new Uint8Array(data);
+        if (piece.byteLength === 0) return;
+        this.pieces.push(piece.subarray(1));
+        if (piece[0] === 1) return;
+
+        const length = this.pieces.reduce((sum, item) => sum + item.byteLength, 0);
+        const message = new Uint8Array(length);
+        let position = 0;
+        this.pieces.forEach(item => {
+            message.set(item, position);
+            position += item.byteLength;
+        });
+        this.pieces = [];
+
+        let decoded;
+        try {
+            decoded = this.decode(message);
+        } catch (error) {
+            this.emit('error', new Error(`Could not decode a message: ${error.message}`));
+            return;
+        }
+        this.emit('data', decoded);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManualDataConnection;
+}
@@ -0,0 +1,175 @@
+// Manual Signaling Service
+// Pairs two devices without a signaling server: the SDP offer and answer (with every ICE candidate
+// gathered up front) are compressed into short codes that travel by QR code or copy-paste
+// Both sides open the same pre-negotiated data channel, so no further messages are needed
+
+class ManualSignaling {
+    constructor(options = {}) {
+        this.GATHER_TIMEOUT = options.gatherTimeout || 5000; // Unreachable STUN servers can stall gathering - use what's there by then
+        this.CHANNEL_LABEL = 'one-host-manual';
+        this.CHANNEL_ID = 0; // Negotiated channel id, the same on both sides
+        this.VERSION = 1;
+        this.isSupported = typeof RTCPeerConnection !== 'undefined';
+        this.canCompress = typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    // Start pairing: resolves { peerConnection, dataChannel, code } - the code goes to the other device
+    async createOffer(localPeerId, rtcConfig) {
+        const { peerConnection, dataChannel } = this.createPeerConnection(rtcConfig);
+        try {
+            await peerConnection.setLocalDescription(await peerConnection.createOffer());
+            await this.waitForGathering(peerConnection);
+            const code = await this.encode({ type: 'offer', id: localPeerId, sdp: peerConnection.localDescription.sdp });
+            return { peerConnection, dataChannel, code };
+        } catch (error) {
+            peerConnection.close();
+            throw error;
+        }
+    }
+
+    // Answer an offer code: resolves { peerConnection, dataChannel, remotePeerId, code } - the code goes back to the offering device
+    async acceptOffer(offerCode, localPeerId, rtcConfig) {
+        const offer = await this.decode(offerCode, 'offer');
+        const { peerConnection, dataChannel } = this.createPeerConnection(rtcConfig);
+        try {
+            await peerConnection.setRemoteDescription({ type: 'offer', sdp: offer.sdp });
+            await peerConnection.setLocalDescription(await peerConnection.createAnswer());
+            await this.waitForGathering(peerConnection);
+            const code = await this.encode({ type: 'answer', id: localPeerId, sdp: peerConnection.localDescription.sdp });
+            return { peerConnection, dataChannel, remotePeerId: offer.id, code };
+        } catch (error) {
+            peerConnection.close();
+            throw error;
+        }
+    }
+
+    // Finish pairing on the offering device; resolves with the other device's peer ID
+    async acceptAnswer(session, answerCode) {
+        const answer = await this.decode(answerCode, 'answer');
+        if (session.peerConnection.signalingState !== 'have-local-offer') {
+            throw new Error('This pairing code was already used - start again');
+        }
+        await session.peerConnection.setRemoteDescription({ type: 'answer', sdp: answer.sdp });
+        return answer.id;
+    }
+
+    // Peer connection with the pre-negotiated data channel both sides use
+    createPeerConnection(rtcConfig) {
+        const peerConnection = new RTCPeerConnection(rtcConfig);
+        const dataChannel = peerConnection.createDataChannel(this.CHANNEL_LABEL, {
+            negotiated: true,
+            id: this.CHANNEL_ID,
+            ordered: true
+        });
+        return { peerConnection, dataChannel };
+    }
+
+    // Wait until every candidate is in the local description (there is no way to send them later)
+    waitForGathering(peerConnection) {
+        if (peerConnection.iceGatheringState === 'complete') return Promise.resolve();
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                peerConnection.removeEventListener('icegatheringstatechange', check);
+                resolve();
+            };
+            const check = () => {
+                if (peerConnection.iceGatheringState === 'complete') done();
+            };
+            const timer = setTimeout(done, this.GATHER_TIMEOUT);
+            peerConnection.addEventListener('icegatheringstatechange', check);
+        });
+    }
+
+    // Turn a description into a code: 'Z' + base64url of deflate-compressed JSON ('J' + plain JSON where
+    // CompressionStream is missing)
+    async encode(description) {
+        const json = JSON.stringify({ v: this.VERSION, t: description.type, id: description.id, sdp: this.shrinkSdp(description.sdp) });
+        const bytes = new TextEncoder().encode(json);
+        if (!this.canCompress) {
+            return 'J' + this.toBase64Url(bytes);
+        }
+        return 'Z' + this.toBase64Url(await this.transform(bytes, new CompressionStream('deflate-raw')));
+    }
+
+    // Read a code back; expectedType ('offer' or 'answer') catches codes pasted on the wrong device
+    async decode(code, expectedType) {
+        const text = this.extractCode(code);
+        if (!text) {
+            throw new Error('Paste or scan a pairing code first');
+        }
+
+        let description;
+        try {
+            let bytes = this.fromBase64Url(text.slice(1));
+            if (text[0] === 'Z') {
+                if (!this.canCompress) throw new Error('Compressed codes are not supported in this browser');
+                bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+            } else if (text[0] !== 'J') {
+                throw new Error('Unknown format');
+            }
+            description = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`Not a valid pairing code (${error.message})`);
+        }
+
+        if (description.v !== this.VERSION) {
+            throw new Error('This pairing code comes from a different version of the app');
+        }
+        if (description.t !== expectedType) {
+            throw new Error(expectedType === 'answer'
+                ? 'This is a pairing code, not a reply - enter it on the other device'
+                : 'This is a reply code - enter it on the device that created the pairing code');
+        }
+        if (typeof description.id !== 'string' || !description.id || typeof description.sdp !== 'string') {
+            throw new Error('Not a valid pairing code');
+        }
+        return { type: description.t, id: description.id, sdp: description.sdp };
+    }
+
+    // Accept a bare code or a pairing link (…#pair=code), ignoring whitespace added by messengers
+    extractCode(input) {
+        const text = String(input || '').trim();
+        const match = text.match(/[#&]pair=([^&\s]+)/);
+        return (match ? decodeURIComponent(match[1]) : text).replace(/\s+/g, '');
+    }
+
+    // Drop SDP lines a data-channel-only connection doesn't need, to keep QR codes small
+    shrinkSdp(sdp) {
+        return sdp
+            .split('\r\n')
+            .filter(line => line && !line.startsWith('a=extmap-allow-mixed') && !line.startsWith('a=msid-semantic'))
+            .join('\r\n') + '\r\n';
+    }
+
+    // Run bytes through a CompressionStream or DecompressionStream
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    // URL-safe base64 without padding
+    toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Bytes from URL-safe base64
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManualSignaling;
+}
@@ -0,0 +1,101 @@
+// Peer Liveness Service
+// Measures round-trip time from keep-alive responses and counts keep-alives a peer left unanswered,
+// so a connection that went silent is noticed even while the data channel still reports itself open
+
+class PeerLiveness {
+    constructor(options = {}) {
+        this.MAX_MISSES = options.maxMisses || 3; // Unanswered keep-alives in a row before a peer counts as stale
+        this.RESPONSE_TIMEOUT = options.responseTimeout || 10000; // A keep-alive only counts as missed once it has had this long to be answered
+        this.SMOOTHING = options.smoothing || 0.125; // Weight of a new sample in the smoothed RTT (same as TCP)
+        this.onChange = options.onChange || null; // (peerId, entry) - entry is null once a peer is forgotten
+        this.peers = new Map(); // peerId -> { rtt, smoothedRtt, misses, pendingSince, lastSeen, lastResponse }
+    }
+
+    // Call when a keep-alive goes out; counts the previous one as missed if nothing came back since
+    // Returns the peer's entry (check isStale before sending)
+    ping(peerId, now = Date.now()) {
+        const entry = this.getEntry(peerId);
+        if (entry.pendingSince !== null) {
+            if (now - entry.pendingSince < this.RESPONSE_TIMEOUT) {
+                return entry; // Still waiting on the last one (keep-alives also go out on blur and hide)
+            }
+            if (entry.lastSeen < entry.pendingSince) {
+                entry.misses++;
+            }
+        }
+        entry.pendingSince = now;
+        this.notify(peerId, entry);
+        return entry;
+    }
+
+    // Any message from the peer shows it is alive - a busy transfer delays responses but never looks dead
+    markSeen(peerId, now = Date.now()) {
+        const entry = this.peers.get(peerId);
+        if (!entry) return;
+        entry.lastSeen = now;
+        if (entry.misses > 0) {
+            entry.misses = 0;
+            this.notify(peerId, entry);
+        }
+    }
+
+    // A keep-alive or health-check response; sentAt is the timestamp the peer echoed back
+    // (peers without RTT support don't echo it, their responses still count as a sign of life)
+    recordResponse(peerId, sentAt, now = Date.now()) {
+        const entry = this.getEntry(peerId);
+        entry.lastSeen = now;
+        entry.lastResponse = now;
+        entry.pendingSince = null;
+        entry.misses = 0;
+
+        const rtt = now - sentAt;
+        if (typeof sentAt === 'number' && rtt >= 0 && rtt < 10 * 60 * 1000) {
+            entry.rtt = rtt;
+            entry.smoothedRtt = entry.smoothedRtt === null ? rtt : entry.smoothedRtt + this.SMOOTHING * (rtt - entry.smoothedRtt);
+        }
+        this.notify(peerId, entry);
+        return entry.rtt;
+    }
+
+    // Check if a peer has left MAX_MISSES keep-alives in a row unanswered
+    isStale(peerId) {
+        const entry = this.peers.get(peerId);
+        return !!entry && entry.misses >= this.MAX_MISSES;
+    }
+
+    // Latency figures of a peer, or null if it isn't tracked
+    getStats(peerId) {
+        return this.peers.get(peerId) || null;
+    }
+
+    // Stop tracking a peer (its connection closed, or a new one starts from scratch)
+    forget(peerId) {
+        if (!this.peers.delete(peerId)) return;
+        if (this.onChange) this.onChange(peerId, null);
+    }
+
+    // Get (or create) the entry for a peer
+    getEntry(peerId) {
+        if (!this.peers.has(peerId)) {
+            this.peers.set(peerId, {
+                rtt: null,
+                smoothedRtt: null,
+                misses: 0,
+                pendingSince: null,
+                lastSeen: 0,
+                lastResponse: null
+            });
+        }
+        return this.peers.get(peerId);
+    }
+
+    // Tell the listener about a change
+    notify(peerId, entry) {
+        if (this.onChange) this.onChange(peerId, entry);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PeerLiveness;
+}
@@ -0,0 +1,168 @@
+// Reconnection Manager Service
+// Tracks each peer through connected -> degraded -> reconnecting -> lost and reconnects dropped peers
+// with exponential backoff and jitter (via the retry helper), giving up after a configurable number of attempts
+
+class ReconnectionManager {
+    constructor(retry, options = {}) {
+        this.retry = retry; // retry(fn, maxAttempts, baseDelay, { jitter, maxDelay, shouldRetry, onRetry }) from js/utils/helpers.js
+        this.connect = options.connect || null; // (peerId) -> Promise that resolves once a new connection is open
+        this.onStateChange = options.onStateChange || null; // (peerId, entry) - entry is null once a peer is forgotten
+        this.MAX_ATTEMPTS = options.maxAttempts || 6;
+        this.BASE_DELAY = options.baseDelay || 1000; // Wait before the 2nd attempt, doubling after each failure
+        this.MAX_DELAY = options.maxDelay || 30000;
+        this.JITTER = options.jitter !== undefined ? options.jitter : 0.3; // Each wait varies by up to ±30% so peers don't retry in lockstep
+        this.STATES = {
+            CONNECTED: 'connected',
+            DEGRADED: 'degraded',
+            RECONNECTING: 'reconnecting',
+            LOST: 'lost'
+        };
+        this.peers = new Map(); // peerId -> { state, attempt, nextRetryAt, lastError, cycle, since }
+    }
+
+    // Current state of a peer, or null if it isn't tracked
+    getState(peerId) {
+        return this.peers.get(peerId) || null;
+    }
+
+    // Check if a reconnection loop is running for a peer
+    isReconnecting(peerId) {
+        const entry = this.peers.get(peerId);
+        return !!entry && entry.state === this.STATES.RECONNECTING;
+    }
+
+    // A connection to the peer is open (also ends any reconnection loop for it)
+    markConnected(peerId) {
+        const entry = this.getEntry(peerId);
+        entry.cycle++; // attempt is kept, so listeners can see how many it took
+        entry.nextRetryAt = null;
+        entry.lastError = null;
+        this.setState(peerId, entry, this.STATES.CONNECTED);
+    }
+
+    // The connection is still open but unhealthy (ICE disconnected, errors, missed keep-alives)
+    markDegraded(peerId, reason = null) {
+        const entry = this.peers.get(peerId);
+        if (!entry || entry.state !== this.STATES.CONNECTED) return;
+        entry.lastError = reason;
+        this.setState(peerId, entry, this.STATES.DEGRADED);
+    }
+
+    // A degraded connection is healthy again
+    markRecovered(peerId) {
+        const entry = this.peers.get(peerId);
+        if (!entry || entry.state !== this.STATES.DEGRADED) return;
+        entry.lastError = null;
+        this.setState(peerId, entry, this.STATES.CONNECTED);
+    }
+
+    // The connection is gone and we won't reconnect ourselves (the other side reconnects, or the user can retry)
+    markLost(peerId, reason = null) {
+        const entry = this.getEntry(peerId);
+        entry.cycle++;
+        entry.nextRetryAt = null;
+        entry.lastError = reason;
+        this.setState(peerId, entry, this.STATES.LOST);
+    }
+
+    // Start reconnecting to a peer (no-op while a loop for it is already running)
+    start(peerId, reason = null) {
+        const entry = this.getEntry(peerId);
+        if (entry.state === this.STATES.RECONNECTING) return entry.promise;
+        entry.lastError = reason;
+        entry.promise = this.run(peerId, entry);
+        return entry.promise;
+    }
+
+    // Skip the current wait and start a fresh series of attempts
+    retryNow(peerId) {
+        const entry = this.getEntry(peerId);
+        entry.promise = this.run(peerId, entry);
+        return entry.promise;
+    }
+
+    // Stop tracking a peer (user disconnected, the peer left on purpose, or it refused us)
+    forget(peerId) {
+        const entry = this.peers.get(peerId);
+        if (!entry) return;
+        entry.cycle++; // A running loop stops before its next attempt
+        this.peers.delete(peerId);
+        if (this.onStateChange) this.onStateChange(peerId, null);
+    }
+
+    // One series of attempts; a newer series (retryNow, markConnected, forget) makes this one stop quietly
+    async run(peerId, entry) {
+        const cycle = ++entry.cycle;
+        entry.attempt = 0;
+        entry.nextRetryAt = null;
+        this.setState(peerId, entry, this.STATES.RECONNECTING);
+
+        try {
+            await this.retry(async (attempt) => {
+                if (cycle !== entry.cycle) {
+                    throw new Error('Reconnection superseded');
+                }
+                entry.attempt = attempt;
+                entry.nextRetryAt = null;
+                this.notify(peerId, entry);
+                await this.connect(peerId);
+            }, this.MAX_ATTEMPTS, this.BASE_DELAY, {
+                jitter: this.JITTER,
+                maxDelay: this.MAX_DELAY,
+                shouldRetry: () => cycle === entry.cycle,
+                onRetry: (error, attempt, delay) => {
+                    console.log(`🔄 Reconnection attempt ${attempt} to ${peerId} failed (${error.message}), retrying in ${delay} ms`);
+                    entry.lastError = error.message;
+                    entry.nextRetryAt = Date.now() + delay;
+                    this.notify(peerId, entry);
+                }
+            });
+            if (cycle === entry.cycle) {
+                this.markConnected(peerId);
+            }
+            return true;
+        } catch (error) {
+            if (cycle !== entry.cycle || !this.peers.has(peerId)) return false;
+            console.warn(`❌ Gave up reconnecting to ${peerId} after ${entry.attempt} attempts:`, error.message);
+            entry.lastError = error.message;
+            entry.nextRetryAt = null;
+            this.setState(peerId, entry, this.STATES.LOST);
+            return false;
+        }
+    }
+
+    // Get (or create) the entry for a peer
+    getEntry(peerId) {
+        if (!this.peers.has(peerId)) {
+            this.peers.set(peerId, {
+                state: null,
+                attempt: 0,
+                nextRetryAt: null,
+                lastError: null,
+                cycle: 0,
+                since: Date.now(),
+                promise: null
+            });
+        }
+        return this.peers.get(peerId);
+    }
+
+    // Change state and tell the listener
+    setState(peerId, entry, state) {
+        if (entry.state !== state) {
+            entry.state = state;
+            entry.since = Date.now();
+        }
+        this.notify(peerId, entry);
+    }
+
+    // Tell the listener about a change
+    notify(peerId, entry) {
+        if (this.onStateChange) this.onStateChange(peerId, entry);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReconnectionManager;
+}
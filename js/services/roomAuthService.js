@@ -0,0 +1,95 @@
+// Room Auth Service
+// Mutual passphrase check for protected rooms: host and joiner each prove they know the passphrase
+// without sending it, with an HMAC keyed from the passphrase (PBKDF2) over both sides' one-time nonces
+// The host proves itself first, so a peer posing as the host learns nothing from the joiner
+
+class RoomAuthService {
+    constructor(iterations = 100000) {
+        this.ITERATIONS = iterations; // PBKDF2 rounds - slows down guessing the passphrase from a captured proof
+        this.MIN_ITERATIONS = 100000; // Lower bound accepted from a host, so it can't make proofs cheap to guess from
+        this.MAX_ITERATIONS = 1000000; // Upper bound accepted from a host, so a peer can't make us spin
+        this.NONCE_PATTERN = /^[0-9a-f]{32}$/; // 16 random bytes as hex
+        this.isSupported = typeof crypto !== 'undefined' && !!crypto.subtle;
+
+        if (!this.isSupported) {
+            console.warn('Web Crypto not available (requires HTTPS) - room passphrases are unavailable');
+        }
+    }
+
+    // Random bytes as a hex string
+    randomHex(length) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(length)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Create a one-time challenge for a joining peer
+    createChallenge() {
+        return {
+            nonce: this.randomHex(16),
+            iterations: this.ITERATIONS
+        };
+    }
+
+    // Create the joining peer's own nonce, sent back before anything derived from the passphrase
+    createNonce() {
+        return this.randomHex(16);
+    }
+
+    // Check a nonce from the other side
+    isValidNonce(nonce) {
+        return typeof nonce === 'string' && this.NONCE_PATTERN.test(nonce);
+    }
+
+    // Check a host's challenge before answering it - rounds outside our bounds are refused
+    isValidChallenge(challenge) {
+        const iterations = challenge && challenge.iterations;
+        return !!challenge && this.isValidNonce(challenge.nonce) && Number.isInteger(iterations) &&
+            iterations >= this.MIN_ITERATIONS && iterations <= this.MAX_ITERATIONS;
+    }
+
+    // Derive the HMAC key for a passphrase and salt
+    async deriveKey(passphrase, salt, iterations) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: iterations },
+            baseKey,
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+    }
+
+    // Prove knowledge of the passphrase as 'host' or 'joiner'
+    // exchange: { hostNonce, joinerNonce, iterations, hostId, joinerId } - the salt takes both nonces, and the
+    // proof is bound to the role and both peer IDs so it can't be reflected back or replayed to another peer
+    async createProof(passphrase, exchange, role) {
+        const key = await this.deriveKey(passphrase, `${exchange.hostNonce}:${exchange.joinerNonce}`, exchange.iterations);
+        const message = new TextEncoder().encode(
+            `${role}:${exchange.hostNonce}:${exchange.joinerNonce}:${exchange.hostId}:${exchange.joinerId}`
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, message);
+        return Array.from(new Uint8Array(signature))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Check the other side's proof
+    async verifyProof(passphrase, exchange, role, proof) {
+        if (typeof proof !== 'string') return false;
+        const expected = await this.createProof(passphrase, exchange, role);
+
+        // Compare every character so the time taken doesn't reveal how much matched
+        let difference = expected.length ^ proof.length;
+        for (let i = 0; i < expected.length; i++) {
+            difference |= expected.charCodeAt(i) ^ (proof.charCodeAt(i) || 0);
+        }
+        return difference === 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoomAuthService;
+}
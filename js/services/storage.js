@@ -1,8 +1,15 @@
 // Storage Service - Handles IndexedDB and Local Storage
-import { DB_NAME, DB_VERSION, STORE_NAME, MAX_RECENT_PEERS } from '../config/constants.js';
 
 class StorageService {
     constructor() {
+        // Settings come from the global CONFIG (js/config/constants.js)
+        this.DB_NAME = window.CONFIG?.DB_NAME || 'fileTransferDB';
+        this.DB_VERSION = window.CONFIG?.DB_VERSION || 3;
+        this.STORE_NAME = window.CONFIG?.STORE_NAME || 'files';
+        this.CHAT_STORE_NAME = window.CONFIG?.CHAT_STORE_NAME || 'chatMessages';
+        this.SHARED_FILES_STORE_NAME = window.CONFIG?.SHARED_FILES_STORE_NAME || 'sharedFiles';
+        this.MAX_CHAT_MESSAGES = window.CONFIG?.MAX_CHAT_MESSAGES || 200; // Per thread - older messages are deleted
+        this.MAX_RECENT_PEERS = 5;
         this.db = null;
         this.isInitialized = false;
     }
@@ -12,7 +19,7 @@ class StorageService {
         if (this.isInitialized) return;
 
         try {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
             
             request.onerror = (event) => {
                 console.error('IndexedDB initialization failed:', event.target.error);
@@ -21,8 +28,15 @@ class StorageService {
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.CHAT_STORE_NAME)) {
+                    const chatStore = db.createObjectStore(this.CHAT_STORE_NAME, { keyPath: 'id' });
+                    chatStore.createIndex('threadId', 'threadId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.SHARED_FILES_STORE_NAME)) {
+                    db.createObjectStore(this.SHARED_FILES_STORE_NAME, { keyPath: 'id' });
                 }
             };
 
@@ -57,8 +71,8 @@ class StorageService {
         if (!this.isInitialized) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.STORE_NAME);
             const request = store.put(fileInfo);
 
             request.onsuccess = () => resolve();
@@ -71,8 +85,8 @@ class StorageService {
         if (!this.isInitialized) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.STORE_NAME);
             const request = store.get(fileId);
 
             request.onsuccess = () => resolve(request.result);
@@ -85,8 +99,8 @@ class StorageService {
         if (!this.isInitialized) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.STORE_NAME);
             const request = store.getAll();
 
             request.onsuccess = () => resolve(request.result);
@@ -99,8 +113,8 @@ class StorageService {
         if (!this.isInitialized) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.STORE_NAME);
             const request = store.delete(fileId);
 
             request.onsuccess = () => resolve();
@@ -113,8 +127,139 @@ class StorageService {
         if (!this.isInitialized) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.STORE_NAME);
+            const request = store.clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Key a chat message is stored under - namespaced by thread and sender, so a peer can't pick the ID of a
+    // message in another thread (or one of ours) and overwrite it
+    getChatMessageKey(message) {
+        return message.storageKey || `${message.threadId}:${message.outgoing ? 'outgoing' : message.from}:${message.id}`;
+    }
+
+    // Save (or update) a chat message, then delete the oldest messages of its thread beyond MAX_CHAT_MESSAGES
+    async saveChatMessage(message) {
+        if (!this.isInitialized) await this.init();
+
+        const { storageKey, ...fields } = message;
+        const record = { ...fields, id: this.getChatMessageKey(message), messageId: message.id };
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.CHAT_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.CHAT_STORE_NAME);
+            store.put(record).onsuccess = () => {
+                const request = store.index('threadId').getAll(message.threadId);
+                request.onsuccess = () => {
+                    const excess = request.result.length - this.MAX_CHAT_MESSAGES;
+                    if (excess > 0) {
+                        request.result
+                            .sort((a, b) => a.timestamp - b.timestamp)
+                            .slice(0, excess)
+                            .forEach(item => store.delete(item.id));
+                    }
+                };
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Get the messages of a chat thread (every thread when threadId is null), oldest first
+    // Messages come back with the ID their sender gave them; storageKey is what saveChatMessage updates
+    async getChatMessages(threadId = null) {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.CHAT_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.CHAT_STORE_NAME);
+            const request = threadId === null ? store.getAll() : store.index('threadId').getAll(threadId);
+
+            request.onsuccess = () => {
+                // Messages saved before keys were namespaced have no messageId - their key is the message ID
+                const messages = request.result.map(({ messageId, ...record }) => ({
+                    ...record,
+                    id: messageId || record.id,
+                    storageKey: record.id
+                }));
+                resolve(messages.sort((a, b) => a.timestamp - b.timestamp));
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Delete every message of a chat thread
+    async deleteChatThread(threadId) {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.CHAT_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(this.CHAT_STORE_NAME).index('threadId').openKeyCursor(IDBKeyRange.only(threadId));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    transaction.objectStore(this.CHAT_STORE_NAME).delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Save how to get a shared file back after a reload: { id, handle } or { id, blob }
+    async saveSharedFile(record) {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SHARED_FILES_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.SHARED_FILES_STORE_NAME);
+            const request = store.put(record);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Get every saved shared file
+    async getSharedFiles() {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SHARED_FILES_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.SHARED_FILES_STORE_NAME);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Delete a saved shared file
+    async deleteSharedFile(fileId) {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SHARED_FILES_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.SHARED_FILES_STORE_NAME);
+            const request = store.delete(fileId);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Clear all saved shared files
+    async clearSharedFiles() {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SHARED_FILES_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.SHARED_FILES_STORE_NAME);
             const request = store.clear();
 
             request.onsuccess = () => resolve();
@@ -147,7 +292,7 @@ class StorageService {
             recentPeers.splice(existingIndex, 1);
         }
         recentPeers.unshift(peerId);
-        if (recentPeers.length > MAX_RECENT_PEERS) {
+        if (recentPeers.length > this.MAX_RECENT_PEERS) {
             recentPeers.pop();
         }
         this.saveRecentPeers(recentPeers);
@@ -239,6 +384,7 @@ class StorageService {
 
             for (const file of filesToDelete) {
                 await this.deleteFile(file.id);
+                await this.deleteSharedFile(file.id); // Its saved handle or copy goes with it
             }
 
             console.log(`Cleaned up ${filesToDelete.length} old files`);
@@ -296,5 +442,7 @@ class StorageService {
     }
 }
 
-// Create and export singleton instance
-export const storageService = new StorageService(); 
\ No newline at end of file
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageService;
+}
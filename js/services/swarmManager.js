@@ -0,0 +1,286 @@
+// Swarm Manager Service
+// Tracks which peers hold which byte ranges of a file, the files we can serve to others,
+// and schedules the pieces of a download across several holders (rarest first)
+
+class SwarmManager {
+    constructor(pieceSize = 4 * 1024 * 1024, seedMemoryLimit = 512 * 1024 * 1024) {
+        this.PIECE_SIZE = pieceSize; // Same as the integrity ranges, so every piece is verified on its own
+        this.SEED_MEMORY_LIMIT = seedMemoryLimit; // In-memory downloads kept for seeding (disk-backed files don't count)
+        this.availability = new Map(); // fileId -> Map(peerId -> { ranges, fileSize, complete })
+        this.seeds = new Map(); // fileId -> { fileSize, fileType, integrity, blob, pieces, pieceSize }
+    }
+
+    // Merge overlapping or adjacent [start, end) ranges
+    mergeRanges(ranges) {
+        const sorted = ranges
+            .filter(range => Array.isArray(range) && range[1] > range[0])
+            .map(range => [range[0], range[1]])
+            .sort((a, b) => a[0] - b[0]);
+        const merged = [];
+
+        for (const range of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+        }
+        return merged;
+    }
+
+    // Check if a list of ranges fully covers [start, end)
+    rangesCover(ranges, start, end) {
+        return ranges.some(range => range[0] <= start && range[1] >= end);
+    }
+
+    // Record the ranges a peer has advertised for a file
+    updateAvailability(peerId, fileId, info) {
+        if (!this.availability.has(fileId)) {
+            this.availability.set(fileId, new Map());
+        }
+        this.availability.get(fileId).set(peerId, {
+            ranges: this.mergeRanges(info.ranges || []),
+            fileSize: info.fileSize,
+            complete: !!info.complete
+        });
+    }
+
+    // Forget everything a peer advertised (it went offline)
+    removePeer(peerId) {
+        for (const [fileId, holders] of this.availability) {
+            holders.delete(peerId);
+            if (holders.size === 0) {
+                this.availability.delete(fileId);
+            }
+        }
+    }
+
+    // List everything peers have advertised ({ fileId, peerId, ranges, fileSize, complete })
+    getKnownHolders() {
+        const entries = [];
+        for (const [fileId, holders] of this.availability) {
+            for (const [peerId, entry] of holders) {
+                entries.push({ fileId, peerId, ...entry });
+            }
+        }
+        return entries;
+    }
+
+    // Get the peers known to hold part of a file (peerId -> { ranges, fileSize, complete })
+    getHolders(fileId, excludePeerIds = []) {
+        const holders = new Map();
+        const known = this.availability.get(fileId);
+        if (!known) return holders;
+
+        for (const [peerId, entry] of known) {
+            if (!excludePeerIds.includes(peerId) && entry.ranges.length > 0) {
+                holders.set(peerId, entry);
+            }
+        }
+        return holders;
+    }
+
+    // Register a fully downloaded file so it can be served to other peers
+    // Returns false when keeping it would exceed the seeding memory limit
+    addCompleteSeed(fileId, blob, integrity = null) {
+        const isDiskBacked = typeof File !== 'undefined' && blob instanceof File;
+        if (!isDiskBacked && this.getSeedMemoryBytes(fileId) + blob.size > this.SEED_MEMORY_LIMIT) {
+            console.log(`🐝 Not seeding ${fileId}: seeding memory limit reached`);
+            this.seeds.delete(fileId);
+            return false;
+        }
+
+        this.seeds.set(fileId, {
+            fileSize: blob.size,
+            fileType: blob.type,
+            integrity: integrity,
+            blob: blob,
+            inMemory: !isDiskBacked,
+            pieces: null,
+            pieceSize: this.PIECE_SIZE
+        });
+        return true;
+    }
+
+    // Start seeding a file that is still being swarm-downloaded (pieces are added as they arrive)
+    createPartialSeed(fileId, fileSize, fileType, integrity, pieceSize = this.PIECE_SIZE) {
+        this.seeds.set(fileId, {
+            fileSize: fileSize,
+            fileType: fileType,
+            integrity: integrity,
+            blob: null,
+            inMemory: true,
+            pieces: new Array(Math.ceil(fileSize / pieceSize)).fill(null),
+            pieceSize: pieceSize
+        });
+    }
+
+    // Add a verified piece to a partial seed
+    addSeedPiece(fileId, index, blob) {
+        const seed = this.seeds.get(fileId);
+        if (seed && seed.pieces) {
+            seed.pieces[index] = blob;
+        }
+    }
+
+    // Stop serving a file
+    removeSeed(fileId) {
+        this.seeds.delete(fileId);
+    }
+
+    // Get the files we can serve
+    getSeededFileIds() {
+        return Array.from(this.seeds.keys());
+    }
+
+    // Bytes held in memory for seeding (optionally leaving out one file that is about to be replaced)
+    getSeedMemoryBytes(excludeFileId = null) {
+        let total = 0;
+        for (const [fileId, seed] of this.seeds) {
+            if (!seed.inMemory || fileId === excludeFileId) continue;
+            if (seed.blob) {
+                total += seed.blob.size;
+            } else if (seed.pieces) {
+                total += seed.pieces.reduce((sum, piece) => sum + (piece ? piece.size : 0), 0);
+            }
+        }
+        return total;
+    }
+
+    // Get the ranges we can serve for a file
+    getSeedRanges(fileId) {
+        const seed = this.seeds.get(fileId);
+        if (!seed) return [];
+        if (seed.blob) return [[0, seed.fileSize]];
+
+        const ranges = [];
+        seed.pieces.forEach((piece, index) => {
+            if (piece) {
+                const start = index * seed.pieceSize;
+                ranges.push([start, start + piece.size]);
+            }
+        });
+        return this.mergeRanges(ranges);
+    }
+
+    // Get a Blob-like source for serving a seeded file
+    // { size, type, complete, integrity, hasRange(start, end), slice(start, end) }
+    getSeedSource(fileId) {
+        const seed = this.seeds.get(fileId);
+        if (!seed) return null;
+
+        if (seed.blob) {
+            const blob = seed.blob;
+            return {
+                size: blob.size,
+                type: blob.type,
+                complete: true,
+                integrity: seed.integrity,
+                hasRange: () => true,
+                slice: (start, end) => blob.slice(start, end)
+            };
+        }
+
+        const ranges = this.getSeedRanges(fileId);
+        return {
+            size: seed.fileSize,
+            type: seed.fileType,
+            complete: false,
+            integrity: seed.integrity,
+            hasRange: (start, end) => this.rangesCover(ranges, start, end),
+            slice: (start, end) => {
+                // Stitch together the pieces covering the range (Blob parts are referenced, not copied)
+                const firstIndex = Math.floor(start / seed.pieceSize);
+                const lastIndex = Math.ceil(end / seed.pieceSize) - 1;
+                const parts = seed.pieces.slice(firstIndex, lastIndex + 1);
+                if (parts.some(piece => !piece)) {
+                    throw new Error('Range not available');
+                }
+                const base = firstIndex * seed.pieceSize;
+                return new Blob(parts, { type: seed.fileType }).slice(start - base, end - base);
+            }
+        };
+    }
+
+    // Create the state for a swarm download
+    createDownload(fileId, fileSize, pieceSize = this.PIECE_SIZE) {
+        const pieceCount = Math.ceil(fileSize / pieceSize);
+        return {
+            fileId: fileId,
+            fileSize: fileSize,
+            pieceSize: pieceSize,
+            pieceCount: pieceCount,
+            done: new Array(pieceCount).fill(false),
+            inFlight: new Map(), // piece index -> peerId
+            failures: new Map(), // peerId -> failed pieces
+            completedCount: 0
+        };
+    }
+
+    // Get the [start, end) byte range of a piece
+    getPieceRange(download, index) {
+        const start = index * download.pieceSize;
+        return [start, Math.min(start + download.pieceSize, download.fileSize)];
+    }
+
+    // Pick the next piece to fetch from a peer: the rarest piece it holds that nobody is fetching yet
+    // fullHolderIds are peers that hold every piece without having advertised it (the original sender)
+    // Marks the piece as in flight and returns its index, or -1 when the peer has nothing useful
+    pickPiece(download, peerId, fullHolderIds = []) {
+        const holders = this.getHolders(download.fileId);
+        const peerEntry = holders.get(peerId);
+        const peerHoldsAll = fullHolderIds.includes(peerId);
+        let bestIndex = -1;
+        let bestRarity = Infinity;
+
+        for (let index = 0; index < download.pieceCount; index++) {
+            if (download.done[index] || download.inFlight.has(index)) continue;
+
+            const [start, end] = this.getPieceRange(download, index);
+            if (!peerHoldsAll && !(peerEntry && this.rangesCover(peerEntry.ranges, start, end))) continue;
+
+            let rarity = fullHolderIds.length;
+            for (const [holderId, entry] of holders) {
+                if (!fullHolderIds.includes(holderId) && this.rangesCover(entry.ranges, start, end)) {
+                    rarity++;
+                }
+            }
+
+            if (rarity < bestRarity) {
+                bestRarity = rarity;
+                bestIndex = index;
+            }
+        }
+
+        if (bestIndex !== -1) {
+            download.inFlight.set(bestIndex, peerId);
+        }
+        return bestIndex;
+    }
+
+    // Mark a piece as received and verified
+    completePiece(download, index) {
+        download.inFlight.delete(index);
+        if (!download.done[index]) {
+            download.done[index] = true;
+            download.completedCount++;
+        }
+    }
+
+    // Put a piece back in the queue after a failed request or digest mismatch
+    failPiece(download, index, peerId) {
+        download.inFlight.delete(index);
+        download.failures.set(peerId, (download.failures.get(peerId) || 0) + 1);
+    }
+
+    // Check if every piece has been received
+    isComplete(download) {
+        return download.completedCount === download.pieceCount;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwarmManager;
+}
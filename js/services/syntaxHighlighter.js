@@ -0,0 +1,161 @@
+// Syntax Highlighter Service
+// Small regex-based highlighter for text previews: comments, strings, numbers and keywords
+// of common languages, picked from the file extension or MIME type
+
+class SyntaxHighlighter {
+    constructor() {
+        // Extension -> language ('plain' = text shown without highlighting)
+        this.EXTENSIONS = {
+            js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript',
+            json: 'json', webmanifest: 'json',
+            py: 'python',
+            c: 'clike', h: 'clike', cpp: 'clike', hpp: 'clike', cc: 'clike', cs: 'clike', java: 'clike', kt: 'clike',
+            go: 'clike', rs: 'clike', swift: 'clike', php: 'clike', dart: 'clike', scala: 'clike',
+            sh: 'shell', bash: 'shell', zsh: 'shell', yml: 'shell', yaml: 'shell', toml: 'shell', ini: 'shell', conf: 'shell', env: 'shell',
+            css: 'css', scss: 'css', less: 'css',
+            html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+            sql: 'sql',
+            txt: 'plain', md: 'plain', markdown: 'plain', log: 'plain', csv: 'plain', tsv: 'plain', srt: 'plain', vtt: 'plain'
+        };
+
+        this.MIME_TYPES = {
+            'application/json': 'json',
+            'application/javascript': 'javascript',
+            'text/javascript': 'javascript',
+            'application/xml': 'markup',
+            'text/xml': 'markup',
+            'text/html': 'markup',
+            'text/css': 'css',
+            'application/x-sh': 'shell',
+            'application/sql': 'sql'
+        };
+
+        const string = /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/;
+        const number = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+        const lineComment = /\/\/[^\n]*/;
+        const blockComment = /\/\*[\s\S]*?\*\//;
+        const hashComment = /#[^\n]*/;
+        const keywords = (words) => new RegExp(`\\b(?:${words.join('|')})\\b`);
+
+        // Language -> ordered [token type, pattern] rules (patterns must not use capturing groups)
+        this.LANGUAGES = {
+            javascript: [
+                ['comment', lineComment],
+                ['comment', blockComment],
+                ['string', /`(?:\\.|[^`\\])*`/],
+                ['string', string],
+                ['keyword', keywords(['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'type', 'typeof', 'var', 'void', 'while', 'yield'])],
+                ['literal', keywords(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'])],
+                ['number', number]
+            ],
+            json: [
+                ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+                ['string', /"(?:\\.|[^"\\\n])*"/],
+                ['literal', keywords(['true', 'false', 'null'])],
+                ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/]
+            ],
+            python: [
+                ['comment', hashComment],
+                ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''/],
+                ['string', string],
+                ['keyword', keywords(['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'try', 'while', 'with', 'yield'])],
+                ['literal', keywords(['True', 'False', 'None'])],
+                ['number', number]
+            ],
+            clike: [
+                ['comment', lineComment],
+                ['comment', blockComment],
+                ['string', string],
+                ['keyword', keywords(['abstract', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'continue', 'def', 'default', 'defer', 'do', 'double', 'else', 'enum', 'extends', 'extern', 'final', 'float', 'fn', 'for', 'func', 'fun', 'go', 'if', 'impl', 'implements', 'import', 'int', 'interface', 'let', 'long', 'match', 'mut', 'namespace', 'new', 'package', 'private', 'protected', 'pub', 'public', 'return', 'short', 'static', 'struct', 'switch', 'this', 'throw', 'throws', 'trait', 'try', 'typedef', 'unsigned', 'use', 'using', 'val', 'var', 'void', 'while'])],
+                ['literal', keywords(['true', 'false', 'null', 'nil', 'nullptr', 'NULL'])],
+                ['number', number]
+            ],
+            shell: [
+                ['comment', hashComment],
+                ['string', string],
+                ['keyword', keywords(['if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'case', 'esac', 'function', 'return', 'export', 'local', 'echo', 'exit'])],
+                ['literal', keywords(['true', 'false', 'null', 'yes', 'no'])],
+                ['number', number]
+            ],
+            css: [
+                ['comment', blockComment],
+                ['string', string],
+                ['keyword', /@[\w-]+/],
+                ['property', /[\w-]+(?=\s*:[^;{}]*[;}])/],
+                ['number', /-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b|#[\da-fA-F]{3,8}\b/]
+            ],
+            markup: [
+                ['comment', /<!--[\s\S]*?-->/],
+                ['keyword', /<\/?[\w:-]+|\/?>/],
+                ['string', string],
+                ['property', /\b[\w:-]+(?==)/]
+            ],
+            sql: [
+                ['comment', /--[^\n]*/],
+                ['comment', blockComment],
+                ['string', string],
+                ['keyword', new RegExp(`\\b(?:${['select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table', 'drop', 'alter', 'join', 'left', 'right', 'inner', 'outer', 'on', 'and', 'or', 'not', 'null', 'as', 'group', 'by', 'order', 'having', 'limit', 'offset', 'primary', 'key', 'index', 'distinct', 'union', 'case', 'when', 'then', 'else', 'end'].join('|')})\\b`, 'i')],
+                ['number', number]
+            ]
+        };
+    }
+
+    // Pick the language for a file (null when it isn't a text file we know)
+    getLanguage(fileName, mimeType = '') {
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        if (fileName && fileName.includes('.') && this.EXTENSIONS[extension]) {
+            return this.EXTENSIONS[extension];
+        }
+        if (this.MIME_TYPES[mimeType]) {
+            return this.MIME_TYPES[mimeType];
+        }
+        if (mimeType && mimeType.startsWith('text/')) {
+            return 'plain';
+        }
+        return null;
+    }
+
+    // Escape text for use in HTML
+    escape(text) {
+        return text.replace(/[&<>"']/g, (char) => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        })[char]);
+    }
+
+    // Highlight text as HTML - every character is escaped, tokens are wrapped in <span class="token-{type}">
+    highlight(text, language) {
+        const rules = this.LANGUAGES[language];
+        if (!rules) {
+            return this.escape(text);
+        }
+
+        // Only one flag set is allowed per RegExp, so case-insensitive rules are matched case-insensitively throughout
+        const flags = rules.some(([, pattern]) => pattern.flags.includes('i')) ? 'gi' : 'g';
+        const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), flags);
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+            html += this.escape(text.slice(lastIndex, match.index));
+            html += `<span class="token-${rules[ruleIndex][0]}">${this.escape(match[0])}</span>`;
+            lastIndex = pattern.lastIndex;
+        }
+
+        return html + this.escape(text.slice(lastIndex));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntaxHighlighter;
+}
@@ -0,0 +1,143 @@
+// Thumbnail Service
+// Creates small JPEG thumbnails of images and videos (first frame) on the sender,
+// small enough to travel inside the file-info message
+
+class ThumbnailService {
+    constructor(options = {}) {
+        this.MAX_DIMENSION = options.maxDimension || 160; // Longest side of the thumbnail in pixels
+        this.MAX_BYTES = options.maxBytes || 32 * 1024; // Data URLs above this are re-encoded at lower quality, then dropped
+        this.MAX_SOURCE_SIZE = options.maxSourceSize || 50 * 1024 * 1024; // Bigger images aren't decoded just for a thumbnail
+        this.TIMEOUT_MS = options.timeout || 5000; // Give up on files the browser can't decode quickly
+        this.QUALITIES = [0.7, 0.5, 0.3];
+        this.isSupported = typeof document !== 'undefined' && typeof HTMLCanvasElement !== 'undefined';
+    }
+
+    // Check if a thumbnail can be made for this MIME type
+    canCreate(mimeType) {
+        return this.isSupported && !!mimeType && (mimeType.startsWith('image/') || mimeType.startsWith('video/'));
+    }
+
+    // Create a thumbnail data URL for a file, or null when it can't be made (never throws)
+    async create(file) {
+        if (!this.canCreate(file.type)) return null;
+        if (file.type.startsWith('image/') && file.size > this.MAX_SOURCE_SIZE) return null;
+
+        let timer = null;
+        let timedOut = false;
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    reject(new Error('Timed out'));
+                }, this.TIMEOUT_MS);
+            });
+            const source = file.type.startsWith('image/') ? this.loadImage(file) : this.loadVideoFrame(file);
+            // A source that finishes loading after the timeout is released straight away
+            source.then(result => {
+                if (timedOut) result.release();
+            }).catch(() => {});
+            const { element, width, height, release } = await Promise.race([source, timeout]);
+            try {
+                return this.encode(element, width, height);
+            } finally {
+                release();
+            }
+        } catch (error) {
+            console.warn(`Could not create thumbnail for ${file.name}:`, error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Decode an image (createImageBitmap where available, it respects EXIF orientation)
+    async loadImage(file) {
+        if (typeof createImageBitmap === 'function' && file.type !== 'image/svg+xml') {
+            const bitmap = await createImageBitmap(file);
+            return { element: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+        }
+
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        try {
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = () => reject(new Error('Image could not be decoded'));
+                img.src = url;
+            });
+        } catch (error) {
+            URL.revokeObjectURL(url);
+            throw error;
+        }
+        return { element: img, width: img.naturalWidth, height: img.naturalHeight, release: () => URL.revokeObjectURL(url) };
+    }
+
+    // Load a video far enough to draw its first frame
+    async loadVideoFrame(file) {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        const release = () => {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        };
+
+        try {
+            await new Promise((resolve, reject) => {
+                video.onloadeddata = resolve;
+                video.onerror = () => reject(new Error('Video could not be decoded'));
+                video.src = url;
+            });
+            // The very first frame is often black - take one a little way in
+            const seekTo = Math.min(0.5, (video.duration || 0) / 2);
+            if (seekTo > 0) {
+                await new Promise((resolve) => {
+                    video.onseeked = resolve;
+                    video.currentTime = seekTo;
+                });
+            }
+        } catch (error) {
+            release();
+            throw error;
+        }
+        return { element: video, width: video.videoWidth, height: video.videoHeight, release: release };
+    }
+
+    // Draw the source scaled down and encode it as JPEG, lowering quality until it fits MAX_BYTES
+    encode(element, width, height) {
+        if (!width || !height) return null;
+
+        const scale = Math.min(1, this.MAX_DIMENSION / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff'; // Transparent areas would turn black in JPEG
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(element, 0, 0, canvas.width, canvas.height);
+
+        for (const quality of this.QUALITIES) {
+            const dataUrl = canvas.toDataURL('image/jpeg', quality);
+            if (dataUrl.length <= this.MAX_BYTES) {
+                return dataUrl;
+            }
+        }
+        return null;
+    }
+
+    // Check a thumbnail received from a peer before it is shown
+    isValid(thumbnail) {
+        return typeof thumbnail === 'string'
+            && thumbnail.length <= this.MAX_BYTES
+            && /^data:image\/(?:jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/.test(thumbnail);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThumbnailService;
+}
@@ -0,0 +1,238 @@
+// Transfer Stats Service
+// Tracks bytes, speed and ETA of every upload and download, per file and per peer, for the whole session
+// Speeds come from the Analytics.calculateSpeed helper, averaged over a short sliding window
+
+class TransferStats {
+    constructor(calculateSpeed, options = {}) {
+        this.calculateSpeed = calculateSpeed; // (bytes, timeMs) -> MB/s
+        this.WINDOW_MS = options.windowMs || 3000; // Current speed = bytes moved in the last 3 seconds
+        this.IDLE_MS = options.idleMs || 10000; // Transfers without data for this long no longer count as active
+        this.onRecord = options.onRecord || null; // Called after bytes are recorded (e.g. to start refreshing the UI)
+        this.transfers = new Map(); // '{direction}:{fileId}:{peerId}' -> transfer
+        this.peers = new Map(); // peerId -> { sent, received, samples: { sent: [], received: [] } }
+        this.session = { startTime: Date.now(), sent: 0, received: 0, samples: { sent: [], received: [] } };
+    }
+
+    // Record bytes moved for a file ('sent' or 'received'); remaining is what is still to come from this peer, if known
+    record(fileId, direction, peerId, bytes, remaining = null) {
+        if (!bytes || bytes <= 0) return;
+        const now = Date.now();
+        const key = `${direction}:${fileId}:${peerId}`;
+
+        let transfer = this.transfers.get(key);
+        if (!transfer || transfer.done) {
+            transfer = {
+                fileId, direction, peerId,
+                transferred: 0,
+                remaining: null,
+                startTime: now,
+                lastTime: now,
+                endTime: null,
+                done: false,
+                samples: []
+            };
+            this.transfers.set(key, transfer);
+        }
+        transfer.transferred += bytes;
+        transfer.remaining = remaining;
+        transfer.lastTime = now;
+        this.addSample(transfer.samples, bytes, now);
+        if (remaining === 0) {
+            transfer.done = true;
+            transfer.endTime = now;
+        }
+
+        const peerStats = this.getPeerEntry(peerId);
+        peerStats[direction] += bytes;
+        this.addSample(peerStats.samples[direction], bytes, now);
+
+        this.session[direction] += bytes;
+        this.addSample(this.session.samples[direction], bytes, now);
+
+        if (this.onRecord) this.onRecord();
+    }
+
+    // Mark a file's transfers as finished (completed, failed or cancelled)
+    finish(fileId, direction, peerId = null) {
+        const now = Date.now();
+        for (const transfer of this.transfers.values()) {
+            if (transfer.fileId === fileId && transfer.direction === direction && (!peerId || transfer.peerId === peerId) && !transfer.done) {
+                transfer.done = true;
+                transfer.endTime = now;
+            }
+        }
+    }
+
+    // Speed, bytes moved and ETA of a file, summed over every peer it is moving to or from
+    // remaining overrides the per-peer figures (swarm downloads only know it for the whole file)
+    // Returns null when nothing has been transferred this session
+    getFileStats(fileId, direction, remaining = null) {
+        const now = Date.now();
+        let transferred = 0;
+        let bytesPerSecond = 0;
+        let peerRemaining = 0;
+        let active = false;
+        let startTime = Infinity;
+        let endTime = 0;
+        let found = false;
+
+        for (const transfer of this.transfers.values()) {
+            if (transfer.fileId !== fileId || transfer.direction !== direction) continue;
+            found = true;
+            transferred += transfer.transferred;
+            startTime = Math.min(startTime, transfer.startTime);
+            endTime = Math.max(endTime, transfer.endTime || transfer.lastTime);
+            if (this.isActive(transfer, now)) {
+                active = true;
+                bytesPerSecond += this.getRate(transfer.samples, now);
+                peerRemaining = peerRemaining === null || transfer.remaining === null ? null : peerRemaining + transfer.remaining;
+            }
+        }
+        if (!found) return null;
+
+        if (remaining === null) remaining = peerRemaining;
+        const duration = Math.max(1, endTime - startTime);
+        return {
+            transferred,
+            active,
+            bytesPerSecond,
+            averageBytesPerSecond: this.toBytesPerSecond(this.calculateSpeed(transferred, duration)),
+            etaSeconds: active && remaining !== null && bytesPerSecond > 0 ? Math.ceil(remaining / bytesPerSecond) : null,
+            durationMs: duration
+        };
+    }
+
+    // Totals and current speed in both directions for each peer
+    getPeerStats(peerId) {
+        const now = Date.now();
+        const peerStats = this.peers.get(peerId);
+        if (!peerStats) {
+            return { sent: 0, received: 0, uploadRate: 0, downloadRate: 0, activeTransfers: 0 };
+        }
+        let activeTransfers = 0;
+        for (const transfer of this.transfers.values()) {
+            if (transfer.peerId === peerId && this.isActive(transfer, now)) activeTransfers++;
+        }
+        return {
+            sent: peerStats.sent,
+            received: peerStats.received,
+            uploadRate: this.getRate(peerStats.samples.sent, now),
+            downloadRate: this.getRate(peerStats.samples.received, now),
+            activeTransfers
+        };
+    }
+
+    // IDs of every peer data has been exchanged with this session
+    getPeerIds() {
+        return Array.from(this.peers.keys());
+    }
+
+    // Totals and current speed for the whole session
+    getSessionStats() {
+        const now = Date.now();
+        let activeTransfers = 0;
+        for (const transfer of this.transfers.values()) {
+            if (this.isActive(transfer, now)) activeTransfers++;
+        }
+        return {
+            durationMs: now - this.session.startTime,
+            sent: this.session.sent,
+            received: this.session.received,
+            uploadRate: this.getRate(this.session.samples.sent, now),
+            downloadRate: this.getRate(this.session.samples.received, now),
+            activeTransfers
+        };
+    }
+
+    // Check if any transfer is still moving data
+    hasActiveTransfers() {
+        const now = Date.now();
+        for (const transfer of this.transfers.values()) {
+            if (this.isActive(transfer, now)) return true;
+        }
+        return false;
+    }
+
+    // A transfer is active until it finishes or goes quiet for IDLE_MS
+    isActive(transfer, now) {
+        return !transfer.done && now - transfer.lastTime < this.IDLE_MS;
+    }
+
+    // Add a sample, dropping the ones that have left the window so long transfers don't pile them up
+    addSample(samples, bytes, now) {
+        this.pruneSamples(samples, now);
+        samples.push({ time: now, bytes });
+    }
+
+    // Drop samples older than the window
+    pruneSamples(samples, now) {
+        while (samples.length > 0 && now - samples[0].time > this.WINDOW_MS) {
+            samples.shift();
+        }
+    }
+
+    // Current speed in bytes per second from the samples inside the window
+    getRate(samples, now) {
+        this.pruneSamples(samples, now);
+        if (samples.length === 0) return 0;
+        const bytes = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+        // Measure from the start of the window, or from the first sample of a transfer that just started
+        const elapsed = Math.max(1000, Math.min(this.WINDOW_MS, now - samples[0].time));
+        return this.toBytesPerSecond(this.calculateSpeed(bytes, elapsed));
+    }
+
+    // calculateSpeed reports MB/s
+    toBytesPerSecond(megabytesPerSecond) {
+        return megabytesPerSecond * 1024 * 1024;
+    }
+
+    // Get (or create) the counters for a peer
+    getPeerEntry(peerId) {
+        if (!this.peers.has(peerId)) {
+            this.peers.set(peerId, { sent: 0, received: 0, samples: { sent: [], received: [] } });
+        }
+        return this.peers.get(peerId);
+    }
+
+    // Find out how a connection is routed from its selected ICE candidate pair
+    // Returns { route: 'direct' | 'relay' | 'unknown', localType, remoteType, localAddress, remoteAddress, protocol, roundTripTime }
+    async getConnectionRoute(peerConnection) {
+        const result = { route: 'unknown', localType: null, remoteType: null, localAddress: null, remoteAddress: null, protocol: null, roundTripTime: null };
+        if (!peerConnection || typeof peerConnection.getStats !== 'function') return result;
+
+        const reports = await peerConnection.getStats();
+        let pair = null;
+        reports.forEach(report => {
+            if (report.type === 'transport' && report.selectedCandidatePairId) {
+                pair = reports.get(report.selectedCandidatePairId) || pair;
+            }
+        });
+        if (!pair) {
+            // Firefox has no transport report - it flags the selected pair instead
+            reports.forEach(report => {
+                if (report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+                    pair = pair || report;
+                }
+            });
+        }
+        if (!pair) return result;
+
+        const local = reports.get(pair.localCandidateId);
+        const remote = reports.get(pair.remoteCandidateId);
+        result.localType = local ? local.candidateType : null;
+        result.remoteType = remote ? remote.candidateType : null;
+        result.localAddress = local ? (local.address || local.ip || null) : null;
+        result.remoteAddress = remote ? (remote.address || remote.ip || null) : null;
+        result.protocol = local ? (local.relayProtocol || local.protocol || null) : null;
+        result.roundTripTime = typeof pair.currentRoundTripTime === 'number' ? pair.currentRoundTripTime : null;
+        if (result.localType || result.remoteType) {
+            result.route = result.localType === 'relay' || result.remoteType === 'relay' ? 'relay' : 'direct';
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransferStats;
+}
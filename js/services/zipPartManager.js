@@ -20,15 +20,19 @@ class ZipPartManager {
     }
 
     // Get unique file name in ZIP (handle duplicates)
+    // Accepts a relative path ('folder/sub/file.ext'); only the last segment is renamed, so the tree is kept
     getUniqueFileName(zip, originalName) {
+        const slashIndex = originalName.lastIndexOf('/');
+        const folder = slashIndex !== -1 ? originalName.substring(0, slashIndex + 1) : '';
+        const name = originalName.substring(slashIndex + 1);
         let fileName = originalName;
         let counter = 1;
         
         while (zip.file(fileName)) {
-            const nameParts = originalName.split('.');
+            const nameParts = name.split('.');
             const ext = nameParts.length > 1 ? '.' + nameParts.pop() : '';
             const baseName = nameParts.join('.');
-            fileName = `${baseName} (${counter})${ext}`;
+            fileName = `${folder}${baseName} (${counter})${ext}`;
             counter++;
         }
         
@@ -0,0 +1,262 @@
+// ZIP Stream Writer Service
+// Writes a ZIP archive straight to a user-chosen file, one entry at a time, so a bulk download
+// becomes a single archive of any size instead of memory-bounded parts
+// Entries are stored uncompressed (STORE) with data descriptors; ZIP64 records are added past 4 GB
+
+class ZipStreamWriter {
+    constructor(diskStreamManager) {
+        this.diskStreamManager = diskStreamManager;
+        this.SLICE_SIZE = 4 * 1024 * 1024; // Blobs are read, checksummed and written 4 MB at a time
+        this.ZIP64_LIMIT = 0xFFFFFFFF; // Sizes and offsets from here on need ZIP64 fields
+        this.FLAGS = 0x0808; // Bit 3: sizes and CRC follow in a data descriptor, bit 11: UTF-8 names
+        this.isSupported = !!diskStreamManager && diskStreamManager.isSupported;
+        this.crcTable = this.createCrcTable();
+    }
+
+    // Ask where to save the archive and start writing it
+    // Must run while the click that started the download still counts as a user gesture
+    // Returns null when the picker can't be used (caller falls back to ZIP parts); throws 'Save cancelled'
+    async open(fileName) {
+        if (!this.isSupported) return null;
+
+        const target = await this.diskStreamManager.open(fileName);
+        if (!target) return null;
+
+        return {
+            target: target,
+            offset: 0, // Bytes written so far
+            entries: [], // Central directory records, written by finish()
+            names: new Set()
+        };
+    }
+
+    // Get a unique path inside the archive (same renaming as ZipPartManager.getUniqueFileName)
+    getUniqueFileName(archive, originalName) {
+        const slashIndex = originalName.lastIndexOf('/');
+        const folder = slashIndex !== -1 ? originalName.substring(0, slashIndex + 1) : '';
+        const name = originalName.substring(slashIndex + 1);
+        let fileName = originalName;
+        let counter = 1;
+
+        while (archive.names.has(fileName)) {
+            const nameParts = name.split('.');
+            const ext = nameParts.length > 1 ? '.' + nameParts.pop() : '';
+            const baseName = nameParts.join('.');
+            fileName = `${folder}${baseName} (${counter})${ext}`;
+            counter++;
+        }
+
+        archive.names.add(fileName);
+        return fileName;
+    }
+
+    // Write one file: local header, the blob slice by slice (computing the CRC on the way), then its data descriptor
+    async addFile(archive, fileName, blob, modified = new Date()) {
+        const name = new TextEncoder().encode(fileName);
+        const zip64 = blob.size >= this.ZIP64_LIMIT;
+        const { time, date } = this.getDosDateTime(modified);
+        const entry = { name, zip64, time, date, crc: 0, size: blob.size, offset: archive.offset };
+
+        await this.write(archive, this.createLocalHeader(entry));
+
+        let crc = 0xFFFFFFFF;
+        for (let start = 0; start < blob.size; start += this.SLICE_SIZE) {
+            const data = new Uint8Array(await blob.slice(start, start + this.SLICE_SIZE).arrayBuffer());
+            crc = this.updateCrc(crc, data);
+            await this.write(archive, data);
+        }
+        entry.crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+        await this.write(archive, this.createDataDescriptor(entry));
+        archive.entries.push(entry);
+    }
+
+    // Write the central directory, commit the file and return it as a disk-backed File
+    async finish(archive) {
+        const directoryOffset = archive.offset;
+        for (const entry of archive.entries) {
+            await this.write(archive, this.createCentralHeader(entry));
+        }
+        const directorySize = archive.offset - directoryOffset;
+        const count = archive.entries.length;
+
+        if (count >= 0xFFFF || directoryOffset >= this.ZIP64_LIMIT || directorySize >= this.ZIP64_LIMIT) {
+            const recordOffset = archive.offset;
+            await this.write(archive, this.createZip64EndRecord(count, directorySize, directoryOffset));
+            await this.write(archive, this.createZip64Locator(recordOffset));
+        }
+        await this.write(archive, this.createEndRecord(count, directorySize, directoryOffset));
+
+        return this.diskStreamManager.finish(archive.target);
+    }
+
+    // Discard a partially written archive
+    async abort(archive) {
+        await this.diskStreamManager.abort(archive.target);
+    }
+
+    // Append bytes to the archive (awaited, so a slow disk holds back the next read)
+    async write(archive, data) {
+        await archive.target.writable.write(data);
+        archive.offset += data.byteLength;
+    }
+
+    // Local file header - CRC and sizes are left zero, they follow in the data descriptor
+    createLocalHeader(entry) {
+        const extraLength = entry.zip64 ? 20 : 0;
+        const header = new DataView(new ArrayBuffer(30 + entry.name.length + extraLength));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, entry.zip64 ? 45 : 20, true); // Version needed to extract
+        header.setUint16(6, this.FLAGS, true);
+        header.setUint16(8, 0, true); // STORE
+        header.setUint16(10, entry.time, true);
+        header.setUint16(12, entry.date, true);
+        header.setUint32(14, 0, true);
+        header.setUint32(18, entry.zip64 ? 0xFFFFFFFF : 0, true);
+        header.setUint32(22, entry.zip64 ? 0xFFFFFFFF : 0, true);
+        header.setUint16(26, entry.name.length, true);
+        header.setUint16(28, extraLength, true);
+        new Uint8Array(header.buffer).set(entry.name, 30);
+
+        if (entry.zip64) {
+            // Empty ZIP64 field: tells readers the data descriptor uses 8-byte sizes
+            const extra = 30 + entry.name.length;
+            header.setUint16(extra, 0x0001, true);
+            header.setUint16(extra + 2, 16, true);
+        }
+        return new Uint8Array(header.buffer);
+    }
+
+    // Data descriptor written after the file data
+    createDataDescriptor(entry) {
+        const descriptor = new DataView(new ArrayBuffer(entry.zip64 ? 24 : 16));
+        descriptor.setUint32(0, 0x08074b50, true);
+        descriptor.setUint32(4, entry.crc, true);
+        if (entry.zip64) {
+            descriptor.setBigUint64(8, BigInt(entry.size), true);
+            descriptor.setBigUint64(16, BigInt(entry.size), true);
+        } else {
+            descriptor.setUint32(8, entry.size, true);
+            descriptor.setUint32(12, entry.size, true);
+        }
+        return new Uint8Array(descriptor.buffer);
+    }
+
+    // Central directory record - values that don't fit in 32 bits move to a ZIP64 extra field
+    createCentralHeader(entry) {
+        const sizeInExtra = entry.size >= this.ZIP64_LIMIT;
+        const offsetInExtra = entry.offset >= this.ZIP64_LIMIT;
+        const extraValues = [];
+        if (sizeInExtra) extraValues.push(entry.size, entry.size); // Uncompressed, then compressed
+        if (offsetInExtra) extraValues.push(entry.offset);
+        const extraLength = extraValues.length > 0 ? 4 + extraValues.length * 8 : 0;
+
+        const header = new DataView(new ArrayBuffer(46 + entry.name.length + extraLength));
+        const version = entry.zip64 || extraLength > 0 ? 45 : 20;
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, version, true); // Version made by
+        header.setUint16(6, version, true); // Version needed to extract
+        header.setUint16(8, this.FLAGS, true);
+        header.setUint16(10, 0, true); // STORE
+        header.setUint16(12, entry.time, true);
+        header.setUint16(14, entry.date, true);
+        header.setUint32(16, entry.crc, true);
+        header.setUint32(20, sizeInExtra ? 0xFFFFFFFF : entry.size, true);
+        header.setUint32(24, sizeInExtra ? 0xFFFFFFFF : entry.size, true);
+        header.setUint16(28, entry.name.length, true);
+        header.setUint16(30, extraLength, true);
+        header.setUint16(32, 0, true); // Comment length
+        header.setUint16(34, 0, true); // Disk number
+        header.setUint16(36, 0, true); // Internal attributes
+        header.setUint32(38, 0, true); // External attributes
+        header.setUint32(42, offsetInExtra ? 0xFFFFFFFF : entry.offset, true);
+        new Uint8Array(header.buffer).set(entry.name, 46);
+
+        if (extraLength > 0) {
+            let position = 46 + entry.name.length;
+            header.setUint16(position, 0x0001, true);
+            header.setUint16(position + 2, extraLength - 4, true);
+            position += 4;
+            for (const value of extraValues) {
+                header.setBigUint64(position, BigInt(value), true);
+                position += 8;
+            }
+        }
+        return new Uint8Array(header.buffer);
+    }
+
+    // ZIP64 end of central directory record
+    createZip64EndRecord(count, directorySize, directoryOffset) {
+        const record = new DataView(new ArrayBuffer(56));
+        record.setUint32(0, 0x06064b50, true);
+        record.setBigUint64(4, 44n, true); // Size of the rest of the record
+        record.setUint16(12, 45, true);
+        record.setUint16(14, 45, true);
+        record.setUint32(16, 0, true);
+        record.setUint32(20, 0, true);
+        record.setBigUint64(24, BigInt(count), true);
+        record.setBigUint64(32, BigInt(count), true);
+        record.setBigUint64(40, BigInt(directorySize), true);
+        record.setBigUint64(48, BigInt(directoryOffset), true);
+        return new Uint8Array(record.buffer);
+    }
+
+    // ZIP64 end of central directory locator
+    createZip64Locator(recordOffset) {
+        const locator = new DataView(new ArrayBuffer(20));
+        locator.setUint32(0, 0x07064b50, true);
+        locator.setUint32(4, 0, true);
+        locator.setBigUint64(8, BigInt(recordOffset), true);
+        locator.setUint32(16, 1, true); // Total number of disks
+        return new Uint8Array(locator.buffer);
+    }
+
+    // End of central directory record (fields that overflow point readers to the ZIP64 record)
+    createEndRecord(count, directorySize, directoryOffset) {
+        const record = new DataView(new ArrayBuffer(22));
+        record.setUint32(0, 0x06054b50, true);
+        record.setUint16(4, 0, true);
+        record.setUint16(6, 0, true);
+        record.setUint16(8, Math.min(count, 0xFFFF), true);
+        record.setUint16(10, Math.min(count, 0xFFFF), true);
+        record.setUint32(12, Math.min(directorySize, 0xFFFFFFFF), true);
+        record.setUint32(16, Math.min(directoryOffset, 0xFFFFFFFF), true);
+        record.setUint16(20, 0, true); // Comment length
+        return new Uint8Array(record.buffer);
+    }
+
+    // MS-DOS time and date fields (local time, 2-second resolution, years from 1980)
+    getDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Lookup table for CRC-32 (IEEE polynomial)
+    createCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    // Feed bytes into a running CRC-32 (start with 0xFFFFFFFF, finish with ^ 0xFFFFFFFF)
+    updateCrc(crc, bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return crc >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipStreamWriter;
+}
@@ -134,13 +134,19 @@ export function sleep(ms) {
 }
 
 // Retry function with exponential backoff
-export async function retry(fn, maxAttempts = 3, baseDelay = 1000) {
+// fn receives the attempt number (1-based)
+// options.jitter (0-1) varies each delay by up to ± that fraction, options.maxDelay caps it,
+// options.shouldRetry(error, attempt) can stop early, options.onRetry(error, attempt, delay) runs before each wait
+export async function retry(fn, maxAttempts = 3, baseDelay = 1000, options = {}) {
+    const { jitter = 0, maxDelay = Infinity, shouldRetry = null, onRetry = null } = options;
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
-            return await fn();
+            return await fn(attempt);
         } catch (error) {
-            if (attempt === maxAttempts) throw error;
-            const delay = baseDelay * Math.pow(2, attempt - 1);
+            if (attempt === maxAttempts || (shouldRetry && !shouldRetry(error, attempt))) throw error;
+            const backoff = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+            const delay = Math.round(backoff * (1 + jitter * (Math.random() * 2 - 1)));
+            if (onRetry) onRetry(error, attempt, delay);
             await sleep(delay);
         }
     }
@@ -1,8 +1,5 @@
 // Constants - now imported from config
 const CHUNK_SIZE = window.CONFIG?.CHUNK_SIZE || 16384;
-const DB_NAME = window.CONFIG?.DB_NAME || 'fileTransferDB';
-const DB_VERSION = window.CONFIG?.DB_VERSION || 1;
-const STORE_NAME = window.CONFIG?.STORE_NAME || 'files';
 const KEEP_ALIVE_INTERVAL = window.CONFIG?.KEEP_ALIVE_INTERVAL || 30000;
 const CONNECTION_TIMEOUT = window.CONFIG?.CONNECTION_TIMEOUT || 60000;
 
@@ -103,6 +100,8 @@ const elements = {
     remotePeerId: document.getElementById('remote-peer-id'),
     connectButton: document.getElementById('connect-button'),
     fileInput: document.getElementById('file-input'),
+    folderInput: document.getElementById('folder-input'),
+    folderSelectButton: document.getElementById('folder-select-button'),
     dropZone: document.getElementById('drop-zone'),
     transferProgress: document.getElementById('transfer-progress'),
     progress: document.getElementById('progress'),
@@ -118,6 +117,33 @@ const elements = {
     sentFilesList: document.getElementById('sent-files-list'),
     receivedFilesList: document.getElementById('received-files-list'),
     bulkDownloadReceived: document.getElementById('bulk-download-received'),
+    historySettings: document.getElementById('history-settings'),
+    // Selective bulk download
+    selectionModeToggle: document.getElementById('selection-mode-toggle'),
+    selectionToolbar: document.getElementById('selection-toolbar'),
+    selectionTypeFilter: document.getElementById('selection-type-filter'),
+    selectionSizeFilter: document.getElementById('selection-size-filter'),
+    selectMatching: document.getElementById('select-matching'),
+    selectionClear: document.getElementById('selection-clear'),
+    selectionSummary: document.getElementById('selection-summary'),
+    downloadSelected: document.getElementById('download-selected'),
+    // Session stats
+    sessionStats: document.getElementById('session-stats'),
+    sessionStatsSummary: document.getElementById('session-stats-summary'),
+    sessionStatsBody: document.getElementById('session-stats-body'),
+    // Text snippets
+    snippetForm: document.getElementById('snippet-form'),
+    snippetInput: document.getElementById('snippet-input'),
+    snippetsSection: document.getElementById('snippets-section'),
+    snippetsList: document.getElementById('snippets-list'),
+    // Chat
+    chatThreads: document.getElementById('chat-threads'),
+    chatMessages: document.getElementById('chat-messages'),
+    chatTyping: document.getElementById('chat-typing'),
+    chatForm: document.getElementById('chat-form'),
+    chatInput: document.getElementById('chat-input'),
+    chatClear: document.getElementById('chat-clear'),
+    chatUnread: document.getElementById('chat-unread'),
     recentPeers: document.getElementById('recent-peers'),
     recentPeersList: document.getElementById('recent-peers-list'),
     clearPeers: document.getElementById('clear-peers'),
@@ -130,7 +156,18 @@ const elements = {
     socialToggle: document.getElementById('social-toggle'),
     socialIcons: document.getElementById('social-icons'),
     // Auto mode toggle
-    autoModeSwitch: document.getElementById('auto-mode-switch')
+    autoModeSwitch: document.getElementById('auto-mode-switch'),
+    // Room passphrase and connection approval
+    roomSecurityButton: document.getElementById('room-security'),
+    // End-to-end encryption
+    encryptionSwitch: document.getElementById('encryption-switch'),
+    encryptionPeers: document.getElementById('encryption-peers'),
+    peerLatency: document.getElementById('peer-latency'),
+    // Connection diagnostics
+    connectionDiagnostics: document.getElementById('connection-diagnostics'),
+    signalingSettings: document.getElementById('signaling-settings'),
+    iceSettings: document.getElementById('ice-settings'),
+    manualPairing: document.getElementById('manual-pairing')
 };
 
 // Initialize screen wake manager (class loaded from js/services/screenWake.js)
@@ -145,16 +182,103 @@ const memoryMonitor = new MemoryMonitor();
 // Initialize ZIP part manager (class loaded from js/services/zipPartManager.js)
 const zipPartManager = new ZipPartManager();
 
+// Initialize integrity service (class loaded from js/services/integrityService.js)
+const integrityService = new IntegrityService();
+
+// Initialize thumbnail service (class loaded from js/services/thumbnailService.js)
+const thumbnailService = new ThumbnailService();
+
+// Initialize syntax highlighter (class loaded from js/services/syntaxHighlighter.js)
+const syntaxHighlighter = new SyntaxHighlighter();
+
+// Initialize storage service (class loaded from js/services/storage.js)
+const storageService = new StorageService();
+
+// Initialize ICE settings (class loaded from js/services/iceSettingsManager.js)
+// Custom TURN servers and relay-only apply to every new Peer, and to the current one when they change
+const iceSettings = new IceSettingsManager(PEER_CONFIG.config, {
+    settings: storageService.loadSetting('iceSettings', null),
+    onChange: () => applyIceSettings()
+});
+
+// Initialize room auth service (class loaded from js/services/roomAuthService.js)
+const roomAuthService = new RoomAuthService();
+
+// Initialize encryption service (class loaded from js/services/encryptionService.js)
+const encryptionService = new EncryptionService();
+
+// Initialize disk stream manager (class loaded from js/services/diskStreamManager.js)
+const diskStreamManager = new DiskStreamManager(window.CONFIG?.DISK_STREAM_THRESHOLD);
+
+// Initialize ZIP stream writer (class loaded from js/services/zipStreamWriter.js)
+const zipStreamWriter = new ZipStreamWriter(diskStreamManager);
+
+// Initialize chunk streamer (class loaded from js/services/chunkStreamer.js)
+const chunkStreamer = new ChunkStreamer({
+    minChunkSize: CHUNK_SIZE,
+    maxChunkSize: window.CONFIG?.MAX_CHUNK_SIZE,
+    bufferHighWaterMark: window.CONFIG?.BUFFER_HIGH_WATER_MARK,
+    bufferLowWaterMark: window.CONFIG?.BUFFER_LOW_WATER_MARK
+});
+
+// Initialize transfer stats (class loaded from js/services/transferStats.js)
+const transferStats = new TransferStats(Analytics.calculateSpeed, {
+    onRecord: () => scheduleTransferStatsRefresh() // Speed lines and the session panel follow live transfers
+});
+
+// Initialize ICE diagnostics (class loaded from js/services/iceDiagnostics.js)
+const iceDiagnostics = new IceDiagnostics();
+
+// Initialize reconnection manager (class loaded from js/services/reconnectionManager.js)
+// The retry helper lives in the ES module js/utils/helpers.js and is loaded on first use
+const reconnectionManager = new ReconnectionManager(
+    (...args) => import('./js/utils/helpers.js').then(helpers => helpers.retry(...args)),
+    {
+        maxAttempts: window.CONFIG?.RECONNECT_MAX_ATTEMPTS,
+        baseDelay: window.CONFIG?.RECONNECT_BASE_DELAY,
+        maxDelay: window.CONFIG?.RECONNECT_MAX_DELAY,
+        jitter: window.CONFIG?.RECONNECT_JITTER,
+        connect: (peerId) => openReconnection(peerId),
+        onStateChange: (peerId, entry) => handleReconnectionStateChange(peerId, entry)
+    }
+);
+
+// Initialize peer liveness tracking (class loaded from js/services/peerLiveness.js)
+const peerLiveness = new PeerLiveness({
+    maxMisses: window.CONFIG?.KEEP_ALIVE_MAX_MISSES,
+    responseTimeout: window.CONFIG?.KEEP_ALIVE_RESPONSE_TIMEOUT,
+    onChange: (peerId, entry) => handleLivenessChange(peerId, entry)
+});
+
+// Initialize manual signaling (class loaded from js/services/manualSignaling.js)
+// Pairs devices by QR code or copy-paste when the signaling server can't be reached
+const manualSignaling = new ManualSignaling({
+    gatherTimeout: window.CONFIG?.MANUAL_PAIRING_GATHER_TIMEOUT
+});
+
 // Initialize bulk download manager (class loaded from js/services/bulkDownloadManager.js)
-const bulkDownloadManager = new BulkDownloadManager(memoryMonitor, zipPartManager, deviceManager);
+const bulkDownloadManager = new BulkDownloadManager(memoryMonitor, zipPartManager, deviceManager, zipStreamWriter);
+if (window.CONFIG?.MAX_PARALLEL_DOWNLOADS) {
+    bulkDownloadManager.setConcurrencyLimit(window.CONFIG.MAX_PARALLEL_DOWNLOADS);
+}
+
+// Initialize swarm manager (class loaded from js/services/swarmManager.js)
+// Pieces match the integrity ranges so each one is checked against the sender's digests
+const swarmManager = new SwarmManager(integrityService.RANGE_SIZE, window.CONFIG?.SWARM_SEED_MEMORY_LIMIT);
 
 // State
 let peer = null;
+let localPeerId = null; // Last ID we had - kept while cut off from the signaling server, or picked for manual pairing
 let connections = new Map(); // Map to store multiple connections
 let db = null;
 let transferInProgress = false;
 let isConnectionReady = false;
 let fileChunks = {}; // Initialize fileChunks object
+let diskStreamTargets = new Map(); // fileId -> save target picked before the blob-request (streamed to disk)
+const activeUploads = new Map(); // '{peerId}:{fileId}[:{requestId}]' -> stream control, so receivers can pause/resume/cancel
+const swarmDownloads = new Map(); // fileId -> state of a download fetched in pieces from several peers
+const pausedTransfers = new Set(); // fileIds of downloads paused by the user
+const cancelledTransfers = new Set(); // fileIds cancelled by the user - late headers for these are ignored
 let keepAliveInterval = null;
 let signalingServerKeepAliveInterval = null; // For Android-specific signaling server keep-alive
 let connectionTimeouts = new Map();
@@ -163,6 +287,13 @@ let autoModeEnabled = false; // Track auto mode state
 let autoModeConnectedAsPeer = false; // Track if connected to auto mode peer (not hosting)
 let autoModePeerId = null; // Store the auto mode peer ID we're connected to
 let autoModeNotification = null; // Store reference to auto mode notification for dismissal
+let encryptionEnabled = false; // Opt-in end-to-end encryption (restored from localStorage)
+const encryptionSessions = new Map(); // connection -> key exchange state and agreed session for that connection
+let roomPassphrase = ''; // Peers connecting to us must prove they know this (empty = open room)
+let approveIncomingPeers = false; // Ask before accepting a connection from a peer not yet approved this session
+const approvedPeers = new Set(); // peerIds we've had an admitted connection with this session
+const knownRoomPassphrases = new Map(); // peerId -> passphrase typed in to join that peer's room (this session only)
+const roomAuthExchanges = new Map(); // connection -> { passphrase, exchange } while we wait for the host to prove itself
 
 // Add file history tracking with Sets for uniqueness
 const fileHistory = {
@@ -176,6 +307,27 @@ const receivedFileInfoMap = new Map(); // fileId -> fileInfo
 // Map to store file info objects for sent files
 const sentFileInfoMap = new Map(); // fileId -> fileInfo
 
+// File history saved in IndexedDB and restored after a reload
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHARED_FILE_COPY_LIMIT = window.CONFIG?.SHARED_FILE_COPY_LIMIT || 10 * 1024 * 1024;
+let historyRetentionDays = window.CONFIG?.HISTORY_RETENTION_DAYS ?? 7; // 0 = don't keep, null = keep until cleared
+const offlineFiles = new Set(); // fileIds restored from history whose sender hasn't reconnected yet
+const reofferedFiles = new Set(); // fileIds we shared before a reload and offer again to every peer that connects
+let keepSharedFileCopies = false; // Opt-in: copy small shared files into storage when there is no file handle
+
+// Text snippets (links, OTPs, code) sent and received, oldest first
+const textSnippets = new Map(); // messageId -> { id, text, sharedBy, timestamp }
+const MAX_TEXT_SNIPPETS = 50;
+
+// Chat threads: 'room' for everyone connected, 'direct:{peerId}' for one peer
+const chatThreads = new Map(); // threadId -> { id, peerId, messages, typing }
+let activeChatThread = 'room';
+let chatInView = false; // Whether the chat messages are on screen (messages are only marked read then)
+let lastChatTypingSent = 0; // When we last told peers we're typing (0 = not typing)
+const MAX_CHAT_MESSAGES = window.CONFIG?.MAX_CHAT_MESSAGES || 200; // Per thread, in memory and on screen (StorageService keeps as many)
+const CHAT_TYPING_INTERVAL = 3000; // Re-send "typing" at most this often while typing continues
+const CHAT_TYPING_TIMEOUT = 6000; // Hide a peer's typing indicator if it isn't refreshed in time
+
 // File grouping: Store files by type and peer
 const fileGroups = {
     sent: new Map(), // All sent files in one group (key: 'sent')
@@ -202,9 +354,17 @@ const activeBlobURLs = new Set(); // Set to track all created blob URLs
 // Files are cleared from memory after download, users should check Downloads folder
 const completedFileBlobURLs = new Map(); // fileId -> true (flag to track downloaded files)
 
+// Downloaded files kept so the "open" button can preview them (bounded by CONFIG.PREVIEW_MEMORY_LIMIT)
+const previewBlobs = new Map(); // fileId -> { blob, name, type, inMemory }
+
 // Track files that were downloaded via bulk download (in ZIP, can't open individually)
 const bulkDownloadedFiles = new Set(); // fileId -> true
 
+// Selection mode for downloading a chosen subset of received files
+let selectionMode = false;
+const selectedFiles = new Set(); // fileIds of selected received files
+let lastSelectedFileId = null; // Anchor for shift-click range selection
+
 // Add recent peers tracking
 let recentPeers = [];
 const MAX_RECENT_PEERS = 5;
@@ -260,6 +420,7 @@ requestAndDownloadBlob = async function(fileInfo) {
         // Button reference will be updated when header is expanded and renderFileGroup runs
         downloadProgressMap.set(fileId, { button: null, percent: 0 });
     }
+    updateTransferControls(fileId);
     try {
     await originalRequestAndDownloadBlob(fileInfo);
     } catch (error) {
@@ -272,6 +433,7 @@ requestAndDownloadBlob = async function(fileInfo) {
             // Button not found, just remove from tracking
             downloadProgressMap.delete(fileId);
         }
+        updateTransferControls(fileId);
         throw error;
     }
 };
@@ -299,6 +461,8 @@ const originalHandleFileComplete = handleFileComplete;
 handleFileComplete = async function(data) {
     await originalHandleFileComplete(data);
     const fileId = data.fileId;
+    // Still waiting for corrupted ranges to be re-sent - keep showing progress
+    if (fileChunks[fileId]) return;
     if (downloadProgressMap.has(fileId)) {
         const entry = downloadProgressMap.get(fileId);
         // Only update button if it exists (might be null if header was collapsed)
@@ -309,6 +473,8 @@ handleFileComplete = async function(data) {
         // The open logic is already set in downloadBlob
         downloadProgressMap.delete(fileId);
     }
+    pausedTransfers.delete(fileId);
+    updateTransferControls(fileId);
 };
 
 // Load recent peers from localStorage
@@ -348,11 +514,39 @@ function addRecentPeer(peerId) {
 }
 
 // Update the recent peers list UI
+// Peers seen this session show their connection state, with "retry now" while reconnecting or lost
 function updateRecentPeersList() {
     elements.recentPeersList.innerHTML = '';
     recentPeers.forEach(peerId => {
         const li = document.createElement('li');
-        li.textContent = peerId;
+        li.className = 'recent-peer';
+        const name = document.createElement('span');
+        name.className = 'recent-peer-id';
+        name.textContent = peerId;
+        li.appendChild(name);
+        
+        const entry = reconnectionManager.getState(peerId);
+        if (entry) {
+            const badge = getReconnectionBadge(entry);
+            const stateSpan = document.createElement('span');
+            stateSpan.className = `recent-peer-state state-${entry.state}`;
+            stateSpan.title = entry.lastError || badge.label;
+            stateSpan.innerHTML = `<span class="material-icons" translate="no">${badge.icon}</span>${escapeHtml(badge.label)}`;
+            li.appendChild(stateSpan);
+            
+            if (entry.state === reconnectionManager.STATES.RECONNECTING || entry.state === reconnectionManager.STATES.LOST) {
+                const retryButton = document.createElement('button');
+                retryButton.type = 'button';
+                retryButton.className = 'recent-peer-retry';
+                retryButton.title = 'Retry now';
+                retryButton.innerHTML = '<span class="material-icons" translate="no">refresh</span>';
+                retryButton.onclick = (e) => {
+                    e.stopPropagation();
+                    reconnectionManager.retryNow(peerId);
+                };
+                li.appendChild(retryButton);
+            }
+        }
         li.onclick = () => {
             elements.remotePeerId.value = peerId;
             elements.recentPeers.classList.add('hidden');
@@ -374,68 +568,66 @@ function checkBrowserSupport() {
 // Initialize IndexedDB
 async function initIndexedDB() {
     try {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        
-        request.onerror = (event) => {
-            showNotification('IndexedDB initialization failed', 'error');
-        };
-
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-            }
-        };
-
-        request.onsuccess = (event) => {
-            db = event.target.result;
-        };
+        // The storage service owns the schema, so the chat store is created along with the files store
+        await storageService.init();
+        db = storageService.db;
     } catch (error) {
         console.error('IndexedDB Error:', error);
         showNotification('Storage initialization failed', 'error');
     }
 }
 
-// Generate QR Code
-function generateQRCode(peerId) {
+// Base URL of the app for links in QR codes, respecting the current environment
+function getAppBaseUrl() {
+    // Get base URL from CONFIG, respecting current environment
+    let baseUrl = window.CONFIG?.BASE_URL;
+    
+    // Fallback: try to get from ENVIRONMENT_URLS if CONFIG is not available
+    if (!baseUrl && window.CONFIG?.ENVIRONMENT) {
+        const ENVIRONMENT_URLS = {
+            production: 'https://one-host.app/',
+            development: 'https://yadavshashankr.github.io/one-host-develop/',
+            pro: 'https://yadavshashankr.github.io/one-host-pro/'
+        };
+        baseUrl = ENVIRONMENT_URLS[window.CONFIG.ENVIRONMENT];
+    }
+    
+    // Last resort fallback: use current page URL (for development/testing)
+    if (!baseUrl) {
+        console.warn('CONFIG.BASE_URL is not defined, using current page URL as fallback');
+        baseUrl = window.location.origin + window.location.pathname;
+    }
+    return baseUrl;
+}
+
+// Draw a QR code into a container - returns false if the text doesn't fit in one
+// Long texts (pairing codes) need a lower error correction level to fit
+function renderQRCode(container, text, options = {}) {
+    const { size = 128, correctLevel = QRCode.CorrectLevel.H } = options;
+    container.innerHTML = '';
     try {
-        if (!elements.qrcode) return;
-        elements.qrcode.innerHTML = ''; // Clear previous QR code
-        
-        // Get base URL from CONFIG, respecting current environment
-        let baseUrl = window.CONFIG?.BASE_URL;
-        
-        // Fallback: try to get from ENVIRONMENT_URLS if CONFIG is not available
-        if (!baseUrl && window.CONFIG?.ENVIRONMENT) {
-            const ENVIRONMENT_URLS = {
-                production: 'https://one-host.app/',
-                development: 'https://yadavshashankr.github.io/one-host-develop/',
-                pro: 'https://yadavshashankr.github.io/one-host-pro/'
-            };
-            baseUrl = ENVIRONMENT_URLS[window.CONFIG.ENVIRONMENT];
-        }
-        
-        // Last resort fallback: use current page URL (for development/testing)
-        if (!baseUrl) {
-            console.warn('CONFIG.BASE_URL is not defined, using current page URL as fallback');
-            baseUrl = window.location.origin + window.location.pathname;
-        }
-        
-        const qrUrl = `${baseUrl}?peer=${peerId}`;
-        
-        new QRCode(elements.qrcode, {
-            text: qrUrl,
-            width: 128,
-            height: 128,
+        new QRCode(container, {
+            text: text,
+            width: size,
+            height: size,
             colorDark: '#2196F3',
             colorLight: '#ffffff',
-            correctLevel: QRCode.CorrectLevel.H
+            correctLevel: correctLevel
         });
+        return true;
     } catch (error) {
         console.error('QR Code Generation Error:', error);
+        container.innerHTML = '';
+        return false;
     }
 }
 
+// Generate QR Code
+function generateQRCode(peerId) {
+    if (!elements.qrcode) return;
+    renderQRCode(elements.qrcode, `${getAppBaseUrl()}?peer=${peerId}`);
+}
+
 // Check if QR code is present and valid
 function isQRCodePresent() {
     if (!elements.qrcode) return false;
@@ -599,6 +791,7 @@ function setupPeerHandlers() {
 
     peer.on('open', (id) => {
         console.log('Peer opened with ID:', id);
+        localPeerId = id;
         
         // Get fresh reference to peer ID element
         const peerIdElement = document.getElementById('peer-id');
@@ -622,17 +815,25 @@ function setupPeerHandlers() {
 
     peer.on('connection', (conn) => {
         console.log('Incoming connection from:', conn.peer);
-        connections.set(conn.peer, conn);
+        incomingConnections.add(conn);
         updateConnectionStatus('connecting', 'Incoming connection...');
         
         // Activate screen wake when incoming connection is detected
         screenWake.activateFromConnection();
         
+        // Protected rooms check the passphrase and/or ask the user before the connection counts as open
+        if (requiresAdmission(conn.peer)) {
+            admitIncomingConnection(conn);
+            return;
+        }
+        
+        connections.set(conn.peer, conn);
         setupConnectionHandlers(conn);
     });
 
     peer.on('error', (error) => {
         console.error('PeerJS Error:', error);
+        recordConnectionError(error.type, error.message);
         
         // Check if peer-to-peer connections are still active
         const hasActiveConnections = hasActivePeerConnections();
@@ -669,6 +870,16 @@ function setupPeerHandlers() {
             errorMessage = 'SSL is required for this connection';
         }
         
+        // A reconnection attempt to a peer that isn't back yet fails now instead of waiting for its timeout
+        // (the peer's chip shows the reconnection, so the status stays as it is)
+        if (error.type === 'peer-unavailable') {
+            const match = String(error.message).match(/peer (\S+)$/);
+            if (match && reconnectAttempts.has(match[1])) {
+                reconnectAttempts.get(match[1])(new Error('Peer is not available'));
+                shouldUpdateStatus = false;
+            }
+        }
+        
         // For signaling server errors, only update status if peer-to-peer connections are affected
         // If peer-to-peer is active, just log a warning instead of updating status
         if (isSignalingServerError && hasActiveConnections) {
@@ -726,6 +937,54 @@ function setupPeerHandlers() {
     });
 }
 
+// Signaling server chosen in the settings panel, else the one from CONFIG (empty host = public PeerJS cloud)
+function getSignalingServer() {
+    return storageService.loadSetting('signalingServer', null) || window.CONFIG?.SIGNALING_SERVER || { host: '' };
+}
+
+// PeerJS options that point it at the chosen signaling server (none for the public cloud)
+function getSignalingOptions() {
+    const server = getSignalingServer();
+    if (!server.host) return {};
+    return {
+        host: server.host,
+        port: server.port,
+        path: server.path,
+        key: server.key,
+        secure: server.secure
+    };
+}
+
+// Short STUN list auto mode peers are created with (the built-in servers they use)
+const AUTO_MODE_ICE_CONFIG = {
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:global.stun.twilio.com:3478' }
+    ]
+};
+
+// ICE config the current peer was created from, so applyIceSettings can rebuild it
+let peerIceBaseConfig = PEER_CONFIG.config;
+
+// Options for every new Peer: ICE configuration (with the user's ICE settings) plus the signaling server
+function getPeerOptions(baseConfig = PEER_CONFIG.config) {
+    peerIceBaseConfig = baseConfig;
+    return { ...PEER_CONFIG, ...getSignalingOptions(), config: iceSettings.buildConfig(baseConfig) };
+}
+
+// Give the current peer the latest ICE servers - PeerJS reads its config for each new connection
+function applyIceSettings() {
+    if (peer && peer.options) {
+        peer.options.config = iceSettings.buildConfig(peerIceBaseConfig);
+    }
+}
+
+// Our peer ID - PeerJS clears peer.id while it is cut off from the signaling server,
+// but connected (and manually paired) peers still know us by it
+function getLocalPeerId() {
+    return (peer && peer.id) || localPeerId;
+}
+
 // Initialize PeerJS
 function initPeerJS() {
     try {
@@ -743,7 +1002,7 @@ function initPeerJS() {
         connections.clear();
 
         // Create new peer with auto-generated ID
-        peer = new Peer(PEER_CONFIG);
+        peer = new Peer(getPeerOptions());
 
         setupPeerHandlers();
 
@@ -754,69 +1013,110 @@ function initPeerJS() {
     }
 }
 
+// Handle a connection that has opened (and, for incoming ones, has been admitted)
+function handleConnectionOpened(conn, connectionTimeout = null) {
+    console.log('Connection opened with:', conn.peer);
+    isConnectionReady = true;
+    approvedPeers.add(conn.peer); // Reconnections from this peer don't need approving again
+    reconnectionManager.markConnected(conn.peer);
+    watchConnectionHealth(conn);
+    peerLiveness.forget(conn.peer); // Misses of a previous connection don't count against this one
+    pingPeer(conn); // Measure latency right away instead of at the next keep-alive
+    updateConnectionStatus('connected', `Connected to peer(s) : ${connections.size}`);
+    elements.fileTransferSection.classList.remove('hidden');
+    
+    // Activate screen wake when connection is established
+    screenWake.activateFromConnection();
+    
+    // Dismiss auto mode notification when a peer connects while auto mode is enabled
+    // This indicates an auto mode connection was successful
+    if (autoModeEnabled && autoModeNotification) {
+        console.log('✅ Peer connected while auto mode is enabled, dismissing notification');
+        autoModeNotification.remove();
+        autoModeNotification = null;
+    }
+    
+    // Scroll to file transfer section on first connection
+    if (connections.size === 1 && elements.fileTransferSection) {
+        // Use setTimeout to ensure DOM has updated and section is visible
+        setTimeout(() => {
+            elements.fileTransferSection.scrollIntoView({ 
+                behavior: 'smooth', 
+                block: 'start',
+                inline: 'nearest'
+            });
+            console.log('✅ Scrolled to file transfer section');
+        }, 100);
+    }
+    
+    addRecentPeer(conn.peer);
+    
+    // Track successful connection
+    Analytics.track('connection_successful', {
+        peer_id_length: conn.peer.length,
+        total_connections: connections.size,
+        device_type: Analytics.getDeviceType(),
+        connection_type: conn.type || 'data'
+    });
+    
+    // Clear connection timeout if provided
+    if (connectionTimeout) {
+        clearTimeout(connectionTimeout);
+        console.log('Connection timeout cleared for peer:', conn.peer);
+    }
+    
+    // Clear any existing timeout for this connection
+    if (connectionTimeouts.has(conn.peer)) {
+        clearTimeout(connectionTimeouts.get(conn.peer));
+        connectionTimeouts.delete(conn.peer);
+    }
+    
+    // Send a connection notification to the other peer
+    conn.send({
+        type: 'connection-notification',
+        peerId: getLocalPeerId()
+    });
+    startKeyExchange(conn);
+    
+    // Pick up downloads from this peer that were cut off by a dropped connection
+    resumeInterruptedDownloads(conn);
+    
+    // Tell the peer which files we can serve to swarm downloads
+    announceSwarmSeeds(conn);
+    
+    // Show the peer's private chat thread
+    renderChatThreads();
+    
+    // Files restored from history can be downloaded from this peer again
+    markFileSourceOnline(conn.peer);
+    
+    // Offer the files we shared before a reload
+    announceReofferedFiles(conn);
+}
+
 // Setup connection event handlers
 function setupConnectionHandlers(conn, connectionTimeout = null) {
-    conn.on('open', () => {
-        console.log('Connection opened with:', conn.peer);
-        isConnectionReady = true;
-        updateConnectionStatus('connected', `Connected to peer(s) : ${connections.size}`);
-        elements.fileTransferSection.classList.remove('hidden');
-        
-        // Activate screen wake when connection is established
-        screenWake.activateFromConnection();
-        
-        // Dismiss auto mode notification when a peer connects while auto mode is enabled
-        // This indicates an auto mode connection was successful
-        if (autoModeEnabled && autoModeNotification) {
-            console.log('✅ Peer connected while auto mode is enabled, dismissing notification');
-            autoModeNotification.remove();
-            autoModeNotification = null;
-        }
-        
-        // Scroll to file transfer section on first connection
-        if (connections.size === 1 && elements.fileTransferSection) {
-            // Use setTimeout to ensure DOM has updated and section is visible
-            setTimeout(() => {
-                elements.fileTransferSection.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'start',
-                    inline: 'nearest'
-                });
-                console.log('✅ Scrolled to file transfer section');
-            }, 100);
-        }
-        
-        addRecentPeer(conn.peer);
-        
-        // Track successful connection
-        Analytics.track('connection_successful', {
-            peer_id_length: conn.peer.length,
-            total_connections: connections.size,
-            device_type: Analytics.getDeviceType(),
-            connection_type: conn.type || 'data'
-        });
-        
-        // Clear connection timeout if provided
-        if (connectionTimeout) {
-            clearTimeout(connectionTimeout);
-            console.log('Connection timeout cleared for peer:', conn.peer);
-        }
-        
-        // Clear any existing timeout for this connection
-        if (connectionTimeouts.has(conn.peer)) {
-            clearTimeout(connectionTimeouts.get(conn.peer));
-            connectionTimeouts.delete(conn.peer);
-        }
-        
-        // Send a connection notification to the other peer
-        conn.send({
-            type: 'connection-notification',
-            peerId: peer.id
-        });
-    });
+    conn.on('open', () => handleConnectionOpened(conn, connectionTimeout));
 
     conn.on('data', async (data) => {
         try {
+            peerLiveness.markSeen(conn.peer);
+            
+            // Once keys are exchanged, messages pass through the session in order so encrypted chunks get decrypted
+            const encryption = encryptionSessions.get(conn);
+            let wasDecrypted = false; // Set locally - a field in the payload could claim anything
+            if (encryption) {
+                ({ data, wasDecrypted } = await receiveThroughSession(encryption, data));
+            } else if (data.encrypted) {
+                console.warn(`Dropping encrypted message from ${conn.peer} - no keys exchanged with this connection`);
+                return;
+            }
+            // A peer we share keys with never sends file data in plaintext (and with encryption on we never accept it)
+            if (data.type === 'file-chunk' && !wasDecrypted && (encryptionEnabled || (encryption && encryption.status === 'ready'))) {
+                refuseUnencryptedChunk(data, conn);
+                return;
+            }
+            
             switch (data.type) {
                 case MESSAGE_TYPES.SIMULTANEOUS_DOWNLOAD_REQUEST:
                     await handleSimultaneousDownloadRequest(data, conn);
@@ -826,20 +1126,41 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
                     break;
                 case 'connection-notification':
                     updateConnectionStatus('connected', `Connected to peer(s) : ${connections.size}`);
+                    startKeyExchange(conn);
+                    break;
+                case MESSAGE_TYPES.KEY_EXCHANGE:
+                    await handleKeyExchange(data, conn);
+                    break;
+                case MESSAGE_TYPES.AUTH_CHALLENGE:
+                    answerRoomChallenge(data, conn); // Not awaited - the passphrase prompt must not hold up other messages
+                    break;
+                case MESSAGE_TYPES.AUTH_HOST_PROOF:
+                    await checkRoomHostProof(data, conn);
+                    break;
+                case MESSAGE_TYPES.ADMISSION_PENDING:
+                    handleAdmissionPending(conn);
+                    break;
+                case MESSAGE_TYPES.ADMISSION_ACCEPTED:
+                    handleAdmissionAccepted(conn);
+                    break;
+                case MESSAGE_TYPES.ADMISSION_REJECTED:
+                    handleAdmissionRejected(data, conn);
                     break;
                 case 'keep-alive':
                     // Handle keep-alive message
                     console.log(`Keep-alive received from peer ${conn.peer}`);
-                    // Send keep-alive response
+                    // Send keep-alive response (echoing the timestamp so the sender can measure the round trip)
                     conn.send({
                         type: 'keep-alive-response',
                         timestamp: Date.now(),
-                        peerId: peer.id
+                        echoTimestamp: data.timestamp,
+                        peerId: getLocalPeerId()
                     });
                     break;
                 case 'keep-alive-response':
                     // Handle keep-alive response
                     console.log(`Keep-alive response received from peer ${conn.peer}`);
+                    peerLiveness.recordResponse(conn.peer, data.echoTimestamp);
                     break;
                 case 'health-check':
                     // Handle health check message
@@ -848,16 +1169,19 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
                     conn.send({
                         type: 'health-check-response',
                         timestamp: Date.now(),
-                        peerId: peer.id
+                        echoTimestamp: data.timestamp,
+                        peerId: getLocalPeerId()
                     });
                     break;
                 case 'health-check-response':
                     // Handle health check response
                     console.log(`Health check response received from peer ${conn.peer}`);
+                    peerLiveness.recordResponse(conn.peer, data.echoTimestamp);
                     break;
                 case 'disconnect-notification':
                     // Handle disconnect notification
                     console.log(`Disconnect notification received from peer ${conn.peer}`);
+                    reconnectionManager.forget(conn.peer); // The peer left on purpose - don't reconnect
                     connections.delete(conn.peer);
                     updateConnectionStatus(connections.size > 0 ? 'connected' : '', 
                         connections.size > 0 ? `Connected to peer(s) : ${connections.size}` : 'Disconnected');
@@ -866,6 +1190,14 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
                 case MESSAGE_TYPES.FORCE_DISABLE_AUTO_MODE:
                     await handleForceDisableAutoMode(data, conn);
                     break;
+                case MESSAGE_TYPES.TRANSFER_PAUSE:
+                case MESSAGE_TYPES.TRANSFER_RESUME:
+                case MESSAGE_TYPES.TRANSFER_CANCEL:
+                    handleTransferControlMessage(data, conn);
+                    break;
+                case MESSAGE_TYPES.SWARM_HAVE:
+                    handleSwarmHave(data, conn);
+                    break;
                 case 'file-info':
                     // Handle file info without blob
                     const fileInfo = {
@@ -873,10 +1205,21 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
                         type: data.fileType,
                         size: data.fileSize,
                         id: data.fileId,
-                        sharedBy: data.originalSender
+                        sharedBy: data.originalSender,
+                        relativePath: normalizeRelativePath(data.relativePath), // Path inside a shared folder
+                        ...(thumbnailService.isValid(data.thumbnail) ? { thumbnail: data.thumbnail } : {})
                     };
-                    // Add to history if not already present
-                    if (!fileHistory.sent.has(data.fileId) && !fileHistory.received.has(data.fileId)) {
+                    // Add to history if not already present (or restored from history and announced again,
+                    // or announced again by a sender that reloaded and got a new peer ID)
+                    const senderMoved = isMovedSharedFile(fileInfo);
+                    if ((!fileHistory.sent.has(data.fileId) && !fileHistory.received.has(data.fileId))
+                        || (offlineFiles.has(data.fileId) && fileHistory.received.has(data.fileId))
+                        || senderMoved) {
+                        if (senderMoved) {
+                            const previousSender = receivedFileInfoMap.get(data.fileId).sharedBy;
+                            console.log(`📂 ${fileInfo.name} is shared again by ${fileInfo.sharedBy} (was ${previousSender})`);
+                            markGroupChanged('received', previousSender); // The file leaves that peer's group
+                        }
                         // Store file info in Map for ZIP download
                         receivedFileInfoMap.set(data.fileId, fileInfo);
                         addFileToHistory(fileInfo, 'received');
@@ -887,8 +1230,20 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
                         }
                     }
                     break;
+                case MESSAGE_TYPES.TEXT_MESSAGE:
+                    handleTextMessage(data, conn);
+                    break;
+                case MESSAGE_TYPES.CHAT_MESSAGE:
+                    handleChatMessage(data, conn);
+                    break;
+                case MESSAGE_TYPES.CHAT_TYPING:
+                    handleChatTyping(data, conn);
+                    break;
+                case MESSAGE_TYPES.CHAT_READ:
+                    handleChatRead(data, conn);
+                    break;
                 case 'file-header':
-                    await handleFileHeader(data);
+                    await handleFileHeader(data, conn);
                     break;
                 case 'file-chunk':
                     await handleFileChunk(data);
@@ -904,19 +1259,27 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
                     // Handle forwarded blob request (host only)
                     await handleForwardedBlobRequest(data, conn);
                     break;
-                case 'blob-error':
+                case 'blob-error': {
                     // Check if this is a ZIP blob request
-                    if (pendingBlobRequests.has(data.fileId)) {
-                        const request = pendingBlobRequests.get(data.fileId);
-                        pendingBlobRequests.delete(data.fileId);
+                    const request = getPendingBlobRequest(data);
+                    if (request) {
+                        pendingBlobRequests.delete(request.requestId);
                         request.reject(new Error(data.error || 'Failed to download file'));
                         return;
                     }
+                    if (data.requestId) return; // ZIP request that already finished or was cancelled
+                    
+                    // Drop any partial chunks kept for resuming - the sender can't serve this file
+                    discardDiskStream(data.fileId);
+                    delete fileChunks[data.fileId];
+                    pausedTransfers.delete(data.fileId);
+                    resetDownloadButton(data.fileId);
                     
                     showNotification(`Failed to download file: ${data.error}`, 'error');
                     elements.transferProgress.classList.add('hidden');
                     updateTransferInfo('');
                     break;
+                }
                 default:
                     console.error('Unknown data type:', data.type);
             }
@@ -948,6 +1311,28 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
             connectionTimeouts.delete(conn.peer);
         }
         
+        // Stop uploads to this peer (a paused one would otherwise wait forever)
+        cancelUploadsToPeer(conn.peer);
+        
+        // Keys belong to this connection - a new one runs its own exchange
+        endEncryptionSession(conn);
+        
+        // Latency was measured on this connection
+        peerLiveness.forget(conn.peer);
+        
+        // The peer can't be typing any more; its private thread shows as offline
+        for (const thread of chatThreads.values()) {
+            clearChatTyping(thread, conn.peer);
+        }
+        renderChat();
+        
+        // The peer can no longer serve swarm pieces - pieces in flight are fetched from the others
+        swarmManager.removePeer(conn.peer);
+        rejectSwarmPieceRequests(conn.peer);
+        
+        // Keep partial downloads from this peer and reconnect so they can resume
+        handleConnectionDropped(conn);
+        
         updateConnectionStatus(connections.size > 0 ? 'connected' : '', 
             connections.size > 0 ? `Connected to peer(s) : ${connections.size}` : 'Disconnected');
         
@@ -963,6 +1348,7 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
 
     conn.on('error', (error) => {
         console.error('Connection Error:', error);
+        recordConnectionError(error.type || 'connection', `${conn.peer}: ${error.message}`);
         
         // Clear connection timeout if provided
         if (connectionTimeout) {
@@ -970,20 +1356,10 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
             console.log('Connection timeout cleared due to error for peer:', conn.peer);
         }
         
-        // Don't immediately show error notification - it might be temporary
-        // Only attempt reconnection if it persists for a while
-        if (!connectionTimeouts.has(conn.peer)) {
-            const timeout = setTimeout(() => {
-                console.log(`⚠️ Connection error persisted for ${conn.peer}, attempting reconnection...`);
-                updateConnectionStatus('', 'Connection error');
-                
-                // Attempt reconnection
-                console.log(`Attempting to reconnect to ${conn.peer} after error...`);
-                reconnectToPeer(conn.peer);
-                connectionTimeouts.delete(conn.peer);
-            }, 8000); // Wait 8 seconds before attempting reconnection
-            
-            connectionTimeouts.set(conn.peer, timeout);
+        // An error on an open connection may be temporary - show the peer as degraded
+        // If the connection is gone, the close handler starts reconnecting with backoff
+        if (conn.open) {
+            reconnectionManager.markDegraded(conn.peer, error.message);
         }
     });
 
@@ -1021,8 +1397,9 @@ function setupConnectionHandlers(conn, connectionTimeout = null) {
 }
 
 // Helper function to generate unique file ID
-function generateFileId(file) {
-    return `${file.name}-${file.size}`;
+// Files from a folder include their relative path so same-named files in different subfolders stay distinct
+function generateFileId(file, relativePath = '') {
+    return `${relativePath || file.name}-${file.size}`;
 }
 
 // Handle force disable auto mode command from peer
@@ -1068,13 +1445,237 @@ async function handleForceDisableAutoMode(data, conn) {
     }
 }
 
+// Start the key exchange with a peer if encryption is turned on (after connection-notification)
+function startKeyExchange(conn) {
+    const existing = encryptionSessions.get(conn);
+    if (!encryptionEnabled || !encryptionService.isSupported || (existing && existing.status !== 'failed')) {
+        return;
+    }
+    beginKeyExchange(conn);
+}
+
+// Generate our keys for a connection and send the public key
+function beginKeyExchange(conn) {
+    const entry = {
+        status: 'pending', // 'pending' -> 'ready' once both keys are exchanged, or 'failed'
+        sas: null,
+        error: null,
+        receiveQueue: Promise.resolve() // Keeps received messages in order while chunks are decrypted
+    };
+    entry.ready = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+    });
+    entry.ready.catch(() => {}); // Failures are reported by failKeyExchange
+    entry.session = encryptionService.createSession().then(session => {
+        conn.send({ type: MESSAGE_TYPES.KEY_EXCHANGE, publicKey: session.publicKey });
+        return session;
+    });
+    entry.session.catch(error => failKeyExchange(conn, entry, error.message));
+    encryptionSessions.set(conn, entry);
+    renderEncryptionPeers();
+    
+    // Peers without encryption support never answer
+    setTimeout(() => {
+        failKeyExchange(conn, entry, 'Peer does not support encryption');
+    }, window.CONFIG?.KEY_EXCHANGE_TIMEOUT || 10000);
+    return entry;
+}
+
+// Handle key-exchange: answer with our own key if we haven't sent one, then derive the session
+// If both sides start at once, each derives from the other's key without answering again
+async function handleKeyExchange(data, conn) {
+    if (!encryptionService.isSupported) {
+        return; // The peer times out and reports the connection as unencrypted
+    }
+    
+    let entry = encryptionSessions.get(conn);
+    if (!entry || entry.status !== 'pending') {
+        entry = beginKeyExchange(conn);
+    }
+    
+    try {
+        const session = await entry.session;
+        await encryptionService.deriveSession(session, data.publicKey);
+        if (entry.status !== 'pending') return; // Timed out or the connection closed meanwhile
+        
+        entry.status = 'ready';
+        entry.sas = session.sas;
+        entry.resolve(session);
+        renderEncryptionPeers();
+        
+        console.log(`🔒 Encrypted connection with ${conn.peer}: ${encryptionService.formatSas(session.sas, true)}`);
+        showNotification(`🔒 Encrypted with ${conn.peer}: ${encryptionService.formatSas(session.sas)} - check the other device shows the same`, 'info');
+        Analytics.track('encryption_established', {
+            device_type: Analytics.getDeviceType()
+        });
+    } catch (error) {
+        failKeyExchange(conn, entry, error.message);
+    }
+}
+
+// Mark a key exchange as failed - chunks waiting to be encrypted for this connection are rejected
+function failKeyExchange(conn, entry, reason) {
+    if (entry.status !== 'pending') return;
+    entry.status = 'failed';
+    entry.error = reason;
+    entry.reject(new Error(reason));
+    renderEncryptionPeers();
+    
+    console.warn(`🔓 Key exchange with ${conn.peer} failed: ${reason}`);
+    if (encryptionEnabled && encryptionSessions.get(conn) === entry) {
+        showNotification(`Could not encrypt the connection with ${conn.peer}: ${reason}`, 'error');
+    }
+}
+
+// Forget the keys of a closed connection
+function endEncryptionSession(conn) {
+    const entry = encryptionSessions.get(conn);
+    if (!entry) return;
+    encryptionSessions.delete(conn);
+    if (entry.status === 'pending') {
+        entry.status = 'failed';
+        entry.reject(new Error('Connection closed'));
+    }
+    renderEncryptionPeers();
+}
+
+// Encrypt a file-chunk's data for the connection it goes out on
+// Waits for a key exchange in progress; with encryption turned on nothing is sent in plaintext
+async function sealFileChunk(conn, message) {
+    let entry = encryptionSessions.get(conn);
+    if (!entry && encryptionEnabled && encryptionService.isSupported) {
+        entry = beginKeyExchange(conn);
+    }
+    if (!entry) {
+        return message;
+    }
+    
+    let session;
+    try {
+        session = await entry.ready;
+    } catch (error) {
+        if (encryptionEnabled) {
+            throw new Error(`Encryption unavailable: ${error.message}`);
+        }
+        return message; // The peer asked for encryption but the exchange failed - it decides whether to accept plaintext
+    }
+    return {
+        ...message,
+        data: await encryptionService.encrypt(session, message.data),
+        encrypted: true
+    };
+}
+
+// Pass a received message through a connection's session in arrival order
+// Encrypted chunks are decrypted; later messages wait so they can't overtake a chunk being decrypted
+// Resolves with { data, wasDecrypted } - wasDecrypted is only true for messages this session decrypted
+function receiveThroughSession(entry, data) {
+    const result = entry.receiveQueue.then(async () => {
+        if (!data || !data.encrypted) {
+            return { data: data, wasDecrypted: false };
+        }
+        const session = await entry.ready;
+        return {
+            data: {
+                ...data,
+                data: await encryptionService.decrypt(session, data.data),
+                encrypted: false
+            },
+            wasDecrypted: true
+        };
+    });
+    entry.receiveQueue = result.catch(() => {});
+    return result;
+}
+
+// Stop a transfer whose chunks arrive in plaintext on a connection that should be encrypted
+function refuseUnencryptedChunk(data, conn) {
+    const request = getPendingBlobRequest(data);
+    if (request) {
+        pendingBlobRequests.delete(request.requestId);
+        request.reject(new Error('Peer sent unencrypted data'));
+    } else if (fileChunks[data.fileId]) {
+        discardDownload(data.fileId);
+    } else {
+        return; // Already refused - the rest of the transfer is dropped
+    }
+    
+    conn.send({ type: MESSAGE_TYPES.TRANSFER_CANCEL, fileId: data.fileId });
+    showNotification(`Refused unencrypted data for ${getTransferName(data.fileId)} from ${conn.peer}`, 'error');
+}
+
+// Show the encryption state and short authentication string of each connection
+function renderEncryptionPeers() {
+    const list = elements.encryptionPeers;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    for (const [conn, entry] of encryptionSessions) {
+        const li = document.createElement('li');
+        li.className = `encryption-peer encryption-${entry.status}`;
+        
+        let icon = 'lock_open';
+        let detail = 'Not encrypted';
+        if (entry.status === 'ready') {
+            icon = 'lock';
+            detail = encryptionService.formatSas(entry.sas);
+            li.title = `Check ${conn.peer} shows the same: ${encryptionService.formatSas(entry.sas, true)}`;
+        } else if (entry.status === 'pending') {
+            icon = 'hourglass_empty';
+            detail = 'Exchanging keys...';
+        } else if (entry.error) {
+            li.title = entry.error;
+        }
+        
+        li.innerHTML = `
+            <span class="material-icons" translate="no">${icon}</span>
+            <span class="encryption-peer-id" translate="no">${escapeHtml(conn.peer)}</span>
+            <span class="encryption-sas">${escapeHtml(detail)}</span>
+        `;
+        list.appendChild(li);
+    }
+    list.classList.toggle('hidden', encryptionSessions.size === 0);
+}
+
+// Check if a file header continues a partial download instead of starting over
+// The sender echoes the resume offset it honoured; anything else means it restarted from byte 0
+function isResumedHeader(data, fileData) {
+    return !!fileData && data.resumeOffset > 0 && data.resumeOffset === fileData.receivedSize;
+}
+
+// Abort a disk stream for a download that won't complete (partial file is discarded)
+function discardDiskStream(fileId) {
+    const target = diskStreamTargets.get(fileId) || (fileChunks[fileId] && fileChunks[fileId].disk);
+    diskStreamTargets.delete(fileId);
+    if (target) {
+        diskStreamManager.abort(target);
+    }
+}
+
 // Handle file header
-async function handleFileHeader(data) {
+async function handleFileHeader(data, conn = null) {
     console.log('Received file header:', data);
     
+    // Header that was already in flight when the user cancelled
+    if (cancelledTransfers.has(data.fileId)) {
+        console.log(`Ignoring header for cancelled transfer ${data.fileId}`);
+        return;
+    }
+    
     // Check if this is a ZIP blob request
-    if (pendingBlobRequests.has(data.fileId)) {
-        const request = pendingBlobRequests.get(data.fileId);
+    const request = getPendingBlobRequest(data);
+    if (request) {
+        request.fileData.sourcePeer = conn ? conn.peer : data.originalSender;
+        request.fileData.interrupted = false;
+        request.fileData.integrity = data.integrity || null;
+        if (request.piece) {
+            return; // Swarm piece - the header only carries the digests, sizes refer to the piece
+        }
+        if (isResumedHeader(data, request.fileData)) {
+            console.log(`▶️ Resuming ZIP blob ${data.fileName} at byte ${data.resumeOffset}`);
+            return; // Keep the chunks received before the connection dropped
+        }
         request.fileData.fileName = data.fileName;
         request.fileData.fileType = data.fileType;
         request.fileData.fileSize = data.fileSize;
@@ -1082,6 +1683,25 @@ async function handleFileHeader(data) {
         request.chunks = [];
         return; // Don't process as regular file download
     }
+    if (data.requestId) return; // ZIP request that already finished or was cancelled
+    
+    const existing = fileChunks[data.fileId];
+    if (isResumedHeader(data, existing)) {
+        console.log(`▶️ Resuming ${data.fileName} at byte ${data.resumeOffset}`);
+        existing.sourcePeer = conn ? conn.peer : data.originalSender;
+        existing.interrupted = false;
+        existing.integrity = data.integrity || null;
+        updateTransferInfo(`Resuming ${data.fileName} from ${data.originalSender}...`);
+        return;
+    }
+    
+    // Large downloads go straight to the file the user picked when they clicked download
+    let disk = diskStreamTargets.get(data.fileId) || null;
+    diskStreamTargets.delete(data.fileId);
+    if (existing && existing.disk) {
+        disk = existing.disk;
+        diskStreamManager.truncate(disk, 0); // Sender restarted from byte 0
+    }
     
     fileChunks[data.fileId] = {
         chunks: [],
@@ -1089,28 +1709,72 @@ async function handleFileHeader(data) {
         fileType: data.fileType,
         fileSize: data.fileSize,
         receivedSize: 0,
-        originalSender: data.originalSender
+        originalSender: data.originalSender,
+        sourcePeer: conn ? conn.peer : data.originalSender, // Peer actually streaming the chunks (used for resume)
+        interrupted: false,
+        integrity: data.integrity || null, // Sender's SHA-256 digests (absent from older senders)
+        disk: disk // Save target when streaming to disk, null when assembled in memory
     };
+    if (disk) {
+        console.log(`💾 Streaming ${data.fileName} to disk (${disk.handle.name})`);
+    }
     elements.transferProgress.classList.add('hidden'); // Always hide
     updateProgress(0);
     updateTransferInfo(`Receiving ${data.fileName} from ${data.originalSender}...`);
 }
 
+// Check that a chunk continues exactly where the received data ends
+// Chunks that overlap or skip ahead (e.g. left over from a dropped connection) are discarded
+// Swarm pieces start at rangeStart instead of byte 0
+function isExpectedChunk(data, fileData) {
+    const expectedOffset = (fileData.rangeStart || 0) + fileData.receivedSize;
+    if (typeof data.offset !== 'number' || data.offset === expectedOffset) {
+        return true;
+    }
+    console.warn(`Discarding out-of-order chunk for ${data.fileId}: offset ${data.offset}, expected ${expectedOffset}`);
+    return false;
+}
+
 // Handle file chunk
 async function handleFileChunk(data) {
     // Check if this is a ZIP blob request
-    if (pendingBlobRequests.has(data.fileId)) {
-        const request = pendingBlobRequests.get(data.fileId);
+    const request = getPendingBlobRequest(data);
+    if (request) {
+        if (request.fileData.repair) {
+            request.fileData.repair.chunks.push({ offset: data.offset, data: data.data });
+            return;
+        }
+        if (!isExpectedChunk(data, request.fileData)) return;
         request.chunks.push(data.data);
         request.fileData.receivedSize += data.data.byteLength;
+        // Swarm pieces only know what is left of the piece - the file's ETA comes from the swarm state
+        transferStats.record(data.fileId, 'received', request.fileData.sourcePeer, data.data.byteLength,
+            request.piece ? null : request.fileData.fileSize - request.fileData.receivedSize);
         return; // Don't process as regular file download
     }
+    if (data.requestId) return; // ZIP request that already finished or was cancelled
     
     const fileData = fileChunks[data.fileId];
     if (!fileData) return;
+    if (fileData.repair) {
+        // Re-sent range after a failed integrity check - patched in on completion (or in place on disk)
+        if (fileData.disk) {
+            diskStreamManager.write(fileData.disk, data.data, data.offset);
+        } else {
+            fileData.repair.chunks.push({ offset: data.offset, data: data.data });
+        }
+        return;
+    }
+    if (!isExpectedChunk(data, fileData)) return;
 
-    fileData.chunks.push(data.data);
+    if (fileData.disk) {
+        // Written at its byte position so memory stays flat regardless of file size
+        diskStreamManager.write(fileData.disk, data.data, fileData.receivedSize);
+    } else {
+        fileData.chunks.push(data.data);
+    }
     fileData.receivedSize += data.data.byteLength;
+    transferStats.record(data.fileId, 'received', fileData.sourcePeer, data.data.byteLength, fileData.fileSize - fileData.receivedSize);
     
     // Update progress more smoothly (update every 1% change)
     const currentProgress = (fileData.receivedSize / fileData.fileSize) * 100;
@@ -1120,48 +1784,205 @@ async function handleFileChunk(data) {
     }
 }
 
+// Maximum number of times corrupted ranges are re-requested before a download fails
+const MAX_INTEGRITY_REPAIR_ATTEMPTS = 2;
+
+// Files whose SHA-256 digests matched the sender's (fileId -> true)
+const verifiedFiles = new Set();
+
+// Sender-side digest cache so each shared file is hashed once (fileId -> Promise of digests)
+const fileIntegrityCache = new Map();
+
+// Get (or start computing) the digests for a file we are sharing
+function getFileIntegrity(fileId, blob) {
+    if (!fileIntegrityCache.has(fileId)) {
+        const digestPromise = integrityService.computeDigests(blob).catch(error => {
+            console.error(`Failed to hash ${fileId}, sending without digests:`, error);
+            return null;
+        });
+        fileIntegrityCache.set(fileId, digestPromise);
+    }
+    return fileIntegrityCache.get(fileId);
+}
+
+// Patch re-sent ranges over the previously assembled blob
+function applyRepairedRanges(repair) {
+    const chunks = repair.chunks.sort((a, b) => a.offset - b.offset);
+    const parts = [];
+    let position = 0;
+    
+    for (const chunk of chunks) {
+        if (chunk.offset > position) {
+            parts.push(repair.base.slice(position, chunk.offset));
+        }
+        parts.push(chunk.data);
+        position = chunk.offset + chunk.data.byteLength;
+    }
+    if (position < repair.base.size) {
+        parts.push(repair.base.slice(position));
+    }
+    
+    return new Blob(parts, { type: repair.base.type });
+}
+
+// Verify a received blob against the sender's digests before it is handed over
+// Returns true when the blob can be used, false when corrupted ranges have been re-requested
+async function verifyReceivedBlob(fileId, fileData, blob, forZip = false) {
+    if (fileData.preverified) {
+        markFileVerified(fileId); // Swarm download - every piece was checked as it arrived
+        return true;
+    }
+    if (!fileData.integrity) {
+        return true; // Older sender without digests - only the size check applies
+    }
+    
+    const result = await integrityService.verify(blob, fileData.integrity);
+    if (result.skipped) {
+        return true;
+    }
+    if (result.verified) {
+        console.log(`✅ ${fileData.fileName} verified (SHA-256 ${result.fileDigest.substring(0, 12)}…)`);
+        markFileVerified(fileId);
+        return true;
+    }
+    
+    const attempts = fileData.repairAttempts || 0;
+    const conn = connections.get(fileData.sourcePeer);
+    if (result.corruptedRanges.length === 0 || attempts >= MAX_INTEGRITY_REPAIR_ATTEMPTS || !conn || !conn.open) {
+        throw new Error('Integrity check failed: file digest does not match the sender');
+    }
+    
+    console.warn(`⚠️ ${fileData.fileName}: ${result.corruptedRanges.length} corrupted range(s), re-requesting`);
+    fileData.repairAttempts = attempts + 1;
+    fileData.repair = { base: blob, chunks: [] };
+    if (fileData.disk) {
+        await diskStreamManager.reopen(fileData.disk); // Re-sent ranges are written in place
+    }
+    conn.send({
+        type: 'blob-request',
+        fileId: fileId,
+        fileName: fileData.fileName,
+        directRequest: true,
+        forZip: forZip,
+        ranges: result.corruptedRanges,
+        ...(fileData.requestId ? { requestId: fileData.requestId } : {})
+    });
+    return false;
+}
+
+// Mark a file as verified and show the badge on any rendered list item
+function markFileVerified(fileId) {
+    verifiedFiles.add(fileId);
+    document.querySelectorAll(`li.file-item[data-file-id="${CSS.escape(fileId)}"] .file-info`).forEach(info => {
+        if (!info.querySelector('.verified-badge')) {
+            info.appendChild(createVerifiedBadge());
+        }
+    });
+}
+
+// Create the "verified" badge shown on list items
+function createVerifiedBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'verified-badge';
+    badge.title = 'SHA-256 digest matches the original sender';
+    badge.innerHTML = '<span class="material-icons" translate="no">verified</span>Verified';
+    return badge;
+}
+
 // Handle file completion
 async function handleFileComplete(data) {
     // Check if this is a ZIP blob request
-    if (pendingBlobRequests.has(data.fileId)) {
-        const request = pendingBlobRequests.get(data.fileId);
-        pendingBlobRequests.delete(data.fileId);
-        
+    const request = getPendingBlobRequest(data);
+    if (request) {
+        if (request.piece) {
+            // Swarm piece - startSwarmDownload checks its digest so a bad piece can come from another peer
+            pendingBlobRequests.delete(request.requestId);
+            const pieceBlob = new Blob(request.chunks);
+            if (pieceBlob.size === request.fileData.fileSize) {
+                request.resolve(pieceBlob);
+            } else {
+                request.reject(new Error('Received piece size does not match expected size'));
+            }
+            return;
+        }
         try {
             if (request.chunks.length > 0) {
-                const blob = new Blob(request.chunks, { type: request.fileData.fileType });
+                const fileData = request.fileData;
+                const blob = fileData.repair
+                    ? applyRepairedRanges(fileData.repair)
+                    : new Blob(request.chunks, { type: fileData.fileType });
+                fileData.repair = null;
                 
                 // Verify file size
-                if (blob.size !== request.fileData.fileSize) {
+                if (blob.size !== fileData.fileSize) {
                     throw new Error('Received file size does not match expected size');
                 }
                 
+                // Verify digests - corrupted ranges are re-requested and this runs again on their completion
+                if (!(await verifyReceivedBlob(data.fileId, fileData, blob, true))) {
+                    return;
+                }
+                
                 // Resolve the promise with the blob
+                pendingBlobRequests.delete(request.requestId);
                 request.resolve(blob);
             } else {
+                pendingBlobRequests.delete(request.requestId);
                 request.reject(new Error('No chunks received'));
             }
         } catch (error) {
+            pendingBlobRequests.delete(request.requestId);
             request.reject(error);
         }
         return; // Don't process as regular file download
     }
+    if (data.requestId) return; // ZIP request that already finished or was cancelled
     
     const fileData = fileChunks[data.fileId];
     if (!fileData) return;
+    let awaitingRepair = false;
 
     try {
         // Combine chunks into blob if this is a blob transfer
-        if (fileData.chunks.length > 0) {
-            const blob = new Blob(fileData.chunks, { type: fileData.fileType });
+        // Streamed downloads are committed to disk and read back as a disk-backed File
+        if (fileData.chunks.length > 0 || fileData.disk) {
+            const blob = fileData.disk
+                ? await diskStreamManager.finish(fileData.disk)
+                : fileData.repair
+                    ? applyRepairedRanges(fileData.repair)
+                    : new Blob(fileData.chunks, { type: fileData.fileType });
+            fileData.repair = null;
             
             // Verify file size
             if (blob.size !== fileData.fileSize) {
                 throw new Error('Received file size does not match expected size');
             }
-
-            // Create download URL and trigger download
-            downloadBlob(blob, fileData.fileName, data.fileId);
+            
+            // Verify digests before the file reaches the user - corrupted ranges are re-requested
+            if (!(await verifyReceivedBlob(data.fileId, fileData, blob))) {
+                awaitingRepair = true;
+                updateTransferInfo(`Repairing ${fileData.fileName}...`);
+                return;
+            }
+            
+            // Offer the verified file to swarm downloads so other peers can fetch it from us too
+            seedCompletedDownload(data.fileId, blob, fileData.integrity);
+            
+            // Keep it for the preview modal before the chunks are released
+            retainPreviewBlob(data.fileId, blob, fileData.fileName, fileData.fileType);
+
+            // Create download URL and trigger download (streamed files are already saved)
+            if (fileData.disk) {
+                Analytics.track('file_downloaded_successfully', {
+                    file_size: blob.size,
+                    file_type: Analytics.getFileExtension(fileData.fileName),
+                    file_size_category: Analytics.getFileSizeCategory(blob.size),
+                    device_type: Analytics.getDeviceType(),
+                    saved_to_disk: true
+                });
+            } else {
+                downloadBlob(blob, fileData.fileName, data.fileId);
+            }
             
             // Update download progress if bulk download is in progress
             if (bulkDownloadProgress.isBulkDownload && bulkDownloadProgress.total > 0) {
@@ -1180,7 +2001,7 @@ async function handleFileComplete(data) {
                 if (downloadButton) {
                     downloadButton.classList.add('download-completed');
                     downloadButton.innerHTML = '<span class="material-icons" translate="no">open_in_new</span>';
-                    downloadButton.title = 'Open file';
+                    downloadButton.title = previewBlobs.has(data.fileId) ? 'Preview file' : 'Open file';
                     
                     // Clear any existing blob URL for this file (if re-downloaded)
                     if (completedFileBlobURLs.has(data.fileId)) {
@@ -1195,8 +2016,9 @@ async function handleFileComplete(data) {
                     
                     // Mark file as downloaded (without storing blob URL - file is in Downloads folder)
                     completedFileBlobURLs.set(data.fileId, true); // Use as flag to track downloaded files
+                    updateStoredDownloadStatus(data.fileId);
                     
-                    // Show notification when user clicks to open
+                    // Preview the file when user clicks to open (or say where it was saved)
                     downloadButton.onclick = () => {
                         // Track file open click
                         Analytics.track('file_open_clicked', {
@@ -1204,7 +2026,9 @@ async function handleFileComplete(data) {
                             file_type: Analytics.getFileExtension(fileData.fileName),
                             device_type: Analytics.getDeviceType()
                         });
-                        showNotification('Please check your Downloads folder', 'info');
+                        openDownloadedFile(data.fileId, fileData.disk
+                            ? `Saved as ${fileData.disk.handle.name}`
+                            : 'Please check your Downloads folder');
                     };
                 }
                 
@@ -1238,11 +2062,17 @@ async function handleFileComplete(data) {
     } catch (error) {
         console.error('Error handling file completion:', error);
         showNotification('Error processing file: ' + error.message, 'error');
+        if (fileData.disk) {
+            await diskStreamManager.abort(fileData.disk);
+        }
     } finally {
-        delete fileChunks[data.fileId];
-        elements.transferProgress.classList.add('hidden'); // Ensure it's hidden
-        updateProgress(0);
-        updateTransferInfo('');
+        // Keep the received data while corrupted ranges are being re-sent
+        if (!awaitingRepair) {
+            delete fileChunks[data.fileId];
+            elements.transferProgress.classList.add('hidden'); // Ensure it's hidden
+            updateProgress(0);
+            updateTransferInfo('');
+        }
     }
 }
 
@@ -1255,9 +2085,11 @@ async function forwardFileInfoToPeers(fileInfo, fileId) {
         fileName: fileInfo.name,
         fileType: fileInfo.type,
         fileSize: fileInfo.size,
-        originalSender: fileInfo.sharedBy || peer.id,
+        relativePath: fileInfo.relativePath || '',
+        originalSender: fileInfo.sharedBy || getLocalPeerId(),
         timestamp: Date.now(),
-        directDownload: true // Indicate this file supports direct download
+        directDownload: true, // Indicate this file supports direct download
+        ...(fileInfo.thumbnail ? { thumbnail: fileInfo.thumbnail } : {})
     };
 
     // Send to all connected peers except the original sender
@@ -1273,8 +2105,690 @@ async function forwardFileInfoToPeers(fileInfo, fileId) {
     }
 }
 
+// Create the text-message sent for a snippet (also used when relaying)
+function createTextMessage(snippet) {
+    return {
+        type: MESSAGE_TYPES.TEXT_MESSAGE,
+        messageId: snippet.id,
+        text: snippet.text,
+        originalSender: snippet.sharedBy,
+        timestamp: snippet.timestamp
+    };
+}
+
+// Send a text snippet (link, OTP, code) to every connected peer
+function sendTextMessage(text) {
+    if (connections.size === 0) {
+        showNotification('Please connect to at least one peer first', 'error');
+        return false;
+    }
+    
+    const maxLength = window.CONFIG?.MAX_TEXT_MESSAGE_LENGTH || 65536;
+    if (text.length > maxLength) {
+        showNotification(`Text is too long to send (${text.length} of ${maxLength} characters) - send it as a file instead`, 'error');
+        return false;
+    }
+    
+    const snippet = {
+        id: `text-${getLocalPeerId()}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        text: text,
+        sharedBy: getLocalPeerId(),
+        timestamp: Date.now()
+    };
+    addTextSnippet(snippet);
+    
+    const message = createTextMessage(snippet);
+    let sentCount = 0;
+    for (const [peerId, conn] of connections) {
+        if (conn && conn.open) {
+            try {
+                conn.send(message);
+                sentCount++;
+            } catch (error) {
+                console.error(`Error sending text to peer ${peerId}:`, error);
+            }
+        }
+    }
+    
+    Analytics.track('text_message_sent', {
+        length: text.length,
+        is_link: isLinkSnippet(text),
+        peer_count: sentCount,
+        device_type: Analytics.getDeviceType()
+    });
+    return true;
+}
+
+// Handle text-message: show the snippet and pass it on to our other peers
+function handleTextMessage(data, conn) {
+    const maxLength = window.CONFIG?.MAX_TEXT_MESSAGE_LENGTH || 65536;
+    if (typeof data.text !== 'string' || !data.messageId || data.text.length > maxLength) {
+        console.warn(`Ignoring invalid text message from ${conn.peer}`);
+        return;
+    }
+    // Relayed snippets can come back to us from another peer
+    if (textSnippets.has(data.messageId)) {
+        return;
+    }
+    
+    const snippet = {
+        id: data.messageId,
+        text: data.text,
+        sharedBy: data.originalSender || conn.peer,
+        timestamp: data.timestamp || Date.now()
+    };
+    addTextSnippet(snippet);
+    showNotification(`Text received from ${snippet.sharedBy}`, 'info');
+    
+    Analytics.track('text_message_received', {
+        length: snippet.text.length,
+        is_link: isLinkSnippet(snippet.text),
+        device_type: Analytics.getDeviceType()
+    });
+    
+    // If this is the host, forward to other peers
+    if (connections.size > 1) {
+        forwardTextMessageToPeers(snippet);
+    }
+}
+
+// Forward a text snippet to other connected peers (same as forwardFileInfoToPeers)
+function forwardTextMessageToPeers(snippet) {
+    const message = createTextMessage(snippet);
+    
+    // Send to all connected peers except the original sender
+    for (const [peerId, conn] of connections) {
+        if (peerId !== snippet.sharedBy && conn && conn.open) {
+            try {
+                console.log(`Forwarding text message to peer: ${peerId}`);
+                conn.send(message);
+            } catch (error) {
+                console.error(`Error forwarding text message to peer ${peerId}:`, error);
+            }
+        }
+    }
+}
+
+// Check if a snippet is a single web link
+function isLinkSnippet(text) {
+    return /^https?:\/\/\S+$/i.test(text.trim());
+}
+
+// Add a snippet to the history (newest first, oldest dropped past MAX_TEXT_SNIPPETS)
+function addTextSnippet(snippet) {
+    textSnippets.set(snippet.id, snippet);
+    elements.snippetsList.prepend(createSnippetListItem(snippet));
+    
+    while (textSnippets.size > MAX_TEXT_SNIPPETS) {
+        const oldestId = textSnippets.keys().next().value;
+        textSnippets.delete(oldestId);
+        const item = elements.snippetsList.querySelector(`[data-snippet-id="${CSS.escape(oldestId)}"]`);
+        if (item) item.remove();
+    }
+    
+    elements.snippetsSection.classList.remove('hidden');
+}
+
+// Create the history entry for a snippet
+function createSnippetListItem(snippet) {
+    const isSent = snippet.sharedBy === getLocalPeerId();
+    const isLink = isLinkSnippet(snippet.text);
+    
+    const li = document.createElement('li');
+    li.className = 'file-item snippet-item';
+    li.setAttribute('data-snippet-id', snippet.id);
+    
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = isLink ? 'link' : 'notes';
+    icon.setAttribute('translate', 'no');
+    
+    const info = document.createElement('div');
+    info.className = 'file-info';
+    
+    let textElement;
+    if (isLink) {
+        textElement = document.createElement('a');
+        textElement.href = snippet.text.trim();
+        textElement.target = '_blank';
+        textElement.rel = 'noopener noreferrer';
+    } else {
+        textElement = document.createElement('pre');
+    }
+    textElement.className = 'snippet-text';
+    textElement.textContent = snippet.text;
+    textElement.setAttribute('translate', 'no');
+    textElement.setAttribute('data-no-translate', 'true');
+    
+    const sharedBySpan = document.createElement('span');
+    sharedBySpan.className = 'shared-by';
+    const time = new Date(snippet.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    sharedBySpan.textContent = isSent ?
+        `Sent to connected peers at ${time}` :
+        `Received from peer ${snippet.sharedBy} at ${time}`;
+    
+    info.appendChild(textElement);
+    info.appendChild(sharedBySpan);
+    
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'icon-button';
+    copyBtn.title = 'Copy to clipboard';
+    copyBtn.innerHTML = '<span class="material-icons" translate="no">content_copy</span>';
+    copyBtn.onclick = async () => {
+        const copied = await copyToClipboard(snippet.text);
+        showNotification(copied ? 'Copied to clipboard' : 'Failed to copy text', copied ? 'success' : 'error');
+        Analytics.track('text_message_copied', {
+            success: copied,
+            device_type: Analytics.getDeviceType()
+        });
+    };
+    
+    li.appendChild(icon);
+    li.appendChild(info);
+    li.appendChild(copyBtn);
+    
+    return li;
+}
+
+// Initialize the text compose box next to the drop zone
+function initTextSnippets() {
+    if (!elements.snippetForm) return;
+    
+    const submit = () => {
+        const text = elements.snippetInput.value;
+        if (!text.trim()) return;
+        if (sendTextMessage(text)) {
+            elements.snippetInput.value = '';
+        }
+    };
+    
+    elements.snippetForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submit();
+    });
+    
+    // Enter adds a new line (snippets are often code) - Ctrl/Cmd+Enter sends
+    elements.snippetInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            submit();
+        }
+    });
+}
+
+// ============================================================================
+// CHAT
+// ============================================================================
+
+// Get the thread a chat message belongs to - 'room' for everyone, 'direct:{peerId}' for one peer
+function getChatThreadId(threadType, otherPeerId) {
+    return threadType === 'room' ? 'room' : `direct:${otherPeerId}`;
+}
+
+// Get a chat thread, creating it if needed
+function getChatThread(threadId) {
+    if (!chatThreads.has(threadId)) {
+        chatThreads.set(threadId, {
+            id: threadId,
+            peerId: threadId === 'room' ? null : threadId.slice('direct:'.length),
+            messages: [], // Oldest first
+            typing: new Map() // peerId -> timer that clears the typing indicator
+        });
+    }
+    return chatThreads.get(threadId);
+}
+
+// Count the messages in a thread we haven't read yet
+function getChatUnreadCount(thread) {
+    return thread.messages.filter(message => !message.outgoing && !message.read).length;
+}
+
+// Add a message to its thread (sorted by time, duplicates ignored) and keep the thread within MAX_CHAT_MESSAGES
+function addChatMessage(message) {
+    const thread = getChatThread(message.threadId);
+    if (thread.messages.some(existing => existing.id === message.id)) {
+        return false;
+    }
+    
+    thread.messages.push(message);
+    thread.messages.sort((a, b) => a.timestamp - b.timestamp);
+    if (thread.messages.length > MAX_CHAT_MESSAGES) {
+        thread.messages.splice(0, thread.messages.length - MAX_CHAT_MESSAGES);
+    }
+    return true;
+}
+
+// Save a message so the chat survives a reload
+function storeChatMessage(message) {
+    storageService.saveChatMessage(message).catch(error => {
+        console.warn('Could not save chat message:', error);
+    });
+}
+
+// Load the chat history saved by StorageService
+async function loadChatHistory() {
+    try {
+        const messages = await storageService.getChatMessages();
+        messages.forEach(message => addChatMessage(message));
+        console.log(`💬 Loaded ${messages.length} chat messages`);
+    } catch (error) {
+        console.warn('Could not load chat history:', error);
+    }
+    renderChat();
+}
+
+// Send a chat message in the active thread
+function sendChatMessage(text) {
+    const thread = getChatThread(activeChatThread);
+    const maxLength = window.CONFIG?.MAX_CHAT_MESSAGE_LENGTH || 2000;
+    if (text.length > maxLength) {
+        showNotification(`Message is too long (${text.length} of ${maxLength} characters)`, 'error');
+        return false;
+    }
+    
+    const targets = thread.peerId
+        ? [connections.get(thread.peerId)].filter(conn => conn && conn.open)
+        : Array.from(connections.values()).filter(conn => conn && conn.open);
+    if (targets.length === 0) {
+        showNotification(thread.peerId ? `${thread.peerId} is not connected` : 'Please connect to at least one peer first', 'error');
+        return false;
+    }
+    
+    const message = {
+        id: `chat-${getLocalPeerId()}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        threadId: thread.id,
+        from: getLocalPeerId(),
+        text: text,
+        timestamp: Date.now(),
+        outgoing: true, // Our peer ID can change between sessions, so saved messages remember this themselves
+        readBy: [] // Peers that have seen our message
+    };
+    addChatMessage(message);
+    storeChatMessage(message);
+    
+    const data = {
+        type: MESSAGE_TYPES.CHAT_MESSAGE,
+        messageId: message.id,
+        threadType: thread.peerId ? 'direct' : 'room',
+        text: text,
+        originalSender: getLocalPeerId(),
+        timestamp: message.timestamp
+    };
+    targets.forEach(conn => conn.send(data));
+    
+    lastChatTypingSent = 0;
+    renderChat();
+    
+    Analytics.track('chat_message_sent', {
+        thread_type: data.threadType,
+        length: text.length,
+        device_type: Analytics.getDeviceType()
+    });
+    return true;
+}
+
+// Handle chat-message: add it to its thread and relay room messages to our other peers
+function handleChatMessage(data, conn) {
+    const maxLength = window.CONFIG?.MAX_CHAT_MESSAGE_LENGTH || 2000;
+    if (typeof data.text !== 'string' || !data.messageId || data.text.length > maxLength) {
+        console.warn(`Ignoring invalid chat message from ${conn.peer}`);
+        return;
+    }
+    
+    const isRoom = data.threadType === 'room';
+    const from = isRoom ? (data.originalSender || conn.peer) : conn.peer; // Direct messages are never relayed
+    const message = {
+        id: data.messageId,
+        threadId: getChatThreadId(isRoom ? 'room' : 'direct', conn.peer),
+        from: from,
+        text: data.text,
+        timestamp: data.timestamp || Date.now(),
+        outgoing: false,
+        read: false
+    };
+    
+    // Relayed room messages can come back to us from another peer
+    if (!addChatMessage(message)) {
+        return;
+    }
+    storeChatMessage(message);
+    clearChatTyping(getChatThread(message.threadId), from);
+    
+    // If this is the host, forward room messages to other peers
+    if (isRoom && connections.size > 1) {
+        forwardChatDataToPeers({ ...data, originalSender: from }, [from, conn.peer]);
+    }
+    
+    renderChat();
+    if (!isChatThreadVisible(message.threadId)) {
+        const preview = message.text.length > 60 ? `${message.text.slice(0, 60)}…` : message.text;
+        showNotification(`💬 ${from}${isRoom ? '' : ' (private)'}: ${preview}`, 'info');
+    }
+}
+
+// Handle chat-typing: show or clear "... is typing" for a thread
+function handleChatTyping(data, conn) {
+    const isRoom = data.threadType === 'room';
+    const from = isRoom ? (data.from || conn.peer) : conn.peer;
+    const thread = getChatThread(getChatThreadId(isRoom ? 'room' : 'direct', conn.peer));
+    
+    clearChatTyping(thread, from);
+    if (data.typing) {
+        // Cleared automatically if the peer stops without telling us (closed tab, lost connection)
+        thread.typing.set(from, setTimeout(() => {
+            clearChatTyping(thread, from);
+            renderChatTyping();
+        }, CHAT_TYPING_TIMEOUT));
+    }
+    renderChatTyping();
+    
+    if (isRoom && !data.relayed && connections.size > 1) {
+        forwardChatDataToPeers({ ...data, from: from, relayed: true }, [from, conn.peer]);
+    }
+}
+
+// Handle chat-read: mark our messages as seen by the reader
+function handleChatRead(data, conn) {
+    const isRoom = data.threadType === 'room';
+    const reader = isRoom ? (data.reader || conn.peer) : conn.peer;
+    const thread = chatThreads.get(getChatThreadId(isRoom ? 'room' : 'direct', conn.peer));
+    const messageIds = Array.isArray(data.messageIds) ? data.messageIds : [];
+    
+    if (thread) {
+        let changed = false;
+        thread.messages.forEach(message => {
+            if (message.outgoing && messageIds.includes(message.id) && !message.readBy.includes(reader)) {
+                message.readBy.push(reader);
+                storeChatMessage(message);
+                changed = true;
+            }
+        });
+        if (changed && activeChatThread === thread.id) {
+            renderChatMessages();
+        }
+    }
+    
+    // The author of a room message may only be connected to us
+    if (isRoom && !data.relayed && connections.size > 1) {
+        forwardChatDataToPeers({ ...data, reader: reader, relayed: true }, [reader, conn.peer]);
+    }
+}
+
+// Forward room chat data to other connected peers (same as forwardFileInfoToPeers)
+function forwardChatDataToPeers(data, excludePeerIds) {
+    for (const [peerId, conn] of connections) {
+        if (!excludePeerIds.includes(peerId) && conn && conn.open) {
+            try {
+                conn.send(data);
+            } catch (error) {
+                console.error(`Error forwarding chat data to peer ${peerId}:`, error);
+            }
+        }
+    }
+}
+
+// Stop showing a peer as typing in a thread
+function clearChatTyping(thread, peerId) {
+    if (thread.typing.has(peerId)) {
+        clearTimeout(thread.typing.get(peerId));
+        thread.typing.delete(peerId);
+    }
+}
+
+// Tell the peers of the active thread whether we're typing (throttled while typing continues)
+function notifyChatTyping(typing) {
+    const now = Date.now();
+    if (typing && now - lastChatTypingSent < CHAT_TYPING_INTERVAL) return;
+    if (!typing && lastChatTypingSent === 0) return;
+    lastChatTypingSent = typing ? now : 0;
+    
+    const thread = getChatThread(activeChatThread);
+    const data = {
+        type: MESSAGE_TYPES.CHAT_TYPING,
+        threadType: thread.peerId ? 'direct' : 'room',
+        typing: typing,
+        from: getLocalPeerId()
+    };
+    const targets = thread.peerId ? [connections.get(thread.peerId)] : Array.from(connections.values());
+    targets.forEach(conn => {
+        if (conn && conn.open) {
+            conn.send(data);
+        }
+    });
+}
+
+// Check if the user can currently see a thread's messages
+function isChatThreadVisible(threadId) {
+    return activeChatThread === threadId && !document.hidden && chatInView;
+}
+
+// Mark the messages of the active thread as read and tell their authors
+function markActiveChatThreadRead() {
+    if (!isChatThreadVisible(activeChatThread)) return;
+    
+    const thread = getChatThread(activeChatThread);
+    const unread = thread.messages.filter(message => !message.outgoing && !message.read);
+    if (unread.length === 0) return;
+    
+    unread.forEach(message => {
+        message.read = true;
+        storeChatMessage(message);
+    });
+    
+    const data = {
+        type: MESSAGE_TYPES.CHAT_READ,
+        threadType: thread.peerId ? 'direct' : 'room',
+        messageIds: unread.map(message => message.id),
+        reader: getLocalPeerId()
+    };
+    const targets = thread.peerId ? [connections.get(thread.peerId)] : Array.from(connections.values());
+    targets.forEach(conn => {
+        if (conn && conn.open) {
+            conn.send(data);
+        }
+    });
+    
+    renderChatThreads();
+}
+
+// Switch to another thread
+function selectChatThread(threadId) {
+    if (threadId === activeChatThread) return;
+    notifyChatTyping(false); // The typing indicator belonged to the old thread
+    activeChatThread = threadId;
+    renderChat();
+    elements.chatInput.placeholder = threadId === 'room' ? 'Message everyone' : `Message ${getChatThread(threadId).peerId}`;
+}
+
+// Delete the history of the active thread
+async function clearActiveChatThread() {
+    const thread = getChatThread(activeChatThread);
+    if (thread.messages.length === 0) return;
+    
+    const confirmed = await showConfirmDialog(
+        `Delete the ${thread.peerId ? `chat with ${thread.peerId}` : 'room chat'} from this device?`,
+        'Clear chat',
+        { confirmText: 'Delete' }
+    );
+    if (!confirmed) return;
+    
+    thread.messages = [];
+    try {
+        await storageService.deleteChatThread(thread.id);
+    } catch (error) {
+        console.warn('Could not delete chat history:', error);
+    }
+    renderChat();
+}
+
+// Render the whole chat panel
+function renderChat() {
+    renderChatThreads();
+    renderChatMessages();
+    renderChatTyping();
+    markActiveChatThreadRead();
+}
+
+// Render the thread tabs: the room, connected peers, and peers we have history with
+function renderChatThreads() {
+    if (!elements.chatThreads) return;
+    
+    const peerIds = new Set(connections.keys());
+    for (const thread of chatThreads.values()) {
+        if (thread.peerId && thread.messages.length > 0) {
+            peerIds.add(thread.peerId);
+        }
+    }
+    // A closed private thread falls back to the room once the peer has gone and left no history
+    if (activeChatThread !== 'room' && !peerIds.has(getChatThread(activeChatThread).peerId)) {
+        activeChatThread = 'room';
+    }
+    
+    const threadIds = ['room', ...Array.from(peerIds).map(peerId => getChatThreadId('direct', peerId))];
+    elements.chatThreads.innerHTML = '';
+    
+    let totalUnread = 0;
+    threadIds.forEach(threadId => {
+        const thread = getChatThread(threadId);
+        const unread = getChatUnreadCount(thread);
+        totalUnread += unread;
+        
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'chat-thread-tab';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', String(threadId === activeChatThread));
+        tab.classList.toggle('active', threadId === activeChatThread);
+        tab.classList.toggle('offline', !!thread.peerId && !connections.has(thread.peerId));
+        tab.innerHTML = `
+            <span class="material-icons" translate="no">${thread.peerId ? 'person' : 'groups'}</span>
+            <span class="chat-thread-name" translate="no">${escapeHtml(thread.peerId || 'Everyone')}</span>
+            ${unread > 0 ? `<span class="chat-unread-count">${unread}</span>` : ''}
+        `;
+        tab.onclick = () => selectChatThread(threadId);
+        elements.chatThreads.appendChild(tab);
+    });
+    
+    elements.chatUnread.textContent = totalUnread;
+    elements.chatUnread.classList.toggle('hidden', totalUnread === 0);
+}
+
+// Render the messages of the active thread
+function renderChatMessages() {
+    if (!elements.chatMessages) return;
+    
+    const thread = getChatThread(activeChatThread);
+    const list = elements.chatMessages;
+    const wasAtBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+    list.innerHTML = '';
+    
+    if (thread.messages.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'chat-empty';
+        empty.textContent = thread.peerId ? `No messages with ${thread.peerId} yet` : 'No messages yet - say hello to everyone connected';
+        list.appendChild(empty);
+        return;
+    }
+    
+    thread.messages.forEach(message => {
+        list.appendChild(createChatMessageItem(message, thread));
+    });
+    
+    if (wasAtBottom || thread.messages[thread.messages.length - 1].outgoing) {
+        list.scrollTop = list.scrollHeight;
+    }
+}
+
+// Create the list item for a chat message
+function createChatMessageItem(message, thread) {
+    const isOwn = message.outgoing;
+    const li = document.createElement('li');
+    li.className = `chat-message ${isOwn ? 'chat-message-own' : 'chat-message-peer'}`;
+    li.setAttribute('data-message-id', message.id);
+    
+    // Room messages from others show who wrote them
+    if (!isOwn && !thread.peerId) {
+        const author = document.createElement('span');
+        author.className = 'chat-message-author';
+        author.textContent = message.from;
+        author.setAttribute('translate', 'no');
+        li.appendChild(author);
+    }
+    
+    const text = document.createElement('span');
+    text.className = 'chat-message-text';
+    text.textContent = message.text;
+    li.appendChild(text);
+    
+    const meta = document.createElement('span');
+    meta.className = 'chat-message-meta';
+    const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (isOwn) {
+        const readBy = message.readBy || [];
+        const status = readBy.length === 0 ? 'Sent' : (thread.peerId ? 'Read' : `Read by ${readBy.length}`);
+        meta.textContent = `${time} · ${status}`;
+        if (readBy.length > 0) {
+            meta.title = `Read by ${readBy.join(', ')}`;
+            li.classList.add('chat-message-read');
+        }
+    } else {
+        meta.textContent = time;
+    }
+    li.appendChild(meta);
+    
+    return li;
+}
+
+// Render "... is typing" for the active thread
+function renderChatTyping() {
+    if (!elements.chatTyping) return;
+    
+    const typingPeers = Array.from(getChatThread(activeChatThread).typing.keys());
+    if (typingPeers.length === 0) {
+        elements.chatTyping.textContent = '';
+    } else if (typingPeers.length === 1) {
+        elements.chatTyping.textContent = `${typingPeers[0]} is typing…`;
+    } else {
+        elements.chatTyping.textContent = `${typingPeers.length} people are typing…`;
+    }
+}
+
+// Initialize the chat panel next to the file lists
+function initChat() {
+    if (!elements.chatForm) return;
+    
+    elements.chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = elements.chatInput.value.trim();
+        if (!text) return;
+        if (sendChatMessage(text)) {
+            elements.chatInput.value = '';
+        }
+    });
+    
+    elements.chatInput.addEventListener('input', () => {
+        notifyChatTyping(elements.chatInput.value.trim().length > 0);
+    });
+    elements.chatInput.addEventListener('blur', () => notifyChatTyping(false));
+    
+    elements.chatClear.addEventListener('click', clearActiveChatThread);
+    
+    // Messages only count as read once the chat is on screen
+    if ('IntersectionObserver' in window) {
+        new IntersectionObserver((entries) => {
+            chatInView = entries[0].isIntersecting;
+            markActiveChatThreadRead();
+        }).observe(elements.chatMessages);
+    } else {
+        chatInView = true;
+    }
+    document.addEventListener('visibilitychange', () => markActiveChatThreadRead());
+    
+    loadChatHistory();
+}
+
 // Send file to a specific peer
-async function sendFileToPeer(file, conn, fileId, fileBlob) {
+async function sendFileToPeer(file, conn, fileId, fileBlob, thumbnail = null) {
     try {
         if (!conn.open) {
             throw new Error('Connection is not open');
@@ -1290,7 +2804,9 @@ async function sendFileToPeer(file, conn, fileId, fileBlob) {
             fileName: file.name,
             fileType: file.type,
             fileSize: file.size,
-            originalSender: peer.id
+            relativePath: getFileRelativePath(file),
+            originalSender: getLocalPeerId(),
+            ...(thumbnail ? { thumbnail: thumbnail } : {}) // Small preview so receivers can pick without downloading
         });
 
         console.log(`File info sent successfully to peer ${conn.peer}`);
@@ -1303,131 +2819,300 @@ async function sendFileToPeer(file, conn, fileId, fileBlob) {
 // Handle blob request
 async function handleBlobRequest(data, conn) {
     const { fileId, forwardTo } = data;
-    console.log('Received blob request for file:', fileId);
+    console.log('Received blob request for file:', fileId, data.resumeOffset ? `(resume at byte ${data.resumeOffset})` : '');
+    
+    // Echo the receiver's request ID on every message so parallel requests can be told apart
+    const requestTag = getRequestTag(data);
 
-    // Check if we have the blob
-    const blob = sentFileBlobs.get(fileId);
+    // Check if we have the blob (shared by us, or downloaded and seeded to the swarm)
+    const blob = getServableBlob(data);
     if (!blob) {
         console.error('Blob not found for file:', fileId);
         conn.send({
             type: 'blob-error',
             fileId: fileId,
-            error: 'File not available'
+            error: 'File not available',
+            ...requestTag
         });
         return;
     }
 
-    try {
-        // Convert blob to array buffer
-        const buffer = await blob.arrayBuffer();
-        let offset = 0;
-        let lastProgressUpdate = 0;
+    // Register the upload so the receiver can pause, resume or cancel it
+    // A repeated request (same file, same request ID) replaces the running upload
+    const uploadKey = getUploadKey(conn.peer, fileId, data.requestId);
+    if (activeUploads.has(uploadKey)) {
+        activeUploads.get(uploadKey).cancel();
+    }
+    const control = chunkStreamer.createControl();
+    control.peerId = conn.peer;
+    control.fileId = fileId;
+    activeUploads.set(uploadKey, control);
+
+    try {
+        // Resume from the requested offset if it is valid, otherwise start from byte 0
+        const resumeOffset = Number.isInteger(data.resumeOffset) && data.resumeOffset > 0 && data.resumeOffset < blob.size
+            ? data.resumeOffset
+            : 0;
+        let lastProgressUpdate = 0;
+        let lastSentOffset = resumeOffset;
+
+        // Receiver is re-requesting ranges that failed its integrity check
+        if (Array.isArray(data.ranges) && data.ranges.length > 0) {
+            await sendBlobRanges(data, conn, blob, control);
+            return;
+        }
+
+        // Digests let the receiver verify the file end to end (computed once per file)
+        const integrity = blob.integrity || await getFileIntegrity(fileId, blob);
+
+        // Send file header
+        conn.send({
+            type: 'file-header',
+            fileId: fileId,
+            fileName: data.fileName,
+            fileType: blob.type,
+            fileSize: blob.size,
+            originalSender: getLocalPeerId(),
+            resumeOffset: resumeOffset,
+            integrity: integrity,
+            timestamp: Date.now(),
+            ...requestTag
+        });
+
+        // Stream chunks with backpressure - slices are read one at a time instead of buffering the whole file
+        await chunkStreamer.stream(conn, blob, {
+            startOffset: resumeOffset,
+            control: control,
+            buildMessage: (chunk, offset) => sealFileChunk(conn, {
+                type: 'file-chunk',
+                fileId: fileId,
+                data: chunk,
+                offset: offset,
+                total: blob.size,
+                ...requestTag
+            }),
+            onProgress: (offset, total) => {
+                transferStats.record(fileId, 'sent', conn.peer, offset - lastSentOffset, total - offset);
+                lastSentOffset = offset;
+
+                // Update progress
+                const currentProgress = (offset / total) * 100;
+                if (currentProgress - lastProgressUpdate >= 1) {
+                    updateProgress(currentProgress, fileId);
+                    lastProgressUpdate = currentProgress;
+                }
+            }
+        });
+
+        // Send completion message
+        conn.send({
+            type: 'file-complete',
+            fileId: fileId,
+            fileName: data.fileName,
+            fileType: blob.type,
+            fileSize: blob.size,
+            timestamp: Date.now(),
+            ...requestTag
+        });
+
+        console.log(`File sent successfully to peer ${conn.peer}`);
+    } catch (error) {
+        if (control.cancelled) {
+            // Receiver cancelled (or the connection closed) - nothing to report back
+            console.log(`⏹️ Upload of ${fileId} to peer ${conn.peer} cancelled`);
+            return;
+        }
+        console.error(`Error sending file to peer:`, error);
+        conn.send({
+            type: 'blob-error',
+            fileId: fileId,
+            error: error.message,
+            ...requestTag
+        });
+    } finally {
+        // A newer request for the same file may have replaced this upload
+        if (activeUploads.get(uploadKey) === control) {
+            activeUploads.delete(uploadKey);
+            transferStats.finish(fileId, 'sent', conn.peer);
+        }
+    }
+}
+
+// Re-send only the requested byte ranges of a file (integrity repair)
+async function sendBlobRanges(data, conn, blob, control = null) {
+    const { fileId } = data;
+    const requestTag = getRequestTag(data);
+    console.log(`${data.swarm ? 'Sending' : 'Re-sending'} ${data.ranges.length} range(s) of ${fileId} to peer ${conn.peer}`);
+    
+    // Swarm pieces are verified on arrival, so the receiver needs the digests before the data
+    if (data.swarm) {
+        conn.send({
+            type: 'file-header',
+            fileId: fileId,
+            fileName: data.fileName,
+            fileType: blob.type,
+            fileSize: blob.size,
+            originalSender: getLocalPeerId(),
+            integrity: blob.integrity || await getFileIntegrity(fileId, blob),
+            timestamp: Date.now(),
+            ...requestTag
+        });
+    }
+    
+    for (const [start, end] of data.ranges) {
+        const rangeStart = Math.max(0, Math.min(start, blob.size));
+        const rangeEnd = Math.max(rangeStart, Math.min(end, blob.size));
+        let lastSentOffset = 0;
+        await chunkStreamer.stream(conn, blob.slice(rangeStart, rangeEnd), {
+            control: control,
+            buildMessage: (chunk, offset) => sealFileChunk(conn, {
+                type: 'file-chunk',
+                fileId: fileId,
+                data: chunk,
+                offset: rangeStart + offset,
+                total: blob.size,
+                ...requestTag
+            }),
+            onProgress: (offset) => {
+                transferStats.record(fileId, 'sent', conn.peer, offset - lastSentOffset);
+                lastSentOffset = offset;
+            }
+        });
+    }
+    
+    conn.send({
+        type: 'file-complete',
+        fileId: fileId,
+        fileName: data.fileName,
+        fileType: blob.type,
+        fileSize: blob.size,
+        ranges: data.ranges,
+        timestamp: Date.now(),
+        ...requestTag
+    });
+}
+
+// Get the data to serve for a blob request: a file we shared, or a download we seed to the swarm
+// Partially downloaded seeds can only serve the ranges they already hold
+function getServableBlob(data) {
+    const sharedBlob = sentFileBlobs.get(data.fileId);
+    if (sharedBlob) {
+        return sharedBlob;
+    }
+    
+    const seed = swarmManager.getSeedSource(data.fileId);
+    if (!seed) {
+        return null;
+    }
+    if (Array.isArray(data.ranges) && data.ranges.length > 0) {
+        return data.ranges.every(([start, end]) => seed.hasRange(start, Math.min(end, seed.size))) ? seed : null;
+    }
+    return seed.complete ? seed : null;
+}
+
+// Request ID fields to echo back to the receiver (empty for older receivers that don't send one)
+function getRequestTag(data) {
+    return data.requestId ? { requestId: data.requestId } : {};
+}
 
-        // Send file header
-        conn.send({
-            type: 'file-header',
-            fileId: fileId,
-            fileName: data.fileName,
-            fileType: blob.type,
-            fileSize: blob.size,
-            originalSender: peer.id,
-            timestamp: Date.now()
-        });
+// Map to store pending blob requests for ZIP creation
+// Keyed by request ID so several requests (even for the same file) can be in flight at once
+const pendingBlobRequests = new Map(); // requestId -> { requestId, fileId, resolve, reject, chunks, fileData }
 
-        // Send chunks
-        while (offset < blob.size) {
-            if (!conn.open) {
-                throw new Error('Connection lost during transfer');
-            }
+// Counter for generating blob request IDs
+let blobRequestCounter = 0;
 
-            const chunk = buffer.slice(offset, offset + CHUNK_SIZE);
-            conn.send({
-                type: 'file-chunk',
-                fileId: fileId,
-                data: chunk,
-                offset: offset,
-                total: blob.size
-            });
+// Generate an ID that the sender echoes on every header, chunk, completion and error for the request
+function generateBlobRequestId() {
+    blobRequestCounter++;
+    return `req-${Date.now().toString(36)}-${blobRequestCounter}`;
+}
 
-            offset += chunk.byteLength;
+// Find the pending ZIP blob request a message belongs to
+// Newer senders echo the requestId; older ones only send the fileId
+function getPendingBlobRequest(data) {
+    if (data.requestId) {
+        return pendingBlobRequests.get(data.requestId) || null;
+    }
+    return findPendingBlobRequest(data.fileId);
+}
 
-            // Update progress
-            const currentProgress = (offset / blob.size) * 100;
-            if (currentProgress - lastProgressUpdate >= 1) {
-                updateProgress(currentProgress, fileId);
-                lastProgressUpdate = currentProgress;
-            }
+// Find a pending ZIP blob request by file ID
+function findPendingBlobRequest(fileId) {
+    for (const request of pendingBlobRequests.values()) {
+        if (request.fileId === fileId) {
+            return request;
         }
+    }
+    return null;
+}
 
-        // Send completion message
-        conn.send({
-            type: 'file-complete',
-            fileId: fileId,
-            fileName: data.fileName,
-            fileType: blob.type,
-            fileSize: blob.size,
-            timestamp: Date.now()
-        });
+// Connections being opened by requestBlobFromPeer, so parallel requests to one sender share a single connect
+const pendingPeerConnections = new Map(); // peerId -> Promise of connection
 
-        console.log(`File sent successfully to peer ${conn.peer}`);
-    } catch (error) {
-        console.error(`Error sending file to peer:`, error);
-        conn.send({
-            type: 'blob-error',
-            fileId: fileId,
-            error: error.message
+// Get an open connection to a peer, connecting if needed
+async function getOrOpenConnection(peerId) {
+    const existing = connections.get(peerId);
+    if (existing && existing.open) {
+        return existing;
+    }
+    
+    if (!pendingPeerConnections.has(peerId)) {
+        // If no direct connection exists, establish one
+        console.log('No direct connection to sender, establishing connection...');
+        const connecting = new Promise((resolve, reject) => {
+            const conn = peer.connect(peerId, {
+                reliable: true
+            });
+            
+            const timeout = setTimeout(() => {
+                reject(new Error('Connection timeout'));
+            }, 10000); // 10 second timeout
+
+            conn.on('open', () => {
+                clearTimeout(timeout);
+                connections.set(peerId, conn);
+                setupConnectionHandlers(conn);
+                resolve(conn);
+            });
+
+            conn.on('error', (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            });
         });
+        pendingPeerConnections.set(peerId, connecting);
+        connecting.then(
+            () => pendingPeerConnections.delete(peerId),
+            () => pendingPeerConnections.delete(peerId)
+        );
     }
+    
+    return pendingPeerConnections.get(peerId);
 }
 
-// Map to store pending blob requests for ZIP creation
-const pendingBlobRequests = new Map(); // fileId -> { resolve, reject, chunks, fileData }
-
 // Function to request a blob from peer (for ZIP creation, doesn't trigger download)
 async function requestBlobFromPeer(fileInfo) {
     return new Promise(async (resolve, reject) => {
         try {
             // Always try to connect to original sender directly
-            let conn = connections.get(fileInfo.sharedBy);
-            
-            if (!conn || !conn.open) {
-                // If no direct connection exists, establish one
-                console.log('No direct connection to sender, establishing connection...');
-                conn = peer.connect(fileInfo.sharedBy, {
-                    reliable: true
-                });
-                
-                // Wait for connection to open
-                await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Connection timeout'));
-                    }, 10000); // 10 second timeout
-
-                    conn.on('open', () => {
-                        clearTimeout(timeout);
-                        connections.set(fileInfo.sharedBy, conn);
-                        setupConnectionHandlers(conn);
-                        resolve();
-                    });
-
-                    conn.on('error', (err) => {
-                        clearTimeout(timeout);
-                        reject(err);
-                    });
-                });
-            }
+            const conn = await getOrOpenConnection(fileInfo.sharedBy);
 
             // Set up blob request tracking
-            const requestId = fileInfo.id;
+            const requestId = generateBlobRequestId();
+            cancelledTransfers.delete(fileInfo.id);
             const fileData = {
                 chunks: [],
                 receivedSize: 0,
                 fileName: fileInfo.name,
                 fileType: fileInfo.type,
-                fileSize: fileInfo.size
+                fileSize: fileInfo.size,
+                requestId: requestId
             };
 
             pendingBlobRequests.set(requestId, {
+                requestId,
+                fileId: fileInfo.id,
                 resolve,
                 reject,
                 chunks: fileData.chunks,
@@ -1439,13 +3124,15 @@ async function requestBlobFromPeer(fileInfo) {
                 type: 'blob-request',
                 fileId: fileInfo.id,
                 fileName: fileInfo.name,
+                requestId: requestId,
                 directRequest: true,
                 forZip: true // Flag to indicate this is for ZIP, not direct download
             });
 
-            // Set timeout for blob request
+            // Fail if the sender hasn't started sending within 60 seconds
+            // (with several requests in flight a transfer can take longer than that once it has started)
             setTimeout(() => {
-                if (pendingBlobRequests.has(requestId)) {
+                if (pendingBlobRequests.has(requestId) && !fileData.sourcePeer) {
                     pendingBlobRequests.delete(requestId);
                     reject(new Error('Blob request timeout'));
                 }
@@ -1460,6 +3147,28 @@ async function requestBlobFromPeer(fileInfo) {
 
 // Function to request and download a blob
 async function requestAndDownloadBlob(fileInfo) {
+    cancelledTransfers.delete(fileInfo.id);
+    
+    // Ask where to save large files first, while the click still counts as a user gesture
+    // Throws if the user cancels the picker; falls back to memory if the picker is unavailable
+    if (diskStreamManager.shouldStream(fileInfo.size) && !fileChunks[fileInfo.id]) {
+        const target = await diskStreamManager.open(fileInfo.name);
+        if (target) {
+            diskStreamTargets.set(fileInfo.id, target);
+        }
+    }
+
+    // Other peers already have this file - fetch different pieces from all of them in parallel
+    if (canSwarmDownload(fileInfo)) {
+        startSwarmDownload(fileInfo);
+        return;
+    }
+
+    await requestFileFromSender(fileInfo);
+}
+
+// Request a whole file from its original sender
+async function requestFileFromSender(fileInfo) {
     try {
         // Always try to connect to original sender directly
         let conn = connections.get(fileInfo.sharedBy);
@@ -1506,25 +3215,364 @@ async function requestAndDownloadBlob(fileInfo) {
 
     } catch (error) {
         console.error('Error requesting file:', error);
+        if (diskStreamTargets.has(fileInfo.id)) {
+            diskStreamManager.abort(diskStreamTargets.get(fileInfo.id));
+            diskStreamTargets.delete(fileInfo.id);
+        }
         showNotification(`Failed to download file: ${error.message}`, 'error');
         elements.transferProgress.classList.add('hidden');
         updateTransferInfo('');
     }
 }
 
+// Parallel piece requests kept in flight to each peer during a swarm download
+const SWARM_REQUESTS_PER_PEER = 2;
+
+// Failed pieces after which a peer is no longer asked for pieces of a download
+const MAX_SWARM_PIECE_FAILURES = 3;
+
+// How long a peer has to start sending a piece before it is requested elsewhere
+const SWARM_PIECE_TIMEOUT = 30000;
+
+// Check if a file can be fetched in pieces from several peers
+// Needs at least one holder besides the original sender, Web Crypto to verify pieces, and more than one piece
+function canSwarmDownload(fileInfo) {
+    return integrityService.isSupported &&
+        fileInfo.size > swarmManager.PIECE_SIZE &&
+        !fileChunks[fileInfo.id] &&
+        !swarmDownloads.has(fileInfo.id) &&
+        swarmManager.getHolders(fileInfo.id, [getLocalPeerId(), fileInfo.sharedBy]).size > 0;
+}
+
+// Download a file in pieces from the original sender and every peer that has it (rarest pieces first)
+// Falls back to a regular download from the sender when the swarm can't finish it
+async function startSwarmDownload(fileInfo) {
+    const fileId = fileInfo.id;
+    const holderIds = Array.from(swarmManager.getHolders(fileId, [getLocalPeerId(), fileInfo.sharedBy]).keys());
+    const state = {
+        fileInfo: fileInfo,
+        download: swarmManager.createDownload(fileId, fileInfo.size),
+        disk: diskStreamTargets.get(fileId) || null, // Pieces are written in place when streaming to disk
+        pieces: [], // Verified pieces by index when assembled in memory
+        integrity: null, // The original sender's digests - pieces from every peer are checked against them
+        integrityReady: null, // Settles once the sender's digests arrive (other peers wait for it)
+        resolveIntegrity: null,
+        rejectIntegrity: null,
+        sourcePeers: new Set(), // Peers that have been asked for pieces
+        receivedBytes: 0,
+        seeding: false,
+        stopped: false
+    };
+    state.integrityReady = new Promise((resolve, reject) => {
+        state.resolveIntegrity = resolve;
+        state.rejectIntegrity = reject;
+    });
+    state.integrityReady.catch(() => {});
+    swarmDownloads.set(fileId, state);
+    
+    console.log(`🐝 Swarm download of ${fileInfo.name} from ${holderIds.length + 1} peer(s)`);
+    updateProgress(0, fileId);
+    updateTransferInfo(`Receiving ${fileInfo.name} from ${holderIds.length + 1} peers...`);
+    
+    const senderWorkers = [];
+    const holderWorkers = [];
+    for (let i = 0; i < SWARM_REQUESTS_PER_PEER; i++) {
+        senderWorkers.push(runSwarmWorker(state, fileInfo.sharedBy));
+        holderIds.forEach(peerId => holderWorkers.push(runSwarmWorker(state, peerId)));
+    }
+    // Without the sender's digests no piece from another peer can be trusted
+    Promise.all(senderWorkers).then(() => state.rejectIntegrity(new Error('The original sender sent no digests')));
+    await Promise.all([...senderWorkers, ...holderWorkers]);
+    
+    if (state.stopped) return; // Cancelled by the user
+    swarmDownloads.delete(fileId);
+    transferStats.finish(fileId, 'received');
+    
+    if (!swarmManager.isComplete(state.download)) {
+        console.warn(`🐝 Swarm download of ${fileInfo.name} incomplete, downloading from the sender instead`);
+        if (state.seeding) {
+            swarmManager.removeSeed(fileId);
+            announceSwarmHave(fileId);
+        }
+        await requestFileFromSender(fileInfo);
+        return;
+    }
+    
+    Analytics.track('swarm_download_completed', {
+        file_size_category: Analytics.getFileSizeCategory(fileInfo.size),
+        peer_count: state.sourcePeers.size,
+        device_type: Analytics.getDeviceType()
+    });
+    
+    // Hand the assembled file to the regular completion path (save, list item, seeding)
+    diskStreamTargets.delete(fileId);
+    fileChunks[fileId] = {
+        chunks: state.disk ? [] : state.pieces,
+        fileName: fileInfo.name,
+        fileType: fileInfo.type,
+        fileSize: fileInfo.size,
+        receivedSize: fileInfo.size,
+        originalSender: fileInfo.sharedBy,
+        sourcePeer: fileInfo.sharedBy,
+        interrupted: false,
+        integrity: state.integrity,
+        disk: state.disk,
+        preverified: !!state.integrity // Every piece matched the original sender's digests
+    };
+    await handleFileComplete({ fileId: fileId });
+}
+
+// Keep requesting pieces from one peer until the download is complete or the peer can't help any more
+async function runSwarmWorker(state, peerId) {
+    const { download, fileInfo } = state;
+    let conn;
+    try {
+        conn = await getOrOpenConnection(peerId);
+    } catch (error) {
+        console.warn(`🐝 Could not connect to ${peerId} for ${fileInfo.name}:`, error.message);
+        return;
+    }
+    
+    // Other holders only serve pieces once the original sender's digests are known to check them against
+    if (peerId !== fileInfo.sharedBy) {
+        try {
+            await state.integrityReady;
+        } catch (error) {
+            console.warn(`🐝 Not fetching ${fileInfo.name} from ${peerId}:`, error.message);
+            return;
+        }
+    }
+    
+    while (!state.stopped && !swarmManager.isComplete(download)) {
+        if (pausedTransfers.has(fileInfo.id)) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            continue;
+        }
+        if (!conn.open || (download.failures.get(peerId) || 0) >= MAX_SWARM_PIECE_FAILURES) {
+            return;
+        }
+        
+        const index = swarmManager.pickPiece(download, peerId, [fileInfo.sharedBy]);
+        if (index === -1) {
+            if (download.inFlight.size === 0) return; // Nothing this peer holds is still missing
+            await new Promise(resolve => setTimeout(resolve, 1000)); // A piece in flight elsewhere may fail and come back
+            continue;
+        }
+        
+        state.sourcePeers.add(peerId);
+        try {
+            const { blob, integrity } = await requestSwarmPiece(conn, state, index);
+            await storeSwarmPiece(state, index, blob, integrity, peerId);
+        } catch (error) {
+            if (state.stopped) return;
+            console.warn(`🐝 Piece ${index} of ${fileInfo.name} from ${peerId} failed:`, error.message);
+            swarmManager.failPiece(download, index, peerId);
+        }
+    }
+}
+
+// Request one piece of a swarm download from a peer
+// Resolves with the piece and the digests from the peer's header
+function requestSwarmPiece(conn, state, index) {
+    const { download, fileInfo } = state;
+    const [start, end] = swarmManager.getPieceRange(download, index);
+    const requestId = generateBlobRequestId();
+    const fileData = {
+        chunks: [],
+        receivedSize: 0,
+        fileName: fileInfo.name,
+        fileType: fileInfo.type,
+        fileSize: end - start,
+        rangeStart: start,
+        requestId: requestId,
+        sourcePeer: conn.peer
+    };
+    
+    return new Promise((resolve, reject) => {
+        pendingBlobRequests.set(requestId, {
+            requestId,
+            fileId: fileInfo.id,
+            resolve: blob => resolve({ blob: blob, integrity: fileData.integrity }),
+            reject,
+            chunks: fileData.chunks,
+            fileData: fileData,
+            piece: { index, start, end }
+        });
+        
+        conn.send({
+            type: 'blob-request',
+            fileId: fileInfo.id,
+            fileName: fileInfo.name,
+            requestId: requestId,
+            directRequest: true,
+            ranges: [[start, end]],
+            swarm: true
+        });
+        
+        // Ask another peer if this one never starts sending
+        setTimeout(() => {
+            if (pendingBlobRequests.has(requestId) && fileData.receivedSize === 0) {
+                pendingBlobRequests.delete(requestId);
+                reject(new Error('Piece request timeout'));
+            }
+        }, SWARM_PIECE_TIMEOUT);
+    });
+}
+
+// Check a piece against the original sender's digests and keep it (written to disk or held in memory)
+// Only the sender's header provides the digests - another holder could send its own data with matching ones
+async function storeSwarmPiece(state, index, blob, integrity, peerId) {
+    const { download, fileInfo } = state;
+    if (!state.integrity) {
+        if (peerId !== fileInfo.sharedBy) {
+            throw new Error('No digests from the original sender yet');
+        }
+        if (!integrity || integrity.rangeSize !== download.pieceSize) {
+            state.rejectIntegrity(new Error('The original sender sent no usable digests'));
+            throw new Error('Peer sent no usable digests');
+        }
+        state.integrity = integrity;
+        state.resolveIntegrity();
+    } else if (!integrity || integrity.fileDigest !== state.integrity.fileDigest) {
+        throw new Error('Peer has a different version of the file');
+    }
+    
+    const digest = await integrityService.digest(await blob.arrayBuffer());
+    if (digest !== state.integrity.rangeDigests[index]) {
+        throw new Error('Piece digest does not match');
+    }
+    if (state.stopped) return;
+    
+    const [start] = swarmManager.getPieceRange(download, index);
+    if (state.disk) {
+        diskStreamManager.write(state.disk, blob, start);
+    } else {
+        state.pieces[index] = blob;
+        // Pieces held in memory can be served to other downloaders straight away
+        if (!state.seeding) {
+            swarmManager.createPartialSeed(fileInfo.id, fileInfo.size, fileInfo.type, state.integrity, download.pieceSize);
+            state.seeding = true;
+        }
+        swarmManager.addSeedPiece(fileInfo.id, index, blob);
+    }
+    swarmManager.completePiece(download, index);
+    state.receivedBytes += blob.size;
+    updateProgress((state.receivedBytes / fileInfo.size) * 100, fileInfo.id);
+    
+    if (state.seeding) {
+        announceSwarmHave(fileInfo.id);
+    }
+}
+
+// Fail the swarm pieces in flight from a peer (it disconnected or stopped serving)
+function rejectSwarmPieceRequests(peerId, fileId = null) {
+    for (const request of Array.from(pendingBlobRequests.values())) {
+        if (request.piece && request.fileData.sourcePeer === peerId && (!fileId || request.fileId === fileId)) {
+            pendingBlobRequests.delete(request.requestId);
+            request.reject(new Error('Peer stopped serving the piece'));
+        }
+    }
+}
+
+// Stop a cancelled swarm download (its pieces in flight are rejected by discardDownload)
+function stopSwarmDownload(fileId) {
+    const state = swarmDownloads.get(fileId);
+    if (!state) return;
+    state.stopped = true;
+    swarmDownloads.delete(fileId);
+    if (state.seeding) {
+        swarmManager.removeSeed(fileId);
+        announceSwarmHave(fileId);
+    }
+}
+
+// Seed a verified download so swarm downloads can fetch it from us
+// Unverified files are never seeded - downloaders couldn't check the pieces we send
+function seedCompletedDownload(fileId, blob, integrity) {
+    if (!integrity || !verifiedFiles.has(fileId)) return;
+    swarmManager.addCompleteSeed(fileId, blob, integrity);
+    announceSwarmHave(fileId);
+}
+
+// Build the swarm-have message for a file (empty ranges once we stop serving it)
+function createSwarmHaveMessage(fileId) {
+    const seed = swarmManager.getSeedSource(fileId);
+    return {
+        type: MESSAGE_TYPES.SWARM_HAVE,
+        fileId: fileId,
+        holder: getLocalPeerId(),
+        fileSize: seed ? seed.size : 0,
+        ranges: swarmManager.getSeedRanges(fileId),
+        complete: !!(seed && seed.complete)
+    };
+}
+
+// Tell every connected peer which ranges of a file we can serve
+function announceSwarmHave(fileId) {
+    const message = createSwarmHaveMessage(fileId);
+    for (const conn of connections.values()) {
+        if (conn && conn.open) {
+            conn.send(message);
+        }
+    }
+}
+
+// Tell a newly opened connection what we can serve, and what other connected peers hold
+// (peers only connect to the host, so this is how late joiners find the holders)
+function announceSwarmSeeds(conn) {
+    for (const fileId of swarmManager.getSeededFileIds()) {
+        conn.send(createSwarmHaveMessage(fileId));
+    }
+    for (const entry of swarmManager.getKnownHolders()) {
+        if (entry.peerId !== conn.peer && connections.has(entry.peerId)) {
+            conn.send({
+                type: MESSAGE_TYPES.SWARM_HAVE,
+                fileId: entry.fileId,
+                holder: entry.peerId,
+                fileSize: entry.fileSize,
+                ranges: entry.ranges,
+                complete: entry.complete
+            });
+        }
+    }
+}
+
+// Handle swarm-have: record which ranges a peer holds
+// A peer's own announcement is relayed to our other connections (host only) so everyone in the room learns of it
+function handleSwarmHave(data, conn) {
+    if (!data.holder || data.holder === getLocalPeerId()) return;
+    swarmManager.updateAvailability(data.holder, data.fileId, data);
+    
+    if (data.holder === conn.peer && connections.size > 1) {
+        for (const [peerId, other] of connections) {
+            if (peerId !== conn.peer && other && other.open) {
+                other.send(data);
+            }
+        }
+    }
+}
+
 // Function to download all received files that haven't been downloaded yet
 // If peerId is provided, downloads only files from that peer
 // If peerId is null/undefined, downloads files from all peers (existing behavior)
-async function downloadAllReceivedFiles(peerId = null) {
+// fileIds limits the download to those files (selection mode)
+async function downloadAllReceivedFiles(peerId = null, fileIds = null) {
     const receivedList = elements.receivedFilesList;
     if (!receivedList) {
         console.error('Received files list not found');
         return;
     }
 
-    // Collect files - filter by peerId if provided
+    // Collect files - filter by peerId or fileIds if provided
     const allFiles = [];
-    if (peerId) {
+    if (fileIds) {
+        // Download the selected files, whichever peer they came from
+        const wanted = new Set(fileIds);
+        for (const files of fileGroups.received.values()) {
+            allFiles.push(...files.filter(f => wanted.has(f.id)));
+        }
+        console.log(`📦 Selected bulk download: Found ${allFiles.length} of ${wanted.size} selected files`);
+    } else if (peerId) {
         // Download from specific peer
         const peerFiles = fileGroups.received.get(peerId) || [];
         allFiles.push(...peerFiles);
@@ -1538,7 +3586,7 @@ async function downloadAllReceivedFiles(peerId = null) {
     }
     
     // Filter out already downloaded files
-    const undownloadedFiles = allFiles.filter(fileInfo => {
+    let undownloadedFiles = allFiles.filter(fileInfo => {
         const fileId = fileInfo.id;
         // Check if file is marked as completed in DOM
         const listItem = document.querySelector(`li.file-item[data-file-id="${fileId}"]`);
@@ -1550,8 +3598,19 @@ async function downloadAllReceivedFiles(peerId = null) {
         return !isCompletedInDOM && !hasBlobURL && !wasBulkDownloaded;
     });
     
+    // Files restored from history can't be fetched until their sender is back
+    const offlineCount = undownloadedFiles.filter(fileInfo => offlineFiles.has(fileInfo.id)).length;
+    if (offlineCount > 0) {
+        undownloadedFiles = undownloadedFiles.filter(fileInfo => !offlineFiles.has(fileInfo.id));
+        if (undownloadedFiles.length === 0) {
+            showNotification(offlineCount === 1 ? 'The sender of this file is offline' : 'The senders of these files are offline', 'info');
+            return;
+        }
+        showNotification(`Skipping ${offlineCount} file(s) whose sender is offline`, 'info');
+    }
+    
     if (undownloadedFiles.length === 0) {
-        showNotification(peerId ? `All files from ${peerId} already downloaded` : 'All files already downloaded', 'info');
+        showNotification(fileIds ? 'All selected files already downloaded' : peerId ? `All files from ${peerId} already downloaded` : 'All files already downloaded', 'info');
         return;
     }
     
@@ -1628,21 +3687,32 @@ async function downloadAllReceivedFiles(peerId = null) {
         if (elements.bulkDownloadReceived) {
             elements.bulkDownloadReceived.disabled = true;
         }
+        if (fileIds && elements.downloadSelected) {
+            elements.downloadSelected.disabled = true;
+        }
     }
 
+    // Streamed archives are written to disk as they go, so they have no size limit
+    const streamZip = bulkDownloadManager.canStreamZip();
+    const downloadMethod = streamZip ? 'zip_stream' : 'zip_parts';
+
     // Track bulk download initiation
     Analytics.track('bulk_download_initiated', {
         file_count: fileItems.length,
+        selected: !!fileIds,
         device_type: Analytics.getDeviceType(),
-        download_method: 'zip_parts'
+        download_method: downloadMethod
     });
 
     // Smart ZIP batching: Categorize files into ZIP batches and individual downloads
     // Use same limit as BulkDownloadManager: 300MB for iPadOS Safari tablet, 400MB for others
+    // When streaming, every file goes into a single archive
     const isIPadOSSafariTablet = deviceManager && typeof deviceManager.isIPadOSSafariTablet === 'function' 
         ? deviceManager.isIPadOSSafariTablet() 
         : false;
-    const ZIP_SIZE_LIMIT = isIPadOSSafariTablet 
+    const ZIP_SIZE_LIMIT = streamZip
+        ? Infinity
+        : isIPadOSSafariTablet 
         ? 300 * 1024 * 1024  // 300MB for iPadOS Safari tablet
         : 400 * 1024 * 1024; // 400MB for all other devices
     const INDIVIDUAL_DOWNLOAD_THRESHOLD = Math.round(ZIP_SIZE_LIMIT * 0.875); // 87.5% of ZIP limit (262.5MB for Safari, 350MB for others)
@@ -1823,6 +3893,7 @@ async function downloadAllReceivedFiles(peerId = null) {
                 if (result.successfulFileIds.has(fileInfo.id)) {
                     zipFileIds.add(fileInfo.id);
                     bulkDownloadedFiles.add(fileInfo.id);
+                    updateStoredDownloadStatus(fileInfo.id);
                 }
             });
         });
@@ -1914,18 +3985,22 @@ async function downloadAllReceivedFiles(peerId = null) {
             fail_count: result.errors.length,
             parts_created: result.partsCreated,
             device_type: Analytics.getDeviceType(),
-            download_method: 'zip_parts'
+            download_method: downloadMethod
         });
 
     } catch (error) {
         console.error('Error in bulk download:', error);
+        if (error.message === 'Save cancelled') {
+            showNotification('Download cancelled', 'info');
+            return;
+        }
         showNotification(`Failed to download files: ${error.message}`, 'error');
         
         // Track bulk download failure
         Analytics.track('bulk_download_failed', {
             error_message: error.message,
             device_type: Analytics.getDeviceType(),
-            download_method: 'zip_parts'
+            download_method: downloadMethod
         });
     } finally {
         // Update notification with final status instead of removing it
@@ -1950,6 +4025,7 @@ async function downloadAllReceivedFiles(peerId = null) {
                 elements.bulkDownloadReceived.disabled = false;
             }
             updateBulkDownloadButtonState();
+            updateSelectionSummary();
         }
     }
 }
@@ -1992,13 +4068,225 @@ function updateBulkDownloadButtonState() {
         elements.bulkDownloadReceived.disabled = undownloadedFiles === 0;
     }
     
-    console.log(`📊 Bulk download: ${peerCount} peer(s), ${totalFiles} total files, ${undownloadedFiles} undownloaded, button ${elements.bulkDownloadReceived.disabled ? 'disabled' : 'enabled'}`);
+    console.log(`📊 Bulk download: ${peerCount} peer(s), ${totalFiles} total files, ${undownloadedFiles} undownloaded, button ${elements.bulkDownloadReceived.disabled ? 'disabled' : 'enabled'}`);
+    
+    // Also update all peer bulk download buttons (same visibility logic)
+    // This ensures peer buttons stay in sync
+    for (const peerId of fileGroups.received.keys()) {
+        updatePeerBulkDownloadButtonState(peerId);
+    }
+    
+    // Selection mode is offered as soon as there is something to select
+    if (elements.selectionModeToggle) {
+        elements.selectionModeToggle.classList.toggle('hidden', totalFiles === 0);
+        if (totalFiles === 0 && selectionMode) {
+            setSelectionMode(false);
+        }
+    }
+}
+
+// Sort a received file into the categories of the selection type filter
+function getFileCategory(fileInfo) {
+    const mimeType = fileInfo.type || '';
+    const extension = Analytics.getFileExtension(fileInfo.name || '');
+    
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    if (mimeType.includes('zip') || mimeType.includes('archive') || mimeType.includes('compressed')
+        || ['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz'].includes(extension)) return 'archive';
+    if (mimeType.startsWith('text/') || mimeType.includes('pdf') || mimeType.includes('document')
+        || mimeType.includes('word') || mimeType.includes('spreadsheet') || mimeType.includes('excel')
+        || mimeType.includes('presentation') || mimeType.includes('powerpoint')
+        || ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md', 'xls', 'xlsx', 'ods', 'csv', 'ppt', 'pptx', 'odp', 'epub'].includes(extension)) return 'document';
+    
+    return 'other';
+}
+
+// Check a file against the selection size filter
+function matchesSizeFilter(size, filter) {
+    const MB = 1024 * 1024;
+    if (filter === 'small') return size < MB;
+    if (filter === 'medium') return size >= MB && size <= 100 * MB;
+    if (filter === 'large') return size > 100 * MB;
+    return true;
+}
+
+// Count and total size of the selected files (of one peer, or all)
+function getSelectionStats(peerId = null) {
+    let count = 0;
+    let totalSize = 0;
+    for (const [groupPeerId, files] of fileGroups.received.entries()) {
+        if (peerId && groupPeerId !== peerId) continue;
+        for (const fileInfo of files) {
+            if (selectedFiles.has(fileInfo.id)) {
+                count++;
+                totalSize += fileInfo.size || 0;
+            }
+        }
+    }
+    return { count, totalSize };
+}
+
+// Create the selection checkbox for a received file item
+// (not .icon-button, so the download button stays the item's first .icon-button)
+function createFileSelectCheckbox(fileInfo) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'file-select-checkbox';
+    checkbox.setAttribute('data-file-id', fileInfo.id);
+    checkbox.setAttribute('aria-label', `Select ${fileInfo.name}`);
+    checkbox.checked = selectedFiles.has(fileInfo.id);
+    checkbox.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleFileSelectClick(fileInfo.id, checkbox.checked, e.shiftKey);
+    });
+    return checkbox;
+}
+
+// Select or deselect one file and keep its checkbox and list item in sync
+function setFileSelected(fileId, selected) {
+    if (selected) {
+        selectedFiles.add(fileId);
+    } else {
+        selectedFiles.delete(fileId);
+    }
+    
+    const checkbox = elements.receivedFilesList.querySelector(`.file-select-checkbox[data-file-id="${CSS.escape(fileId)}"]`);
+    if (checkbox) {
+        checkbox.checked = selected;
+        const item = checkbox.closest('li.file-item');
+        if (item) {
+            item.classList.toggle('selected', selected);
+        }
+    }
+}
+
+// Handle a checkbox click - with Shift, every visible file between it and the last click gets the same state
+function handleFileSelectClick(fileId, selected, shiftKey) {
+    if (shiftKey && lastSelectedFileId && lastSelectedFileId !== fileId) {
+        // Range follows the order on screen; files in collapsed groups or folders are left alone
+        const visibleIds = Array.from(elements.receivedFilesList.querySelectorAll('.file-select-checkbox'))
+            .filter(checkbox => checkbox.offsetParent !== null)
+            .map(checkbox => checkbox.getAttribute('data-file-id'));
+        const start = visibleIds.indexOf(lastSelectedFileId);
+        const end = visibleIds.indexOf(fileId);
+        
+        if (start !== -1 && end !== -1) {
+            visibleIds
+                .slice(Math.min(start, end), Math.max(start, end) + 1)
+                .forEach(id => setFileSelected(id, selected));
+        } else {
+            setFileSelected(fileId, selected);
+        }
+    } else {
+        setFileSelected(fileId, selected);
+    }
+    
+    lastSelectedFileId = fileId;
+    updateSelectionSummary();
+}
+
+// Add every received file matching the type and size filters to the selection
+// Files already downloaded are skipped - a bulk download would leave them out anyway
+function selectMatchingFiles() {
+    const typeFilter = elements.selectionTypeFilter.value;
+    const sizeFilter = elements.selectionSizeFilter.value;
+    let added = 0;
+    
+    for (const files of fileGroups.received.values()) {
+        for (const fileInfo of files) {
+            if (completedFileBlobURLs.has(fileInfo.id) || bulkDownloadedFiles.has(fileInfo.id)) continue;
+            if (offlineFiles.has(fileInfo.id)) continue;
+            if (typeFilter !== 'all' && getFileCategory(fileInfo) !== typeFilter) continue;
+            if (!matchesSizeFilter(fileInfo.size || 0, sizeFilter)) continue;
+            
+            if (!selectedFiles.has(fileInfo.id)) {
+                setFileSelected(fileInfo.id, true);
+                added++;
+            }
+        }
+    }
+    
+    updateSelectionSummary();
+    if (added === 0) {
+        showNotification('No more files match these filters', 'info');
+    }
+}
+
+// Deselect every file
+function clearFileSelection() {
+    for (const fileId of Array.from(selectedFiles)) {
+        setFileSelected(fileId, false);
+    }
+    lastSelectedFileId = null;
+    updateSelectionSummary();
+}
+
+// Refresh the toolbar summary, the Download selected button and the group header summaries
+function updateSelectionSummary() {
+    const { count, totalSize } = getSelectionStats();
+    
+    if (elements.selectionSummary) {
+        // formatFileSize returns HTML with span tag, so use innerHTML
+        elements.selectionSummary.innerHTML = count > 0
+            ? `${count} selected, ${formatFileSize(totalSize)}`
+            : 'Nothing selected';
+    }
+    if (elements.downloadSelected) {
+        elements.downloadSelected.disabled = count === 0;
+    }
     
-    // Also update all peer bulk download buttons (same visibility logic)
-    // This ensures peer buttons stay in sync
     for (const peerId of fileGroups.received.keys()) {
-        updatePeerBulkDownloadButtonState(peerId);
+        updateGroupHeaderSummary('received', peerId);
+    }
+}
+
+// Turn selection mode on or off (turning it off clears the selection)
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    if (!enabled) {
+        selectedFiles.clear();
+        lastSelectedFileId = null;
+        elements.receivedFilesList.querySelectorAll('.file-select-checkbox').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        elements.receivedFilesList.querySelectorAll('li.file-item.selected').forEach(item => {
+            item.classList.remove('selected');
+        });
+    }
+    
+    const section = elements.receivedFilesList.closest('.files-section');
+    if (section) {
+        section.classList.toggle('selection-mode', enabled);
     }
+    elements.selectionToolbar.classList.toggle('hidden', !enabled);
+    elements.selectionModeToggle.classList.toggle('active', enabled);
+    elements.selectionModeToggle.setAttribute('aria-pressed', String(enabled));
+    elements.selectionModeToggle.title = enabled ? 'Stop selecting files' : 'Select files';
+    
+    updateSelectionSummary();
+}
+
+// Download the selected files as a bulk download
+async function downloadSelectedFiles() {
+    if (selectedFiles.size === 0) {
+        showNotification('Select some files first', 'info');
+        return;
+    }
+    
+    await downloadAllReceivedFiles(null, Array.from(selectedFiles));
+    clearFileSelection();
+}
+
+// Set up selection mode controls
+function initFileSelection() {
+    if (!elements.selectionModeToggle || !elements.selectionToolbar) return;
+    
+    elements.selectionModeToggle.addEventListener('click', () => setSelectionMode(!selectionMode));
+    elements.selectMatching.addEventListener('click', selectMatchingFiles);
+    elements.selectionClear.addEventListener('click', clearFileSelection);
+    elements.downloadSelected.addEventListener('click', downloadSelectedFiles);
 }
 
 // Function to update peer-specific bulk download button state
@@ -2049,7 +4337,8 @@ async function handleForwardedBlobRequest(data, fromConn) {
         fromConn.send({
             type: 'blob-error',
             fileId: data.fileId,
-            error: 'Original sender not connected to host'
+            error: 'Original sender not connected to host',
+            ...getRequestTag(data)
         });
         return;
     }
@@ -2059,7 +4348,9 @@ async function handleForwardedBlobRequest(data, fromConn) {
         type: 'blob-request',
         fileId: data.fileId,
         fileName: data.fileName,
-        forwardTo: data.requesterId
+        resumeOffset: data.resumeOffset || 0,
+        forwardTo: data.requesterId,
+        ...getRequestTag(data)
     });
 }
 
@@ -2075,7 +4366,7 @@ function addFileToHistory(fileInfo, type) {
     const fileId = fileInfo.id || generateFileId(fileInfo);
     
     // Determine the correct type based on who shared the file
-    const actualType = fileInfo.sharedBy === peer.id ? 'sent' : 'received';
+    const actualType = fileInfo.sharedBy === getLocalPeerId() ? 'sent' : 'received';
     
     // Remove from both history sets to prevent duplicates
     fileHistory.sent.delete(fileId);
@@ -2083,6 +4374,8 @@ function addFileToHistory(fileInfo, type) {
     
     // Add to the correct history set
     fileHistory[actualType].add(fileId);
+    offlineFiles.delete(fileId); // Announced again, so its source is reachable
+    saveFileRecord(fileInfo, actualType);
     
     // Remove file from old group if it exists
     removeFileFromGroup(fileId, actualType === 'sent' ? 'sent' : 'received');
@@ -2092,7 +4385,7 @@ function addFileToHistory(fileInfo, type) {
     updateFilesList(listElement, fileInfo, actualType);
 
     // Only broadcast updates for files we send originally
-    if (fileInfo.sharedBy === peer.id) {
+    if (fileInfo.sharedBy === getLocalPeerId()) {
         broadcastFileUpdate(fileInfo);
     }
 }
@@ -2106,7 +4399,8 @@ function broadcastFileUpdate(fileInfo) {
             name: fileInfo.name,
             type: fileInfo.type,
             size: fileInfo.size,
-            sharedBy: fileInfo.sharedBy
+            sharedBy: fileInfo.sharedBy,
+            relativePath: fileInfo.relativePath || ''
         }
     };
 
@@ -2117,6 +4411,352 @@ function broadcastFileUpdate(fileInfo) {
     }
 }
 
+// Save a file's metadata so the history survives a reload (the file data itself is never stored)
+function saveFileRecord(fileInfo, direction) {
+    if (historyRetentionDays === 0) return;
+    
+    fileInfo.timestamp = fileInfo.timestamp || Date.now();
+    const record = {
+        id: fileInfo.id,
+        name: fileInfo.name,
+        type: fileInfo.type,
+        size: fileInfo.size,
+        sharedBy: fileInfo.sharedBy,
+        relativePath: fileInfo.relativePath || '',
+        direction: direction,
+        timestamp: fileInfo.timestamp,
+        downloadStatus: bulkDownloadedFiles.has(fileInfo.id) ? 'zip' : completedFileBlobURLs.has(fileInfo.id) ? 'file' : null,
+        ...(fileInfo.thumbnail ? { thumbnail: fileInfo.thumbnail } : {})
+    };
+    storageService.saveFile(record).catch(error => {
+        console.warn('Could not save file history:', error);
+    });
+}
+
+// Re-save a file's record after it has been downloaded
+function updateStoredDownloadStatus(fileId) {
+    const fileInfo = receivedFileInfoMap.get(fileId) || sentFileInfoMap.get(fileId);
+    if (fileInfo) {
+        saveFileRecord(fileInfo, fileHistory.sent.has(fileId) ? 'sent' : 'received');
+    }
+}
+
+// Rebuild the sent and received lists from the saved history, dropping what is past the retention period
+async function restoreFileHistory() {
+    try {
+        if (historyRetentionDays === 0) {
+            await storageService.clearAllFiles();
+            await storageService.clearSharedFiles();
+            return;
+        }
+        if (historyRetentionDays) {
+            await storageService.cleanupOldFiles(historyRetentionDays * DAY_MS);
+        }
+        
+        const records = await storageService.getAllFiles();
+        // Oldest first, as the groups put each added file (and its peer) at the top
+        records.sort((a, b) => a.timestamp - b.timestamp);
+        
+        let restored = 0;
+        for (const record of records) {
+            if (record.direction !== 'sent' && record.direction !== 'received') continue;
+            if (fileHistory.sent.has(record.id) || fileHistory.received.has(record.id)) continue; // Already announced this session
+            
+            const fileInfo = {
+                name: record.name,
+                type: record.type,
+                size: record.size,
+                id: record.id,
+                sharedBy: record.sharedBy,
+                relativePath: record.relativePath || '',
+                timestamp: record.timestamp,
+                ...(record.thumbnail ? { thumbnail: record.thumbnail } : {})
+            };
+            
+            fileHistory[record.direction].add(record.id);
+            addFileToGroup(fileInfo, record.direction);
+            markGroupChanged(record.direction, record.direction === 'received' ? record.sharedBy : null);
+            
+            // Sent files lose their data on reload; received ones need their sender to be connected
+            if (record.direction === 'sent' || !connections.has(record.sharedBy)) {
+                offlineFiles.add(record.id);
+            }
+            if (record.downloadStatus === 'zip') {
+                bulkDownloadedFiles.add(record.id);
+            } else if (record.downloadStatus === 'file') {
+                completedFileBlobURLs.set(record.id, true);
+            }
+            restored++;
+        }
+        
+        if (restored > 0) {
+            console.log(`📂 Restored ${restored} file(s) from history`);
+            renderAllFileGroups();
+            updateBulkDownloadButtonState();
+        }
+        
+        await restoreSharedFiles();
+    } catch (error) {
+        console.error('Error restoring file history:', error);
+    }
+}
+
+// Keep a way to get a shared file back after a reload: its handle, or (opt-in) a copy of a small file
+async function saveSharedFile(file, fileId) {
+    if (historyRetentionDays === 0) return;
+    
+    try {
+        const handle = await getFileHandle(file);
+        if (handle) {
+            await storageService.saveSharedFile({ id: fileId, handle: handle });
+        } else if (keepSharedFileCopies && file.size <= SHARED_FILE_COPY_LIMIT) {
+            await storageService.saveSharedFile({ id: fileId, blob: file });
+        }
+    } catch (error) {
+        console.warn(`Could not keep ${file.name} for after a reload:`, error);
+    }
+}
+
+// Offer the files shared before the reload again - straight away where read permission is still granted,
+// otherwise after asking the user (the browser only shows its permission prompt after a click)
+async function restoreSharedFiles() {
+    const records = await storageService.getSharedFiles();
+    const needPermission = [];
+    let reoffered = 0;
+    
+    for (const record of records) {
+        const fileInfo = sentFileInfoMap.get(record.id);
+        if (!fileInfo) {
+            storageService.deleteSharedFile(record.id).catch(() => {}); // No longer in the history
+            continue;
+        }
+        if (!offlineFiles.has(record.id)) continue; // Shared again this session already
+        
+        try {
+            if (record.blob) {
+                reofferSharedFile(fileInfo, record.blob);
+                reoffered++;
+            } else if (record.handle) {
+                const permission = await record.handle.queryPermission({ mode: 'read' });
+                if (permission === 'granted') {
+                    reoffered += await reofferFromHandle(fileInfo, record.handle) ? 1 : 0;
+                } else if (permission === 'prompt') {
+                    needPermission.push({ fileInfo, handle: record.handle });
+                }
+            }
+        } catch (error) {
+            console.warn(`Could not offer ${fileInfo.name} again:`, error);
+        }
+    }
+    
+    if (reoffered > 0) {
+        console.log(`📤 Offering ${reoffered} file(s) shared before the reload again`);
+        refreshSentFileGroup();
+    }
+    if (needPermission.length > 0) {
+        askToReofferSharedFiles(needPermission);
+    }
+}
+
+// Ask before requesting read permission for the saved handles again
+async function askToReofferSharedFiles(pending) {
+    const count = pending.length;
+    const confirmed = await showConfirmDialog(
+        `You shared ${count === 1 ? 'a file' : `${count} files`} before the page was reloaded. Offer ${count === 1 ? 'it' : 'them'} to peers again? Your browser will ask to let this page read ${count === 1 ? 'it' : 'them'}.`,
+        'Share files again',
+        { confirmText: 'Share again', cancelText: 'Not now' }
+    );
+    if (!confirmed) return;
+    
+    let reoffered = 0;
+    for (const { fileInfo, handle } of pending) {
+        try {
+            if (await handle.requestPermission({ mode: 'read' }) === 'granted' && await reofferFromHandle(fileInfo, handle)) {
+                reoffered++;
+            }
+        } catch (error) {
+            console.warn(`Could not offer ${fileInfo.name} again:`, error);
+        }
+    }
+    
+    refreshSentFileGroup();
+    showNotification(
+        reoffered > 0 ? `${reoffered} file(s) offered to peers again` : 'No files were offered again',
+        reoffered > 0 ? 'success' : 'info'
+    );
+}
+
+// Read a saved handle and offer the file again - false if it changed since it was shared
+async function reofferFromHandle(fileInfo, handle) {
+    const file = await handle.getFile();
+    if (file.size !== fileInfo.size) {
+        console.warn(`${fileInfo.name} changed since it was shared - not offering it again`);
+        storageService.deleteSharedFile(fileInfo.id).catch(() => {});
+        return false;
+    }
+    reofferSharedFile(fileInfo, file);
+    return true;
+}
+
+// Make a file shared before the reload servable again and announce it to the connected peers
+function reofferSharedFile(fileInfo, blob) {
+    sentFileBlobs.set(fileInfo.id, blob);
+    offlineFiles.delete(fileInfo.id);
+    reofferedFiles.add(fileInfo.id);
+    
+    for (const conn of connections.values()) {
+        if (conn.open) {
+            announceSharedFile(conn, fileInfo);
+        }
+    }
+}
+
+// Check if a file-info is a received file announced again under a new sender ID - peer IDs change with
+// every load, so a sender that reloaded re-announces its files from a new ID. Only taken over while the
+// old ID isn't connected (a connected sender still has the file) and name and size still match
+function isMovedSharedFile(fileInfo) {
+    const known = receivedFileInfoMap.get(fileInfo.id);
+    if (!known || !fileHistory.received.has(fileInfo.id) || !fileInfo.sharedBy || known.sharedBy === fileInfo.sharedBy) {
+        return false;
+    }
+    const previousConn = connections.get(known.sharedBy);
+    return !(previousConn && previousConn.open) && known.name === fileInfo.name && known.size === fileInfo.size;
+}
+
+// Send the file-info of a file shared before the reload (receivers move it over from our old peer ID)
+function announceSharedFile(conn, fileInfo) {
+    if (!peer) return;
+    fileInfo.sharedBy = getLocalPeerId(); // Our peer ID may have changed with the reload
+    conn.send({
+        type: 'file-info',
+        fileId: fileInfo.id,
+        fileName: fileInfo.name,
+        fileType: fileInfo.type,
+        fileSize: fileInfo.size,
+        relativePath: fileInfo.relativePath || '',
+        originalSender: getLocalPeerId(),
+        ...(fileInfo.thumbnail ? { thumbnail: fileInfo.thumbnail } : {})
+    });
+}
+
+// Offer the files shared before the reload to a peer that has just connected
+// Peer IDs usually change with a reload, so every peer gets them rather than only the original recipients
+function announceReofferedFiles(conn) {
+    for (const fileId of reofferedFiles) {
+        const fileInfo = sentFileInfoMap.get(fileId);
+        if (fileInfo && sentFileBlobs.has(fileId)) {
+            announceSharedFile(conn, fileInfo);
+        }
+    }
+}
+
+// Re-render the sent files group after files became available again
+function refreshSentFileGroup() {
+    markGroupChanged('sent');
+    renderAllFileGroups();
+    const sentHeader = document.getElementById('sent-files-header');
+    if (sentHeader && sentHeader.getAttribute('data-expanded') === 'true') {
+        renderFileGroup('sent');
+    }
+}
+
+// A peer connected - its files restored from history can be downloaded again
+function markFileSourceOnline(peerId) {
+    let changed = false;
+    for (const fileInfo of fileGroups.received.get(peerId) || []) {
+        if (offlineFiles.delete(fileInfo.id)) {
+            changed = true;
+        }
+    }
+    if (!changed) return;
+    
+    markGroupChanged('received', peerId);
+    renderAllFileGroups();
+    const header = document.getElementById(`received-files-header-${peerId}`);
+    if (header && header.getAttribute('data-expanded') === 'true') {
+        renderFileGroup('received', peerId);
+    }
+    updateBulkDownloadButtonState();
+}
+
+// Let the user choose how long the file history is kept
+async function openHistorySettings() {
+    const content = document.createElement('div');
+    content.className = 'dialog-fields';
+    content.innerHTML = `
+        <label class="dialog-field">
+            <span>Keep file history for</span>
+            <select class="dialog-input">
+                <option value="0">Don't keep history</option>
+                <option value="1">1 day</option>
+                <option value="7">7 days</option>
+                <option value="30">30 days</option>
+                <option value="forever">Until I clear it</option>
+            </select>
+        </label>
+        <label class="dialog-checkbox">
+            <input type="checkbox" class="history-keep-copies">
+            <span>Keep copies of files up to ${formatFileSize(SHARED_FILE_COPY_LIMIT)} that I share, to offer them again after a reload</span>
+        </label>
+        <label class="dialog-checkbox">
+            <input type="checkbox" class="history-clear">
+            <span>Clear the history saved so far</span>
+        </label>
+    `;
+    const retentionSelect = content.querySelector('select');
+    const copiesInput = content.querySelector('.history-keep-copies');
+    const clearInput = content.querySelector('.history-clear');
+    copiesInput.checked = keepSharedFileCopies;
+    retentionSelect.value = historyRetentionDays === null ? 'forever' : String(historyRetentionDays);
+    if (!retentionSelect.value) {
+        retentionSelect.value = '7';
+    }
+    
+    const confirmed = await showDialog(
+        'File history',
+        'Names, sizes and senders of shared files are kept on this device so the lists survive a reload. Files you share are offered again through their file handle where the browser supports it; file contents are only stored if you allow copies.',
+        content,
+        { confirmText: 'Save' }
+    );
+    if (!confirmed) return;
+    
+    historyRetentionDays = retentionSelect.value === 'forever' ? null : Number(retentionSelect.value);
+    keepSharedFileCopies = copiesInput.checked;
+    storageService.saveSetting('historyRetentionDays', historyRetentionDays);
+    storageService.saveSetting('keepSharedFileCopies', keepSharedFileCopies);
+    
+    try {
+        if (clearInput.checked || historyRetentionDays === 0) {
+            await storageService.clearAllFiles();
+            await storageService.clearSharedFiles();
+        } else if (historyRetentionDays) {
+            await storageService.cleanupOldFiles(historyRetentionDays * DAY_MS);
+        }
+    } catch (error) {
+        console.error('Error applying history settings:', error);
+        showNotification('Could not update the saved history', 'error');
+        return;
+    }
+    
+    Analytics.track('history_retention_changed', {
+        retention_days: historyRetentionDays === null ? 'forever' : historyRetentionDays,
+        keep_copies: keepSharedFileCopies,
+        cleared: clearInput.checked,
+        device_type: Analytics.getDeviceType()
+    });
+    showNotification(historyRetentionDays === 0 ? 'File history is no longer kept' : 'File history settings saved', 'info');
+}
+
+// Initialize the saved file history and its settings
+function initFileHistory() {
+    historyRetentionDays = storageService.loadSetting('historyRetentionDays', historyRetentionDays);
+    keepSharedFileCopies = storageService.loadSetting('keepSharedFileCopies', false) === true;
+    if (elements.historySettings) {
+        elements.historySettings.addEventListener('click', openHistorySettings);
+    }
+    restoreFileHistory();
+}
+
 // Process file queue
 async function processFileQueue() {
     if (isProcessingQueue || fileQueue.length === 0) return;
@@ -2172,10 +4812,18 @@ async function sendFile(file) {
         updateTransferInfo(`Sending ${file.name}...`);
 
         // Generate a unique file ID that will be same for all recipients
-        const fileId = generateFileId(file);
+        const relativePath = getFileRelativePath(file);
+        const fileId = generateFileId(file, relativePath);
+        
+        // Keep a disk-backed reference for the sender instead of copying the file into memory
+        const fileBlob = file.slice(0, file.size, file.type);
+        
+        // Start hashing in the background so the first download doesn't wait for it
+        fileIntegrityCache.delete(fileId);
+        getFileIntegrity(fileId, fileBlob);
         
-        // Create file blob once for the sender
-        const fileBlob = new Blob([await file.arrayBuffer()], { type: file.type });
+        // Images and videos get a small thumbnail that travels with the file info (null for other files)
+        const thumbnail = await thumbnailService.create(file);
         
         // Add to sender's history first
         const fileInfo = {
@@ -2184,9 +4832,12 @@ async function sendFile(file) {
             size: file.size,
             id: fileId,
             blob: fileBlob,
-            sharedBy: peer.id
+            sharedBy: getLocalPeerId(),
+            relativePath: relativePath, // Path inside a shared folder ('' for loose files)
+            ...(thumbnail ? { thumbnail: thumbnail } : {})
         };
         addFileToHistory(fileInfo, 'sent');
+        saveSharedFile(file, fileId);
 
         // Send to all connected peers
         const sendPromises = [];
@@ -2196,7 +4847,7 @@ async function sendFile(file) {
         for (const [peerId, conn] of connections) {
             if (conn && conn.open) {
                 try {
-                    await sendFileToPeer(file, conn, fileId, fileBlob);
+                    await sendFileToPeer(file, conn, fileId, fileBlob, thumbnail);
                     successCount++;
                 } catch (error) {
                     errors.push(error.message);
@@ -2316,6 +4967,167 @@ function formatFileSize(bytes) {
     return `<span translate="no">${size.toFixed(1)} ${units[unitIndex]}</span>`;
 }
 
+// Format a speed in bytes per second (returns HTML like formatFileSize)
+function formatSpeed(bytesPerSecond) {
+    return `${formatFileSize(bytesPerSecond)}/s`;
+}
+
+// Format a number of seconds as "45 s", "3 min 5 s" or "1 h 20 min"
+function formatDuration(seconds) {
+    seconds = Math.max(0, Math.round(seconds));
+    if (seconds < 60) {
+        return `${seconds} s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return seconds % 60 ? `${minutes} min ${seconds % 60} s` : `${minutes} min`;
+    }
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+// Transfer stats refresh: list items and the session panel are updated once a second while data is moving
+const TRANSFER_STATS_INTERVAL = 1000;
+let transferStatsTimer = null;
+let sessionStatsRendering = false; // getStats() is async - skip a tick rather than overlap renders
+
+// Create the speed/ETA line shown under a file's size (filled in while the file is transferring)
+function createTransferStatsLine(fileId, type) {
+    const line = document.createElement('span');
+    line.className = 'transfer-stats';
+    line.setAttribute('data-file-id', fileId);
+    line.setAttribute('data-direction', type);
+    line.setAttribute('translate', 'no');
+    updateTransferStatsLine(line);
+    return line;
+}
+
+// Show a file's current speed and ETA, or its average speed once the transfer is over
+function updateTransferStatsLine(line) {
+    const fileId = line.getAttribute('data-file-id');
+    const direction = line.getAttribute('data-direction');
+
+    // Swarm downloads only know how much of the whole file is still missing
+    const swarm = direction === 'received' ? swarmDownloads.get(fileId) : null;
+    const remaining = swarm ? swarm.fileInfo.size - swarm.receivedBytes : null;
+    const stats = transferStats.getFileStats(fileId, direction, remaining);
+
+    if (!stats) {
+        line.classList.add('hidden');
+        return;
+    }
+    line.classList.remove('hidden');
+    if (stats.active) {
+        line.innerHTML = stats.etaSeconds !== null
+            ? `${formatSpeed(stats.bytesPerSecond)} · ${formatDuration(stats.etaSeconds)} left`
+            : formatSpeed(stats.bytesPerSecond);
+    } else {
+        line.innerHTML = `${formatFileSize(stats.transferred)} ${direction} in ${formatDuration(stats.durationMs / 1000)} · ${formatSpeed(stats.averageBytesPerSecond)} average`;
+    }
+}
+
+// Describe how a connection is routed (from TransferStats.getConnectionRoute)
+function getRouteLabel(route) {
+    if (route.route === 'relay') {
+        return `TURN relay${route.protocol ? ` (${route.protocol.toUpperCase()})` : ''}`;
+    }
+    if (route.route === 'direct') {
+        return route.localType === 'host' && route.remoteType === 'host' ? 'Direct (local network)' : 'Direct';
+    }
+    return 'Unknown';
+}
+
+// Render the session stats panel: totals, current speeds and one row per peer
+async function renderSessionStats() {
+    if (!elements.sessionStatsSummary || sessionStatsRendering) return;
+    const session = transferStats.getSessionStats();
+    elements.sessionStatsSummary.innerHTML = `↑ ${formatFileSize(session.sent)} · ↓ ${formatFileSize(session.received)}`;
+    if (!elements.sessionStats.open) return;
+
+    sessionStatsRendering = true;
+    try {
+        // Connected peers first, then peers that have left but exchanged data this session
+        const peerIds = Array.from(new Set([...connections.keys(), ...transferStats.getPeerIds()]));
+        const rows = await Promise.all(peerIds.map(async (peerId) => {
+            const conn = connections.get(peerId);
+            let route = null;
+            if (conn && conn.open) {
+                try {
+                    route = await transferStats.getConnectionRoute(conn.peerConnection);
+                } catch (error) {
+                    console.warn(`Could not read connection stats for peer ${peerId}:`, error);
+                }
+            }
+            return { peerId, conn, route, stats: transferStats.getPeerStats(peerId) };
+        }));
+
+        const peerRows = rows.map(({ peerId, conn, route, stats }) => {
+            const routeText = !conn || !conn.open
+                ? 'Disconnected'
+                : route ? getRouteLabel(route) : 'Unknown';
+            const roundTrip = route && route.roundTripTime !== null ? ` · ${Math.round(route.roundTripTime * 1000)} ms` : '';
+            return `
+                <tr>
+                    <td class="session-stats-peer" translate="no">${escapeHtml(peerId)}</td>
+                    <td><span class="session-stats-route ${route ? `route-${route.route}` : ''}">${routeText}</span>${roundTrip}</td>
+                    <td>${formatFileSize(stats.sent)}${stats.uploadRate > 0 ? ` · ${formatSpeed(stats.uploadRate)}` : ''}</td>
+                    <td>${formatFileSize(stats.received)}${stats.downloadRate > 0 ? ` · ${formatSpeed(stats.downloadRate)}` : ''}</td>
+                </tr>`;
+        }).join('');
+
+        elements.sessionStatsBody.innerHTML = `
+            <dl class="session-stats-totals">
+                <div><dt>Session</dt><dd>${formatDuration(session.durationMs / 1000)}</dd></div>
+                <div><dt>Sent</dt><dd>${formatFileSize(session.sent)}</dd></div>
+                <div><dt>Received</dt><dd>${formatFileSize(session.received)}</dd></div>
+                <div><dt>Upload</dt><dd>${formatSpeed(session.uploadRate)}</dd></div>
+                <div><dt>Download</dt><dd>${formatSpeed(session.downloadRate)}</dd></div>
+                <div><dt>Active transfers</dt><dd>${session.activeTransfers}</dd></div>
+            </dl>
+            ${peerIds.length > 0 ? `
+            <table class="session-stats-peers">
+                <thead><tr><th>Peer</th><th>Connection</th><th>Sent</th><th>Received</th></tr></thead>
+                <tbody>${peerRows}</tbody>
+            </table>` : '<p class="session-stats-empty">No peers connected yet</p>'}`;
+    } finally {
+        sessionStatsRendering = false;
+    }
+}
+
+// Refresh every visible speed line and the session panel
+function refreshTransferStats() {
+    document.querySelectorAll('.transfer-stats[data-file-id]').forEach(updateTransferStatsLine);
+    renderSessionStats();
+}
+
+// Keep refreshing while data is moving or the panel is open, then stop after one last refresh
+function scheduleTransferStatsRefresh() {
+    if (transferStatsTimer) return;
+    transferStatsTimer = setInterval(() => {
+        refreshTransferStats();
+        if (!transferStats.hasActiveTransfers() && !(elements.sessionStats && elements.sessionStats.open)) {
+            clearInterval(transferStatsTimer);
+            transferStatsTimer = null;
+        }
+    }, TRANSFER_STATS_INTERVAL);
+}
+
+// Initialize the session stats panel
+function initTransferStats() {
+    if (!elements.sessionStats) return;
+    elements.sessionStats.addEventListener('toggle', () => {
+        if (elements.sessionStats.open) {
+            Analytics.track('session_stats_opened', {
+                peer_count: connections.size,
+                device_type: Analytics.getDeviceType()
+            });
+            scheduleTransferStatsRefresh();
+        }
+        renderSessionStats();
+    });
+    renderSessionStats();
+}
+
 // Track active progress notifications
 const activeProgressNotifications = {
     sending: null,
@@ -2348,6 +5160,26 @@ function escapeHtml(text) {
     return text.replace(/[&<>"']/g, (m) => map[m]);
 }
 
+// Clipboard helper from the ES module js/utils/helpers.js - loaded at startup, because Safari refuses a clipboard
+// write that waits on anything (like loading the module) after the click
+let clipboardHelper = null;
+import('./js/utils/helpers.js')
+    .then(helpers => {
+        clipboardHelper = helpers.copyToClipboard;
+    })
+    .catch(error => console.warn('Could not load the clipboard helper:', error));
+
+// Copy text to clipboard - resolves false instead of throwing when it isn't allowed
+function copyToClipboard(text) {
+    if (clipboardHelper) {
+        return clipboardHelper(text);
+    }
+    // Clicked before the module loaded - most browsers still allow the write
+    return import('./js/utils/helpers.js')
+        .then(helpers => helpers.copyToClipboard(text))
+        .catch(() => false);
+}
+
 function showNotification(message, type = 'info', duration = 5000) {
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
@@ -2796,6 +5628,7 @@ function showAutoModeNotification(message, type = 'success') {
 function resetConnection() {
     if (connections.size > 0) {
         connections.forEach((conn, peerId) => {
+            reconnectionManager.forget(peerId);
             if (conn && conn.open) {
                 conn.close();
             }
@@ -2956,75 +5789,240 @@ elements.dropZone.addEventListener('dragleave', () => {
     elements.dropZone.classList.remove('drag-over');
 });
 
+// Relative paths of files taken from a dropped folder (File -> 'folder/sub/file.ext')
+// Files from the folder picker carry webkitRelativePath instead
+const fileRelativePaths = new WeakMap();
+
+// File System Access handles of dropped or picked files, saved so they can be shared again after a reload
+// (File -> FileSystemFileHandle, or { directory, path } for files inside a dropped folder)
+const fileHandles = new WeakMap();
+
+// Get the handle of a file, looking it up inside its dropped folder if needed (null when there is none)
+async function getFileHandle(file) {
+    const saved = fileHandles.get(file);
+    if (!saved) return null;
+    if (saved.kind === 'file') return saved;
+    
+    // The path starts with the dropped folder's own name
+    const parts = saved.path.split('/').slice(1);
+    let directory = saved.directory;
+    for (const part of parts.slice(0, -1)) {
+        directory = await directory.getDirectoryHandle(part);
+    }
+    return directory.getFileHandle(parts[parts.length - 1]);
+}
+
+// Get the path of a file inside the folder it was shared from ('' for loose files)
+function getFileRelativePath(file) {
+    return fileRelativePaths.get(file) || file.webkitRelativePath || '';
+}
+
+// Normalize a relative path (also used on paths from peers): forward slashes, no empty, '.' or '..' segments
+function normalizeRelativePath(path) {
+    if (typeof path !== 'string') return '';
+    return path.split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..').join('/');
+}
+
+// Read every entry of a directory (readEntries returns them in batches)
+function readAllDirectoryEntries(reader) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const readBatch = () => {
+            reader.readEntries(batch => {
+                if (batch.length === 0) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push(...batch);
+                readBatch();
+            }, reject);
+        };
+        readBatch();
+    });
+}
+
+// Recursively collect the files under a dropped file or directory entry
+async function collectFilesFromEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        // fullPath is '/folder/sub/file.ext' - loose files ('/file.ext') don't get a path
+        if (entry.fullPath && entry.fullPath.lastIndexOf('/') > 0) {
+            fileRelativePaths.set(file, normalizeRelativePath(entry.fullPath));
+        }
+        files.push(file);
+    } else if (entry.isDirectory) {
+        const children = await readAllDirectoryEntries(entry.createReader());
+        for (const child of children) {
+            await collectFilesFromEntry(child, files);
+        }
+    }
+}
+
+// Get the files from a drop, walking into dropped folders where supported
+async function getDroppedFiles(dataTransfer) {
+    // Entries and handles must be taken before the first await - the DataTransfer is emptied once the drop event returns
+    const dropped = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+        .map(item => ({
+            entry: item.webkitGetAsEntry(),
+            handle: typeof item.getAsFileSystemHandle === 'function'
+                ? item.getAsFileSystemHandle().catch(() => null)
+                : null
+        }))
+        .filter(drop => drop.entry);
+    
+    if (dropped.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+    
+    const files = [];
+    for (const { entry, handle } of dropped) {
+        const start = files.length;
+        await collectFilesFromEntry(entry, files);
+        
+        const droppedHandle = await handle;
+        if (droppedHandle && droppedHandle.kind === 'file') {
+            fileHandles.set(files[start], droppedHandle);
+        } else if (droppedHandle && droppedHandle.kind === 'directory') {
+            files.slice(start).forEach(file => {
+                fileHandles.set(file, { directory: droppedHandle, path: fileRelativePaths.get(file) || '' });
+            });
+        }
+    }
+    return files;
+}
+
+// Add files to the send queue and start processing
+function queueFilesForSending(files) {
+    if (files.length > 1) {
+        showNotification(`Processing ${files.length} files`, 'info');
+    }
+    files.forEach(file => {
+        fileQueue.push(file);
+    });
+    processFileQueue();
+}
+
 elements.dropZone.addEventListener('drop', (e) => {
     e.preventDefault();
     elements.dropZone.classList.remove('drag-over');
     
-    if (connections.size > 0) {
-        const files = e.dataTransfer.files;
-        if (files.length > 1) {
-            showNotification(`Processing ${files.length} files`, 'info');
+    if (connections.size > 0) {
+        getDroppedFiles(e.dataTransfer)
+            .then(files => {
+                if (files.length === 0) {
+                    showNotification('The dropped folder is empty', 'info');
+                    return;
+                }
+                queueFilesForSending(files);
+            })
+            .catch(error => {
+                console.error('Error reading dropped files:', error);
+                showNotification('Failed to read dropped files: ' + error.message, 'error');
+            });
+    } else {
+        showNotification('Please connect to at least one peer first', 'error');
+    }
+});
+
+// Add click handler for the drop zone
+elements.dropZone.addEventListener('click', (e) => {
+    // Clicks forwarded to the hidden inputs bubble back up here - don't open a second picker
+    if (e.target === elements.fileInput || e.target === elements.folderInput) return;
+    
+    // Track file upload icon click
+    Analytics.track('file_upload_icon_clicked', {
+        connected_peers: connections.size,
+        device_type: Analytics.getDeviceType()
+    });
+    
+    if (connections.size > 0) {
+        // The File System Access picker gives handles, so the files can be offered again after a reload
+        if (typeof window.showOpenFilePicker === 'function' && historyRetentionDays !== 0) {
+            pickFilesWithHandles();
+        } else {
+            elements.fileInput.click();
+        }
+    } else {
+        showNotification('Please connect to at least one peer first', 'error');
+        Analytics.track('file_upload_blocked_no_connection');
+    }
+});
+
+// Pick files with the File System Access picker and remember their handles
+async function pickFilesWithHandles() {
+    let handles;
+    try {
+        handles = await window.showOpenFilePicker({ multiple: true });
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.warn('File System Access picker failed, using the file input:', error);
+            elements.fileInput.click();
+        }
+        return;
+    }
+    
+    try {
+        const files = [];
+        for (const handle of handles) {
+            const file = await handle.getFile();
+            fileHandles.set(file, handle);
+            files.push(file);
         }
-        Array.from(files).forEach(file => {
-            fileQueue.push(file);
-        });
-        processFileQueue();
-    } else {
-        showNotification('Please connect to at least one peer first', 'error');
+        handleSelectedFiles(files);
+    } catch (error) {
+        console.error('Error reading picked files:', error);
+        showNotification('Failed to read the selected files: ' + error.message, 'error');
     }
-});
+}
 
-// Add click handler for the drop zone
-elements.dropZone.addEventListener('click', () => {
-    // Track file upload icon click
-    Analytics.track('file_upload_icon_clicked', {
-        connected_peers: connections.size,
-        device_type: Analytics.getDeviceType()
-    });
+// Add click handler for the folder picker button
+elements.folderSelectButton.addEventListener('click', (e) => {
+    e.stopPropagation(); // Don't open the regular file picker as well
     
     if (connections.size > 0) {
-        elements.fileInput.click();
+        elements.folderInput.click();
     } else {
         showNotification('Please connect to at least one peer first', 'error');
         Analytics.track('file_upload_blocked_no_connection');
     }
 });
 
-// Update file input change handler
-elements.fileInput.addEventListener('change', (e) => {
+// Track and queue files chosen with a picker
+function handleSelectedFiles(files) {
+    if (files.length === 0) return;
+    
+    // Track file selection
+    const fileStats = files.map(file => ({
+        size: file.size,
+        type: Analytics.getFileExtension(file.name),
+        sizeCategory: Analytics.getFileSizeCategory(file.size)
+    }));
+    
+    Analytics.track('files_selected_for_upload', {
+        file_count: files.length,
+        total_size: fileStats.reduce((sum, f) => sum + f.size, 0),
+        file_types: [...new Set(fileStats.map(f => f.type))].join(','),
+        size_categories: [...new Set(fileStats.map(f => f.sizeCategory))].join(','),
+        connected_peers: connections.size
+    });
+    
+    queueFilesForSending(files);
+}
+
+// Update file input change handler (shared by the file and folder pickers)
+function handleFileInputChange(e) {
     if (connections.size > 0) {
-        const files = e.target.files;
-        if (files.length > 0) {
-            // Track file selection
-            const fileStats = Array.from(files).map(file => ({
-                size: file.size,
-                type: Analytics.getFileExtension(file.name),
-                sizeCategory: Analytics.getFileSizeCategory(file.size)
-            }));
-            
-            Analytics.track('files_selected_for_upload', {
-                file_count: files.length,
-                total_size: fileStats.reduce((sum, f) => sum + f.size, 0),
-                file_types: [...new Set(fileStats.map(f => f.type))].join(','),
-                size_categories: [...new Set(fileStats.map(f => f.sizeCategory))].join(','),
-                connected_peers: connections.size
-            });
-            
-            if (files.length > 1) {
-                showNotification(`Processing ${files.length} files`, 'info');
-            }
-            Array.from(files).forEach(file => {
-                fileQueue.push(file);
-            });
-            processFileQueue();
-        }
+        handleSelectedFiles(Array.from(e.target.files));
         // Reset the input so the same file can be selected again
         e.target.value = '';
     } else {
         showNotification('Please connect to at least one peer first', 'error');
         Analytics.track('file_upload_blocked_no_connection');
     }
-});
+}
+elements.fileInput.addEventListener('change', handleFileInputChange);
+elements.folderInput.addEventListener('change', handleFileInputChange);
 
 // Initialize the application
 // Check if tip should be shown in this tab (once per tab, not on refresh)
@@ -3081,9 +6079,11 @@ function init() {
     }
 
     initPeerJS();
+    iceSettings.refreshCredentials(); // REST TURN credentials reach the peer through applyIceSettings
     initIndexedDB();
     loadRecentPeers();
     checkUrlForPeerId(); // Check URL for peer ID on load
+    checkUrlForPairingCode(); // Open manual pairing when a pairing link was scanned
     initConnectionKeepAlive(); // Initialize connection keep-alive system
     
     // Show wake lock tip once per tab on first navigation (not on refresh)
@@ -3098,6 +6098,25 @@ function init() {
     initSocialMediaToggle(); // Initialize social media toggle
     initAutoModeToggle(); // Initialize auto mode toggle
     initAutoModeLongPress(); // Initialize long press detection on "Auto" text
+    initEncryptionToggle(); // Initialize opt-in end-to-end encryption
+    initRoomSecurity(); // Initialize room passphrase and connection approval
+    initTextSnippets(); // Initialize the text compose box
+    initChat(); // Initialize the chat panel and load its history
+    initFileSelection(); // Initialize selection mode for bulk downloads
+    initFileHistory(); // Restore sent and received files from the saved history
+    initTransferStats(); // Initialize the session stats panel
+    if (elements.connectionDiagnostics) {
+        elements.connectionDiagnostics.addEventListener('click', openConnectionDiagnostics);
+    }
+    if (elements.signalingSettings) {
+        elements.signalingSettings.addEventListener('click', openSignalingSettings);
+    }
+    if (elements.iceSettings) {
+        elements.iceSettings.addEventListener('click', openIceSettings);
+    }
+    if (elements.manualPairing) {
+        elements.manualPairing.addEventListener('click', () => openManualPairing());
+    }
     // Note: updateAutoModeButtonVisibility() will be called after peer ID is generated
     // in the peer.on('open') handler to ensure DOM is ready
     
@@ -3154,6 +6173,461 @@ function initAutoModeToggle() {
     console.log('Auto mode toggle initialized');
 }
 
+// Initialize the end-to-end encryption toggle (the choice is remembered across visits)
+function initEncryptionToggle() {
+    if (!elements.encryptionSwitch) return;
+    
+    if (!encryptionService.isSupported) {
+        elements.encryptionSwitch.disabled = true;
+        elements.encryptionSwitch.closest('.encryption-toggle-container').title = 'Encryption requires a secure (HTTPS) connection';
+        return;
+    }
+    
+    encryptionEnabled = localStorage.getItem('encryptionEnabled') === 'true';
+    elements.encryptionSwitch.checked = encryptionEnabled;
+    
+    elements.encryptionSwitch.addEventListener('change', () => {
+        encryptionEnabled = elements.encryptionSwitch.checked;
+        localStorage.setItem('encryptionEnabled', String(encryptionEnabled));
+        
+        Analytics.track('encryption_toggled', {
+            enabled: encryptionEnabled,
+            device_type: Analytics.getDeviceType()
+        });
+        
+        if (encryptionEnabled) {
+            // Secure the connections that are already open
+            for (const conn of connections.values()) {
+                if (conn && conn.open) {
+                    startKeyExchange(conn);
+                }
+            }
+            showNotification('Encryption on - compare the emoji shown for each peer with the other device', 'info');
+        } else {
+            showNotification('Encryption off for new connections', 'info');
+        }
+    });
+}
+
+// Show a modal dialog (same layout as NotificationService.confirm/prompt)
+// content is an optional element shown between the message and the buttons
+// Resolves true on confirm (button or Enter), false on cancel, Escape, a click outside or the timeout
+// The returned promise has dismiss() to close the dialog from code
+function showDialog(title, message, content = null, options = {}) {
+    const { confirmText = 'OK', cancelText = 'Cancel', timeout = 0 } = options;
+    let close = null;
+    
+    const promise = new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'dialog-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.innerHTML = `
+            <h3 class="dialog-title">${escapeHtml(title)}</h3>
+            <p class="dialog-message">${escapeHtml(message)}</p>
+            <div class="dialog-actions">
+                <button type="button" class="dialog-button dialog-cancel">${escapeHtml(cancelText)}</button>
+                <button type="button" class="dialog-button dialog-confirm">${escapeHtml(confirmText)}</button>
+            </div>
+        `;
+        if (content) {
+            dialog.insertBefore(content, dialog.querySelector('.dialog-actions'));
+        }
+        
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        
+        let timer = null;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                close(false);
+            } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                e.preventDefault();
+                close(true);
+            }
+        };
+        
+        close = (result) => {
+            if (!overlay.isConnected) return;
+            clearTimeout(timer);
+            document.removeEventListener('keydown', handleKeyDown);
+            overlay.remove();
+            resolve(result);
+        };
+        
+        dialog.querySelector('.dialog-confirm').onclick = () => close(true);
+        dialog.querySelector('.dialog-cancel').onclick = () => close(false);
+        overlay.onclick = (e) => {
+            if (e.target === overlay) close(false);
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        
+        if (timeout > 0) {
+            timer = setTimeout(() => close(false), timeout);
+        }
+        
+        const firstInput = dialog.querySelector('input');
+        (firstInput || dialog.querySelector('.dialog-confirm')).focus();
+    });
+    
+    promise.dismiss = () => close(false);
+    return promise;
+}
+
+// Ask the user to confirm something - resolves true or false
+function showConfirmDialog(message, title = 'Confirm', options = {}) {
+    return showDialog(title, message, null, options);
+}
+
+// Ask the user for a value - resolves with the text entered, or null when cancelled
+function showPromptDialog(message, defaultValue = '', title = 'Input', options = {}) {
+    const input = document.createElement('input');
+    input.type = options.inputType || 'text';
+    input.className = 'dialog-input';
+    input.value = defaultValue;
+    input.autocomplete = 'off';
+    
+    const dialog = showDialog(title, message, input, options);
+    const result = dialog.then(confirmed => (confirmed ? input.value : null));
+    result.dismiss = dialog.dismiss;
+    return result;
+}
+
+// Check if an incoming connection has to be admitted before it counts as open
+function requiresAdmission(peerId) {
+    const passphraseRequired = !!roomPassphrase && roomAuthService.isSupported;
+    return passphraseRequired || (approveIncomingPeers && !approvedPeers.has(peerId));
+}
+
+// Hold an incoming connection until it has proven the room passphrase and/or been accepted by the user
+// Only an admitted connection is added to connections, so nothing is shared with it before then
+async function admitIncomingConnection(conn) {
+    const MAX_HELD_MESSAGES = 100; // Messages the peer sends while waiting, replayed once admitted
+    const passphrase = roomPassphrase && roomAuthService.isSupported ? roomPassphrase : '';
+    const heldMessages = [];
+    const authSteps = new Map(); // message type -> resolve, for the passphrase check step being waited on
+    let approvalDialog = null;
+    let timer = null;
+    
+    const onData = (data) => {
+        if (data && (data.type === MESSAGE_TYPES.AUTH_NONCE || data.type === MESSAGE_TYPES.AUTH_RESPONSE)) {
+            // Out of turn passphrase check messages are dropped
+            if (authSteps.has(data.type)) authSteps.get(data.type)(data);
+            authSteps.delete(data.type);
+        } else if (data && data.type === MESSAGE_TYPES.KEY_EXCHANGE) {
+            // Dropped - the peer starts a new key exchange once admitted
+        } else if (heldMessages.length < MAX_HELD_MESSAGES) {
+            heldMessages.push(data);
+        }
+    };
+    conn.on('data', onData);
+    
+    // Rejects if the peer goes away or takes too long, ending whatever step is being waited on
+    const aborted = new Promise((resolve, reject) => {
+        conn.once('close', () => reject(new Error('Connection closed')));
+        timer = setTimeout(() => reject(new Error('Timed out')), window.CONFIG?.ADMISSION_TIMEOUT || 60000);
+    });
+    aborted.catch(() => {});
+    
+    // Wait for the peer's next passphrase check message
+    const receiveAuthStep = (type) => Promise.race([new Promise(resolve => authSteps.set(type, resolve)), aborted]);
+    
+    try {
+        if (!conn.open) {
+            await Promise.race([new Promise(resolve => conn.once('open', resolve)), aborted]);
+        }
+        
+        if (passphrase) {
+            updateConnectionStatus('connecting', `Checking the passphrase of ${conn.peer}...`);
+            const challenge = roomAuthService.createChallenge();
+            const nonceReceived = receiveAuthStep(MESSAGE_TYPES.AUTH_NONCE);
+            conn.send({ type: MESSAGE_TYPES.AUTH_CHALLENGE, ...challenge });
+            
+            // The joiner answers with its own nonce, then waits for us to prove we know the passphrase first
+            const { nonce } = await nonceReceived;
+            if (!roomAuthService.isValidNonce(nonce)) {
+                rejectIncomingConnection(conn, 'wrong-passphrase', 'Invalid passphrase check');
+                return;
+            }
+            const exchange = {
+                hostNonce: challenge.nonce,
+                joinerNonce: nonce,
+                iterations: challenge.iterations,
+                hostId: getLocalPeerId(),
+                joinerId: conn.peer
+            };
+            const responseReceived = receiveAuthStep(MESSAGE_TYPES.AUTH_RESPONSE);
+            const hostProof = await roomAuthService.createProof(passphrase, exchange, 'host');
+            conn.send({ type: MESSAGE_TYPES.AUTH_HOST_PROOF, proof: hostProof });
+            
+            const answer = await responseReceived;
+            const valid = await roomAuthService.verifyProof(passphrase, exchange, 'joiner', answer.proof);
+            if (!valid) {
+                rejectIncomingConnection(conn, 'wrong-passphrase', 'Wrong passphrase');
+                return;
+            }
+        }
+        
+        if (approveIncomingPeers && !approvedPeers.has(conn.peer)) {
+            updateConnectionStatus('connecting', `${conn.peer} wants to connect`);
+            conn.send({ type: MESSAGE_TYPES.ADMISSION_PENDING });
+            approvalDialog = showConfirmDialog(
+                `${conn.peer} wants to connect. Accepted peers receive every file you share from now on.`,
+                'Incoming connection',
+                { confirmText: 'Accept', cancelText: 'Reject' }
+            );
+            const accepted = await Promise.race([approvalDialog, aborted]);
+            if (!accepted) {
+                rejectIncomingConnection(conn, 'rejected', 'Connection rejected');
+                return;
+            }
+        }
+        
+        if (!conn.open) {
+            throw new Error('Connection closed');
+        }
+        
+        conn.off('data', onData);
+        conn.send({ type: MESSAGE_TYPES.ADMISSION_ACCEPTED });
+        console.log(`✅ Admitted connection from ${conn.peer}`);
+        
+        connections.set(conn.peer, conn);
+        setupConnectionHandlers(conn);
+        handleConnectionOpened(conn); // 'open' has already fired, so it doesn't reach the handler set up above
+        
+        heldMessages.forEach(message => conn.emit('data', message));
+    } catch (error) {
+        if (error.message === 'Timed out') {
+            rejectIncomingConnection(conn, 'timeout', 'Not admitted in time');
+        } else {
+            console.log(`Connection from ${conn.peer} ended before it was admitted: ${error.message}`);
+            restoreConnectionStatus();
+        }
+    } finally {
+        clearTimeout(timer);
+        conn.off('data', onData);
+        if (approvalDialog) {
+            approvalDialog.dismiss();
+        }
+    }
+}
+
+// Turn away an incoming connection that wasn't admitted
+function rejectIncomingConnection(conn, code, reason) {
+    console.log(`🚫 Rejected connection from ${conn.peer}: ${reason}`);
+    
+    if (conn.open) {
+        conn.send({ type: MESSAGE_TYPES.ADMISSION_REJECTED, code: code, reason: reason });
+        // Give the message time to go out before closing
+        setTimeout(() => conn.close(), 500);
+    }
+    
+    restoreConnectionStatus();
+    showNotification(`Rejected connection from ${conn.peer}: ${reason}`, 'error');
+    Analytics.track('connection_rejected', {
+        reason: code,
+        device_type: Analytics.getDeviceType()
+    });
+}
+
+// Put the status back to the admitted connections after an incoming one went nowhere
+function restoreConnectionStatus() {
+    if (connections.size > 0) {
+        updateConnectionStatus('connected', `Connected to peer(s) : ${connections.size}`);
+    } else {
+        updateConnectionStatus('', 'Ready to connect');
+    }
+    screenWake.updateConnectionState(connections.size);
+}
+
+// Handle auth-challenge: send our own nonce - the host has to prove it knows the passphrase before we do
+async function answerRoomChallenge(data, conn) {
+    // Not admitted yet - the key exchange started on open was dropped and restarts once admitted
+    endEncryptionSession(conn);
+    
+    if (!roomAuthService.isSupported) {
+        showNotification(`${conn.peer} requires a passphrase, which needs a secure (HTTPS) connection`, 'error');
+        conn.close();
+        return;
+    }
+    if (!roomAuthService.isValidChallenge(data)) {
+        console.warn(`Refusing passphrase challenge from ${conn.peer}:`, data);
+        showNotification(`${conn.peer} sent a passphrase check this version can't answer safely`, 'error');
+        reconnectionManager.forget(conn.peer);
+        conn.close();
+        return;
+    }
+    
+    try {
+        let passphrase = knownRoomPassphrases.get(conn.peer);
+        if (passphrase === undefined) {
+            updateConnectionStatus('connecting', `${conn.peer} requires a passphrase`);
+            const prompt = showPromptDialog(
+                `${conn.peer} is protected by a passphrase. Enter it to connect.`,
+                '',
+                'Room passphrase',
+                { inputType: 'password', confirmText: 'Connect' }
+            );
+            conn.once('close', prompt.dismiss); // The peer gave up waiting
+            passphrase = await prompt;
+            conn.off('close', prompt.dismiss);
+            
+            if (passphrase === null || !conn.open) {
+                reconnectionManager.forget(conn.peer);
+                conn.close();
+                return;
+            }
+            knownRoomPassphrases.set(conn.peer, passphrase); // Reconnections answer without asking again
+        }
+        
+        updateConnectionStatus('connecting', `Checking the passphrase with ${conn.peer}...`);
+        const nonce = roomAuthService.createNonce();
+        roomAuthExchanges.set(conn, {
+            passphrase: passphrase,
+            exchange: {
+                hostNonce: data.nonce,
+                joinerNonce: nonce,
+                iterations: data.iterations,
+                hostId: conn.peer,
+                joinerId: getLocalPeerId()
+            }
+        });
+        conn.once('close', () => roomAuthExchanges.delete(conn));
+        conn.send({ type: MESSAGE_TYPES.AUTH_NONCE, nonce: nonce });
+    } catch (error) {
+        console.error('Error answering passphrase challenge:', error);
+        showNotification(`Could not answer the passphrase check from ${conn.peer}: ${error.message}`, 'error');
+        conn.close();
+    }
+}
+
+// Handle auth-host-proof: check the host knows the passphrase, then prove we do
+async function checkRoomHostProof(data, conn) {
+    const pending = roomAuthExchanges.get(conn);
+    if (!pending) return; // Not answering a challenge from this peer
+    roomAuthExchanges.delete(conn);
+    
+    try {
+        const valid = await roomAuthService.verifyProof(pending.passphrase, pending.exchange, 'host', data.proof);
+        if (!valid) {
+            // Either we typed the wrong passphrase or the peer doesn't know it - nothing derived from it goes out
+            knownRoomPassphrases.delete(conn.peer); // Ask again next time
+            reconnectionManager.forget(conn.peer);
+            showNotification(`${conn.peer} does not know this passphrase - check it and connect again`, 'error');
+            Analytics.track('room_host_proof_failed', {
+                device_type: Analytics.getDeviceType()
+            });
+            conn.close();
+            return;
+        }
+        
+        const proof = await roomAuthService.createProof(pending.passphrase, pending.exchange, 'joiner');
+        conn.send({ type: MESSAGE_TYPES.AUTH_RESPONSE, proof: proof });
+    } catch (error) {
+        console.error('Error checking the host passphrase proof:', error);
+        showNotification(`Could not check the passphrase with ${conn.peer}: ${error.message}`, 'error');
+        conn.close();
+    }
+}
+
+// Handle admission-pending: the peer's user has been asked to accept us
+function handleAdmissionPending(conn) {
+    endEncryptionSession(conn); // Restarts once admitted, so it doesn't time out while the prompt is open
+    updateConnectionStatus('connecting', `Waiting for ${conn.peer} to accept the connection...`);
+}
+
+// Handle admission-accepted: the peer now treats the connection as open
+function handleAdmissionAccepted(conn) {
+    console.log(`✅ Admitted by ${conn.peer}`);
+    updateConnectionStatus('connected', `Connected to peer(s) : ${connections.size}`);
+    
+    // Key exchange messages sent before admission were dropped by the peer - start over
+    endEncryptionSession(conn);
+    startKeyExchange(conn);
+}
+
+// Handle admission-rejected: the peer closes the connection right after
+function handleAdmissionRejected(data, conn) {
+    reconnectionManager.forget(conn.peer); // Retrying would only be refused again
+    if (data.code === 'wrong-passphrase') {
+        knownRoomPassphrases.delete(conn.peer); // Ask again next time
+    }
+    showNotification(`${conn.peer} refused the connection: ${data.reason || 'rejected'}`, 'error');
+    Analytics.track('connection_refused_by_peer', {
+        reason: data.code || 'unknown',
+        device_type: Analytics.getDeviceType()
+    });
+}
+
+// Show whether the room is protected on the room security button
+function updateRoomSecurityButton() {
+    if (!elements.roomSecurityButton) return;
+    const isProtected = !!roomPassphrase || approveIncomingPeers;
+    elements.roomSecurityButton.classList.toggle('room-protected', isProtected);
+    elements.roomSecurityButton.querySelector('.material-icons').textContent = isProtected ? 'lock' : 'lock_open';
+}
+
+// Edit the room passphrase and the approval setting
+async function openRoomSecuritySettings() {
+    const content = document.createElement('div');
+    content.className = 'dialog-fields';
+    content.innerHTML = `
+        <label class="dialog-field">
+            <span>Room passphrase</span>
+            <input type="password" class="dialog-input" autocomplete="new-password" placeholder="Leave empty for an open room">
+        </label>
+        <label class="dialog-checkbox">
+            <input type="checkbox">
+            <span>Ask me before a new peer connects</span>
+        </label>
+    `;
+    const passphraseInput = content.querySelector('input[type="password"]');
+    const approvalInput = content.querySelector('input[type="checkbox"]');
+    passphraseInput.value = roomPassphrase;
+    approvalInput.checked = approveIncomingPeers;
+    
+    if (!roomAuthService.isSupported) {
+        passphraseInput.disabled = true;
+        passphraseInput.placeholder = 'Requires a secure (HTTPS) connection';
+    }
+    
+    const confirmed = await showDialog(
+        'Room security',
+        'Peers connecting to you must know the passphrase and/or be accepted by you. Connections already open are not affected.',
+        content,
+        { confirmText: 'Save' }
+    );
+    if (!confirmed) return;
+    
+    roomPassphrase = passphraseInput.value;
+    approveIncomingPeers = approvalInput.checked;
+    // The passphrase only lasts for this tab; the approval setting is remembered
+    sessionStorage.setItem('roomPassphrase', roomPassphrase);
+    localStorage.setItem('approveIncomingPeers', String(approveIncomingPeers));
+    updateRoomSecurityButton();
+    
+    Analytics.track('room_security_changed', {
+        passphrase_set: !!roomPassphrase,
+        approval_required: approveIncomingPeers,
+        device_type: Analytics.getDeviceType()
+    });
+    showNotification(roomPassphrase || approveIncomingPeers ? 'Room protected for new connections' : 'Room open to anyone with your ID', 'info');
+}
+
+// Initialize the room passphrase and connection approval settings
+function initRoomSecurity() {
+    if (!elements.roomSecurityButton) return;
+    
+    roomPassphrase = (roomAuthService.isSupported && sessionStorage.getItem('roomPassphrase')) || '';
+    approveIncomingPeers = localStorage.getItem('approveIncomingPeers') === 'true';
+    updateRoomSecurityButton();
+    
+    elements.roomSecurityButton.addEventListener('click', openRoomSecuritySettings);
+}
+
 // Initialize long press detection on "Auto" text
 function initAutoModeLongPress() {
     const autoLabel = document.querySelector('.toggle-label');
@@ -3273,7 +6747,7 @@ function initAutoModeLongPress() {
                     conn.send({
                         type: MESSAGE_TYPES.FORCE_DISABLE_AUTO_MODE,
                         timestamp: Date.now(),
-                        senderId: peer.id
+                        senderId: getLocalPeerId()
                     });
                     sentCount++;
                     console.log(`✅ Force disable command sent to peer: ${peerId}`);
@@ -3488,6 +6962,7 @@ function removeFileFromGroup(fileId, type) {
             const index = files.findIndex(f => f.id === fileId);
             if (index !== -1) {
                 files.splice(index, 1);
+                selectedFiles.delete(fileId);
                 if (files.length === 0) {
                     fileGroups.received.delete(peerId);
                     // Remove peer from order array when group is empty
@@ -3545,9 +7020,8 @@ function updateGroupHeaderSummary(type, peerId = null) {
     const summary = header.querySelector('.file-group-summary');
     
     if (summary) {
-        const fileText = stats.count === 1 ? 'file' : 'files';
         // formatFileSize returns HTML with span tag, so use innerHTML
-        summary.innerHTML = `${stats.count} ${fileText}, ${formatFileSize(stats.totalSize)}`;
+        summary.innerHTML = getGroupSummaryHTML(type, peerId, stats);
     }
     
     // Update aria-label (escape peerId to prevent attribute injection)
@@ -3565,6 +7039,20 @@ function updateGroupHeaderSummary(type, peerId = null) {
     return true; // Indicate header was successfully updated
 }
 
+// Header summary text: file count and size, plus what is selected in selection mode
+function getGroupSummaryHTML(type, peerId, stats) {
+    const fileText = stats.count === 1 ? 'file' : 'files';
+    let html = `${stats.count} ${fileText}, ${formatFileSize(stats.totalSize)}`;
+    
+    if (type === 'received' && selectionMode) {
+        const selected = getSelectionStats(peerId);
+        if (selected.count > 0) {
+            html += ` · ${selected.count} selected, ${formatFileSize(selected.totalSize)}`;
+        }
+    }
+    return html;
+}
+
 // Create file group header
 function createFileGroupHeader(type, peerId = null) {
     const stats = getGroupStats(type, peerId);
@@ -3661,9 +7149,8 @@ function createFileGroupHeader(type, peerId = null) {
     // Handle both old structure (direct summary) and new structure (summary in wrapper)
     const summary = header.querySelector('.file-group-summary');
     if (summary) {
-        const fileText = stats.count === 1 ? 'file' : 'files';
         // formatFileSize returns HTML with span tag, so use innerHTML
-        summary.innerHTML = `${stats.count} ${fileText}, ${formatFileSize(stats.totalSize)}`;
+        summary.innerHTML = getGroupSummaryHTML(type, peerId, stats);
     }
     
     // Update aria-label (escape peerId to prevent attribute injection)
@@ -3786,95 +7273,112 @@ function renderFileGroup(type, peerId = null) {
     // Clear existing content
     content.innerHTML = '';
     
+    // Create a file item and restore its completed/progress state
+    const buildFileItem = (fileInfo) => {
+        const li = createFileListItem(fileInfo, type);
+        
+        const fileId = fileInfo.id;
+        const btn = li.querySelector('button.icon-button[data-file-id="' + fileId + '"]');
+        
+        // Restore completed state if file was downloaded
+        if (completedFiles.has(fileId)) {
+            li.classList.add('download-completed');
+            if (btn) {
+                btn.classList.add('download-completed');
+                btn.disabled = false;
+                
+                // Check if file was bulk downloaded (in ZIP) or individually downloaded
+                if (bulkDownloadedFiles.has(fileId)) {
+                    // File was in bulk download ZIP - show appropriate message
+                    btn.innerHTML = '<span class="material-icons" translate="no">open_in_new</span>';
+                    btn.title = 'File included in ZIP';
+                    btn.onclick = () => {
+                        showNotification('This file was downloaded in a ZIP archive. Check your downloads folder.', 'info');
+                    };
+                } else {
+                    // File was individually downloaded - show notification instead of opening
+                    btn.innerHTML = '<span class="material-icons" translate="no">open_in_new</span>';
+                    btn.title = 'File downloaded - click to open';
+                    
+                    // Clear any existing blob URL (shouldn't exist, but clean up if it does)
+                    if (completedFileBlobURLs.has(fileId)) {
+                        const existingValue = completedFileBlobURLs.get(fileId);
+                        // If it's a blob URL (string), revoke it
+                        if (typeof existingValue === 'string') {
+                            URL.revokeObjectURL(existingValue);
+                            activeBlobURLs.delete(existingValue);
+                        }
+                        // Keep the flag (true) to track that file was downloaded
+                    } else {
+                        // Mark file as downloaded (if not already marked)
+                        completedFileBlobURLs.set(fileId, true);
+                    }
+                    
+                    // Preview the file when user clicks to open (or point to the Downloads folder)
+                    btn.onclick = () => {
+                        // Track file open click
+                        Analytics.track('file_open_clicked', {
+                            file_size: fileInfo.size,
+                            file_type: Analytics.getFileExtension(fileInfo.name),
+                            device_type: Analytics.getDeviceType()
+                        });
+                        openDownloadedFile(fileId);
+                    };
+                }
+            }
+        }
+        // Restore progress state if this file was downloading
+        else if (progressState.has(fileId) || downloadProgressMap.has(fileId)) {
+            // Check downloadProgressMap again to get the latest progress value
+            // (progress may have updated while header was collapsed)
+            const currentEntry = downloadProgressMap.get(fileId);
+            if (btn) {
+                if (currentEntry) {
+                    // Use the latest progress value from downloadProgressMap
+                    const latestPercent = currentEntry.percent;
+                    btn.disabled = true; // Download in progress
+                    btn.innerHTML = `<span class='download-progress-text' translate="no">${latestPercent}%</span>`;
+                    // Update downloadProgressMap with new button reference so future updateProgress calls work
+                    downloadProgressMap.set(fileId, { button: btn, percent: latestPercent });
+                } else if (progressState.has(fileId)) {
+                    // Fallback: use saved state if downloadProgressMap doesn't have it
+                    const state = progressState.get(fileId);
+                    btn.disabled = state.disabled;
+                    btn.innerHTML = `<span class='download-progress-text' translate="no">${state.percent}%</span>`;
+                    downloadProgressMap.set(fileId, { button: btn, percent: state.percent });
+                }
+            }
+        }
+
+        return li;
+    };
+    
+    // Files shared from a folder are shown under one folder node per top-level folder
+    const renderEntries = buildFileTreeEntries(files);
+    
     // Batch rendering for large file lists to prevent browser freezing
     // Process files in batches using requestAnimationFrame for smooth rendering
-    const BATCH_SIZE = 50; // Render 50 files per batch
+    const BATCH_SIZE = 50; // Render 50 entries per batch
     let currentIndex = 0;
     
     const renderBatch = () => {
-        const batchEnd = Math.min(currentIndex + BATCH_SIZE, files.length);
+        const batchEnd = Math.min(currentIndex + BATCH_SIZE, renderEntries.length);
         
         // Create a document fragment for this batch to minimize reflows
         const fragment = document.createDocumentFragment();
         
         for (let i = currentIndex; i < batchEnd; i++) {
-            const fileInfo = files[i];
-            const li = createFileListItem(fileInfo, type);
-            
-            const fileId = fileInfo.id;
-            const btn = li.querySelector('button.icon-button[data-file-id="' + fileId + '"]');
-            
-            // Restore completed state if file was downloaded
-            if (completedFiles.has(fileId)) {
-                li.classList.add('download-completed');
-                if (btn) {
-                    btn.classList.add('download-completed');
-                    btn.disabled = false;
-                    
-                    // Check if file was bulk downloaded (in ZIP) or individually downloaded
-                    if (bulkDownloadedFiles.has(fileId)) {
-                        // File was in bulk download ZIP - show appropriate message
-                        btn.innerHTML = '<span class="material-icons" translate="no">open_in_new</span>';
-                        btn.title = 'File included in ZIP';
-                        btn.onclick = () => {
-                            showNotification('This file was downloaded in a ZIP archive. Check your downloads folder.', 'info');
-                        };
-                    } else {
-                        // File was individually downloaded - show notification instead of opening
-                        btn.innerHTML = '<span class="material-icons" translate="no">open_in_new</span>';
-                        btn.title = 'File downloaded - click to open';
-                        
-                        // Clear any existing blob URL (shouldn't exist, but clean up if it does)
-                        if (completedFileBlobURLs.has(fileId)) {
-                            const existingValue = completedFileBlobURLs.get(fileId);
-                            // If it's a blob URL (string), revoke it
-                            if (typeof existingValue === 'string') {
-                                URL.revokeObjectURL(existingValue);
-                                activeBlobURLs.delete(existingValue);
-                            }
-                            // Keep the flag (true) to track that file was downloaded
-                        } else {
-                            // Mark file as downloaded (if not already marked)
-                            completedFileBlobURLs.set(fileId, true);
-                        }
-                        
-                        // Show notification when user clicks to open (file is in Downloads folder)
-                        btn.onclick = () => {
-                            // Track file open click
-                            Analytics.track('file_open_clicked', {
-                                file_size: fileInfo.size,
-                                file_type: Analytics.getFileExtension(fileInfo.name),
-                                device_type: Analytics.getDeviceType()
-                            });
-                            showNotification('Please check your Downloads folder', 'info');
-                        };
-                    }
-                }
-            }
-            // Restore progress state if this file was downloading
-            else if (progressState.has(fileId) || downloadProgressMap.has(fileId)) {
-                // Check downloadProgressMap again to get the latest progress value
-                // (progress may have updated while header was collapsed)
-                const currentEntry = downloadProgressMap.get(fileId);
-                if (btn) {
-                    if (currentEntry) {
-                        // Use the latest progress value from downloadProgressMap
-                        const latestPercent = currentEntry.percent;
-                        btn.disabled = true; // Download in progress
-                        btn.innerHTML = `<span class='download-progress-text' translate="no">${latestPercent}%</span>`;
-                        // Update downloadProgressMap with new button reference so future updateProgress calls work
-                        downloadProgressMap.set(fileId, { button: btn, percent: latestPercent });
-                    } else if (progressState.has(fileId)) {
-                        // Fallback: use saved state if downloadProgressMap doesn't have it
-                        const state = progressState.get(fileId);
-                        btn.disabled = state.disabled;
-                        btn.innerHTML = `<span class='download-progress-text' translate="no">${state.percent}%</span>`;
-                        downloadProgressMap.set(fileId, { button: btn, percent: state.percent });
-                    }
-                }
+            const entry = renderEntries[i];
+            if (entry.folder) {
+                const folderLi = createFolderListItem(entry.folder, type, groupKey);
+                const folderContents = folderLi.querySelector('.folder-contents');
+                entry.folder.files.forEach(fileInfo => {
+                    folderContents.appendChild(buildFileItem(fileInfo));
+                });
+                fragment.appendChild(folderLi);
+            } else {
+                fragment.appendChild(buildFileItem(entry.fileInfo));
             }
-            
-            fragment.appendChild(li);
         }
         
         // Append the entire batch at once to minimize reflows
@@ -3882,16 +7386,122 @@ function renderFileGroup(type, peerId = null) {
         
         currentIndex = batchEnd;
         
-        // Continue with next batch if there are more files
-        if (currentIndex < files.length) {
+        // Continue with next batch if there are more entries
+        if (currentIndex < renderEntries.length) {
             requestAnimationFrame(renderBatch);
         }
     };
     
-    // Start rendering batches
-    if (files.length > 0) {
-        renderBatch();
-    }
+    // Start rendering batches
+    if (renderEntries.length > 0) {
+        renderBatch();
+    }
+}
+
+// Group files shared from folders by their top-level folder, keeping the list order
+// Returns entries of { fileInfo } for loose files and { folder: { name, files } } for folders
+function buildFileTreeEntries(files) {
+    const entries = [];
+    const folders = new Map(); // top-level folder name -> folder entry
+    
+    for (const fileInfo of files) {
+        const path = fileInfo.relativePath || '';
+        const slashIndex = path.indexOf('/');
+        if (slashIndex === -1) {
+            entries.push({ fileInfo: fileInfo });
+            continue;
+        }
+        
+        const folderName = path.substring(0, slashIndex);
+        if (!folders.has(folderName)) {
+            const folderEntry = { folder: { name: folderName, files: [] } };
+            folders.set(folderName, folderEntry);
+            entries.push(folderEntry);
+        }
+        folders.get(folderName).folder.files.push(fileInfo);
+    }
+    
+    return entries;
+}
+
+// Expanded folder nodes, kept across re-renders (key: '{groupKey}/{folderName}')
+const expandedFolders = new Set();
+
+// Create a collapsible folder node; file items are appended to its .folder-contents list
+function createFolderListItem(folder, type, groupKey) {
+    const folderKey = `${groupKey}/${folder.name}`;
+    const isExpanded = expandedFolders.has(folderKey);
+    const totalSize = folder.files.reduce((sum, f) => sum + (f.size || 0), 0);
+    
+    const li = document.createElement('li');
+    li.className = 'folder-item';
+    li.setAttribute('data-folder-name', folder.name);
+    
+    const header = document.createElement('div');
+    header.className = 'folder-item-header';
+    header.setAttribute('role', 'button');
+    header.setAttribute('tabindex', '0');
+    header.setAttribute('aria-expanded', isExpanded.toString());
+    
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = 'folder';
+    icon.setAttribute('translate', 'no');
+    
+    const info = document.createElement('div');
+    info.className = 'file-info';
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'file-name';
+    nameSpan.textContent = folder.name;
+    nameSpan.setAttribute('translate', 'no');
+    nameSpan.setAttribute('data-no-translate', 'true');
+    
+    const summarySpan = document.createElement('span');
+    summarySpan.className = 'file-size';
+    // formatFileSize returns HTML with span tag, so use innerHTML
+    summarySpan.innerHTML = `${folder.files.length} ${folder.files.length === 1 ? 'file' : 'files'}, ${formatFileSize(totalSize)}`;
+    
+    info.appendChild(nameSpan);
+    info.appendChild(summarySpan);
+    
+    const expandIcon = document.createElement('span');
+    expandIcon.className = 'material-icons expand-icon';
+    expandIcon.textContent = isExpanded ? 'expand_less' : 'expand_more';
+    expandIcon.setAttribute('translate', 'no');
+    
+    header.appendChild(icon);
+    header.appendChild(info);
+    header.appendChild(expandIcon);
+    
+    const contents = document.createElement('ul');
+    contents.className = 'files-list folder-contents';
+    if (!isExpanded) {
+        contents.classList.add('hidden');
+    }
+    
+    const toggle = () => {
+        const expand = contents.classList.contains('hidden');
+        contents.classList.toggle('hidden', !expand);
+        header.setAttribute('aria-expanded', expand.toString());
+        expandIcon.textContent = expand ? 'expand_less' : 'expand_more';
+        if (expand) {
+            expandedFolders.add(folderKey);
+        } else {
+            expandedFolders.delete(folderKey);
+        }
+    };
+    header.addEventListener('click', toggle);
+    header.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            toggle();
+        }
+    });
+    
+    li.appendChild(header);
+    li.appendChild(contents);
+    return li;
 }
 
 // Create file list item (extracted from updateFilesList)
@@ -3900,17 +7510,37 @@ function createFileListItem(fileInfo, type) {
     li.className = 'file-item';
     li.setAttribute('data-file-id', fileInfo.id);
     
-    const icon = document.createElement('span');
-    icon.className = 'material-icons';
-    icon.textContent = getFileIcon(fileInfo.type);
-    icon.setAttribute('translate', 'no');
+    // Thumbnail from the sender when there is one, otherwise the icon for the file type
+    let icon;
+    if (fileInfo.thumbnail) {
+        icon = document.createElement('img');
+        icon.className = 'file-thumbnail';
+        icon.src = fileInfo.thumbnail;
+        icon.alt = '';
+        icon.loading = 'lazy';
+        if (fileInfo.type && fileInfo.type.startsWith('video/')) {
+            li.classList.add('has-video-thumbnail');
+        }
+    } else {
+        icon = document.createElement('span');
+        icon.className = 'material-icons';
+        icon.textContent = getFileIcon(fileInfo.type);
+        icon.setAttribute('translate', 'no');
+    }
     
     const info = document.createElement('div');
     info.className = 'file-info';
     
     const nameSpan = document.createElement('span');
     nameSpan.className = 'file-name';
-    nameSpan.textContent = fileInfo.name;
+    // Files inside a folder node show their path below the top-level folder
+    const relativePath = fileInfo.relativePath || '';
+    nameSpan.textContent = relativePath.includes('/')
+        ? relativePath.substring(relativePath.indexOf('/') + 1)
+        : fileInfo.name;
+    if (relativePath) {
+        nameSpan.title = relativePath;
+    }
     nameSpan.setAttribute('translate', 'no');
     nameSpan.setAttribute('data-no-translate', 'true');
     
@@ -3928,13 +7558,36 @@ function createFileListItem(fileInfo, type) {
     
     info.appendChild(nameSpan);
     info.appendChild(sizeSpan);
+    info.appendChild(createTransferStatsLine(fileInfo.id, type));
     info.appendChild(sharedBySpan);
     
+    // Show that the received file matched the sender's SHA-256 digests
+    if (type === 'received' && verifiedFiles.has(fileInfo.id)) {
+        info.appendChild(createVerifiedBadge());
+    }
+    
+    // Restored from history: the file can't be fetched until its sender reconnects
+    const sourceOffline = offlineFiles.has(fileInfo.id);
+    if (sourceOffline) {
+        li.classList.add('source-offline');
+        const offlineBadge = document.createElement('span');
+        offlineBadge.className = 'source-offline-badge';
+        offlineBadge.title = type === 'sent'
+            ? 'Shared before the page was reloaded - share the file again to offer it'
+            : 'Restored from history - available again when the sender reconnects';
+        offlineBadge.innerHTML = '<span class="material-icons" translate="no">cloud_off</span>Source offline';
+        info.appendChild(offlineBadge);
+    }
+    
     const downloadBtn = document.createElement('button');
     downloadBtn.className = 'icon-button';
     downloadBtn.title = 'Download file';
     downloadBtn.setAttribute('data-file-id', fileInfo.id); // Required for progress tracking
     downloadBtn.innerHTML = '<span class="material-icons" translate="no">download</span>';
+    if (sourceOffline) {
+        downloadBtn.disabled = true;
+        downloadBtn.title = 'Source offline';
+    }
     downloadBtn.onclick = async () => {
         try {
             // Track download button click
@@ -3969,8 +7622,25 @@ function createFileListItem(fileInfo, type) {
         }
     };
     
+    // Selection checkbox, only visible in selection mode
+    if (type === 'received') {
+        li.appendChild(createFileSelectCheckbox(fileInfo));
+        li.classList.toggle('selected', selectedFiles.has(fileInfo.id));
+    }
+    
     li.appendChild(icon);
     li.appendChild(info);
+    
+    // Pause/resume and cancel, shown while the download is in progress
+    // (not .icon-button, so the download button stays the item's first .icon-button)
+    if (type === 'received') {
+        li.appendChild(createTransferControls(fileInfo.id));
+        if (downloadProgressMap.has(fileInfo.id)) {
+            li.classList.add('transfer-active');
+            li.classList.toggle('transfer-paused', pausedTransfers.has(fileInfo.id));
+        }
+    }
+    
     li.appendChild(downloadBtn);
     
     return li;
@@ -4241,6 +7911,194 @@ function getFileIcon(mimeType) {
     return 'insert_drive_file';
 }
 
+// Media types the preview modal shows, by viewer - the type comes from the sender, so anything else
+// (HTML, SVG, XML) is never handed to the browser to render
+const PREVIEW_MIME_TYPES = {
+    'image/png': 'image',
+    'image/jpeg': 'image',
+    'image/gif': 'image',
+    'image/webp': 'image',
+    'image/avif': 'image',
+    'image/bmp': 'image',
+    'video/mp4': 'video',
+    'video/webm': 'video',
+    'video/ogg': 'video',
+    'video/quicktime': 'video',
+    'audio/mpeg': 'audio',
+    'audio/mp4': 'audio',
+    'audio/ogg': 'audio',
+    'audio/wav': 'audio',
+    'audio/x-wav': 'audio',
+    'audio/webm': 'audio',
+    'audio/flac': 'audio',
+    'audio/aac': 'audio',
+    'application/pdf': 'pdf'
+};
+
+// Pick the viewer for a file (like getFileIcon) - null when it can't be previewed
+function getPreviewType(mimeType, fileName) {
+    mimeType = (mimeType || '').split(';')[0].trim().toLowerCase();
+    
+    if (PREVIEW_MIME_TYPES[mimeType]) return PREVIEW_MIME_TYPES[mimeType];
+    // Senders that don't know the type - showFilePreview re-types the data as PDF either way
+    if ((!mimeType || mimeType === 'application/octet-stream') && /\.pdf$/i.test(fileName || '')) return 'pdf';
+    if (syntaxHighlighter.getLanguage(fileName, mimeType)) return 'text';
+    
+    return null;
+}
+
+// Keep a downloaded file for the preview modal before the download releases it
+// Disk-backed files cost no memory; in-memory ones are dropped oldest first beyond PREVIEW_MEMORY_LIMIT
+function retainPreviewBlob(fileId, blob, fileName, fileType) {
+    const type = fileType || blob.type;
+    if (!getPreviewType(type, fileName)) return;
+    
+    const isDiskBacked = blob instanceof File;
+    const limit = window.CONFIG?.PREVIEW_MEMORY_LIMIT || 104857600;
+    previewBlobs.delete(fileId);
+    
+    if (!isDiskBacked) {
+        if (blob.size > limit) return;
+        let used = getPreviewMemoryBytes();
+        for (const [id, entry] of previewBlobs) {
+            if (used + blob.size <= limit) break;
+            if (entry.inMemory) {
+                previewBlobs.delete(id);
+                used -= entry.blob.size;
+            }
+        }
+    }
+    
+    previewBlobs.set(fileId, { blob: blob, name: fileName, type: type, inMemory: !isDiskBacked });
+}
+
+// Bytes of in-memory files kept for previews
+function getPreviewMemoryBytes() {
+    let total = 0;
+    for (const entry of previewBlobs.values()) {
+        if (entry.inMemory) total += entry.blob.size;
+    }
+    return total;
+}
+
+// Open a downloaded file: preview it when we still have it, otherwise say where it was saved
+function openDownloadedFile(fileId, fallbackMessage = 'Please check your Downloads folder') {
+    const entry = previewBlobs.get(fileId);
+    if (entry) {
+        showFilePreview(entry).catch(error => {
+            console.error('Error showing preview:', error);
+            showNotification('Could not preview the file: ' + error.message, 'error');
+        });
+    } else {
+        showNotification(fallbackMessage, 'info');
+    }
+}
+
+// Show a file in the preview modal
+async function showFilePreview(entry) {
+    const previewType = getPreviewType(entry.type, entry.name);
+    // The blob keeps the type the sender declared, so PDFs are re-typed before the iframe loads them
+    const source = previewType === 'pdf' ? new Blob([entry.blob], { type: 'application/pdf' }) : entry.blob;
+    const url = URL.createObjectURL(source);
+    activeBlobURLs.add(url); // Track for cleanup
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const modal = document.createElement('div');
+    modal.className = 'preview-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.innerHTML = `
+        <div class="preview-header">
+            <span class="material-icons" translate="no">${getFileIcon(entry.type)}</span>
+            <span class="preview-title" translate="no">${escapeHtml(entry.name)}</span>
+            <button type="button" class="icon-button preview-save" title="Save again">
+                <span class="material-icons" translate="no">download</span>
+            </button>
+            <button type="button" class="icon-button preview-close" title="Close preview">
+                <span class="material-icons" translate="no">close</span>
+            </button>
+        </div>
+        <div class="preview-body"></div>
+    `;
+    const body = modal.querySelector('.preview-body');
+    
+    const showUnsupported = () => {
+        body.innerHTML = '<p class="preview-message">This file can\'t be previewed in this browser. Save it to open it with another app.</p>';
+    };
+    
+    if (previewType === 'image') {
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = entry.name;
+        img.onerror = showUnsupported;
+        body.appendChild(img);
+    } else if (previewType === 'video' || previewType === 'audio') {
+        const media = document.createElement(previewType);
+        media.src = url;
+        media.controls = true; // Includes the seek bar
+        media.preload = 'metadata';
+        media.setAttribute('playsinline', '');
+        media.onerror = showUnsupported;
+        body.appendChild(media);
+    } else if (previewType === 'pdf') {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', ''); // No scripts and an opaque origin, whatever the data turns out to be
+        frame.src = url;
+        frame.title = entry.name;
+        body.appendChild(frame);
+    } else if (previewType === 'text') {
+        const limit = window.CONFIG?.PREVIEW_TEXT_LIMIT || 1048576;
+        const language = syntaxHighlighter.getLanguage(entry.name, entry.type);
+        const text = await entry.blob.slice(0, limit).text();
+        
+        const pre = document.createElement('pre');
+        pre.className = 'preview-code';
+        const code = document.createElement('code');
+        code.innerHTML = syntaxHighlighter.highlight(text, language);
+        pre.appendChild(code);
+        body.appendChild(pre);
+        
+        if (entry.blob.size > limit) {
+            const note = document.createElement('p');
+            note.className = 'preview-message';
+            note.textContent = `Showing the first ${formatFileSize(limit)} of ${formatFileSize(entry.blob.size)}`;
+            body.appendChild(note);
+        }
+    } else {
+        showUnsupported();
+    }
+    
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    const close = () => {
+        document.removeEventListener('keydown', handleKeyDown);
+        overlay.remove(); // Also stops media playback
+        URL.revokeObjectURL(url);
+        activeBlobURLs.delete(url);
+    };
+    
+    modal.querySelector('.preview-close').onclick = close;
+    modal.querySelector('.preview-save').onclick = () => downloadBlob(entry.blob, entry.name);
+    overlay.onclick = (e) => {
+        if (e.target === overlay) close();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    modal.querySelector('.preview-close').focus();
+    
+    Analytics.track('file_preview_opened', {
+        preview_type: previewType || 'unsupported',
+        file_type: Analytics.getFileExtension(entry.name),
+        file_size_category: Analytics.getFileSizeCategory(entry.blob.size),
+        device_type: Analytics.getDeviceType()
+    });
+}
+
 // Add event listeners for recent peers
 elements.remotePeerId.addEventListener('focus', () => {
     if (recentPeers.length > 0) {
@@ -4413,29 +8271,50 @@ function handleBeforeUnload(event) {
 
 // Send keep-alive messages to all connected peers
 function sendKeepAlive() {
-    const keepAliveData = {
-        type: 'keep-alive',
-        timestamp: Date.now(),
-        peerId: peer.id
-    };
-
-    for (const [peerId, conn] of connections) {
+    for (const conn of connections.values()) {
         if (conn && conn.open) {
-            try {
-                conn.send(keepAliveData);
-                console.log(`Keep-alive sent to peer ${peerId}`);
-            } catch (error) {
-                console.error(`Failed to send keep-alive to peer ${peerId}:`, error);
-            }
+            pingPeer(conn);
         }
     }
 }
 
+// Send a keep-alive to one peer - a peer that left too many unanswered is closed (and reconnected, see handleConnectionDropped)
+function pingPeer(conn) {
+    const timestamp = Date.now();
+    const entry = peerLiveness.ping(conn.peer, timestamp);
+    if (peerLiveness.isStale(conn.peer)) {
+        closeStaleConnection(conn, entry.misses);
+        return;
+    }
+    
+    try {
+        conn.send({
+            type: 'keep-alive',
+            timestamp: timestamp,
+            peerId: getLocalPeerId()
+        });
+        console.log(`Keep-alive sent to peer ${conn.peer}`);
+    } catch (error) {
+        console.error(`Failed to send keep-alive to peer ${conn.peer}:`, error);
+    }
+}
+
+// Close a connection whose peer stopped answering - its data channel can stay "open" long after the network is gone
+function closeStaleConnection(conn, misses) {
+    console.warn(`💤 Peer ${conn.peer} missed ${misses} keep-alives, closing the connection`);
+    recordConnectionError('stale-peer', `${conn.peer} missed ${misses} keep-alives`);
+    Analytics.track('peer_stale', {
+        missed_keep_alives: misses,
+        device_type: Analytics.getDeviceType()
+    });
+    conn.close();
+}
+
 // Send disconnect notification to all peers
 function sendDisconnectNotification() {
     const disconnectData = {
         type: 'disconnect-notification',
-        peerId: peer.id,
+        peerId: getLocalPeerId(),
         timestamp: Date.now()
     };
 
@@ -4495,7 +8374,7 @@ function checkConnectionHealth(conn, peerId) {
             conn.send({
                 type: 'health-check',
                 timestamp: Date.now(),
-                peerId: peer.id
+                peerId: getLocalPeerId()
             });
             return true;
         } catch (error) {
@@ -4521,7 +8400,7 @@ function attemptConnectionRestore(conn, peerId) {
                 conn.send({
                     type: 'keep-alive',
                     timestamp: Date.now(),
-                    peerId: peer.id
+                    peerId: getLocalPeerId()
                 });
                 console.log(`✅ Keep-alive sent successfully to ${peerId} - connection may be healthy`);
             } catch (error) {
@@ -4532,22 +8411,501 @@ function attemptConnectionRestore(conn, peerId) {
             connectionTimeouts.delete(peerId);
         }, 2000); // Wait 2 seconds before attempting restoration
         
-        connectionTimeouts.set(peerId, timeout);
-    }
+        connectionTimeouts.set(peerId, timeout);
+    }
+}
+
+// Mark in-progress downloads streaming from a peer as interrupted
+// Received chunks are kept so the download can resume from the last received byte
+function markDownloadsInterrupted(peerId) {
+    let count = 0;
+    
+    for (const fileData of Object.values(fileChunks)) {
+        if (fileData.sourcePeer === peerId && !fileData.interrupted) {
+            fileData.interrupted = true;
+            count++;
+        }
+    }
+    
+    for (const request of pendingBlobRequests.values()) {
+        if (request.piece) continue; // Swarm pieces are re-fetched from another peer instead
+        if (request.fileData.sourcePeer === peerId && !request.fileData.interrupted) {
+            request.fileData.interrupted = true;
+            count++;
+        }
+    }
+    
+    if (count > 0) {
+        console.log(`⏸️ ${count} download(s) from ${peerId} interrupted, waiting to resume`);
+    }
+    return count;
+}
+
+// Re-request interrupted downloads over a (re)opened connection, starting at the last received byte
+function resumeInterruptedDownloads(conn) {
+    let resumed = 0;
+    
+    for (const [fileId, fileData] of Object.entries(fileChunks)) {
+        if (!fileData.interrupted || fileData.sourcePeer !== conn.peer) continue;
+        conn.send({
+            type: 'blob-request',
+            fileId: fileId,
+            fileName: fileData.fileName,
+            directRequest: true,
+            resumeOffset: fileData.receivedSize
+        });
+        // The new upload starts running - keep it paused if the user paused it
+        if (pausedTransfers.has(fileId)) {
+            conn.send({ type: MESSAGE_TYPES.TRANSFER_PAUSE, fileId: fileId });
+        }
+        resumed++;
+    }
+    
+    for (const request of pendingBlobRequests.values()) {
+        const fileData = request.fileData;
+        if (!fileData.interrupted || fileData.sourcePeer !== conn.peer) continue;
+        conn.send({
+            type: 'blob-request',
+            fileId: request.fileId,
+            fileName: fileData.fileName,
+            requestId: request.requestId,
+            directRequest: true,
+            forZip: true,
+            resumeOffset: fileData.receivedSize
+        });
+        resumed++;
+    }
+    
+    if (resumed > 0) {
+        console.log(`▶️ Requested resume of ${resumed} download(s) from ${conn.peer}`);
+        showNotification(`Resuming ${resumed} download(s) from ${conn.peer}`, 'info');
+    }
+}
+
+// Key for activeUploads
+// Requests with an ID get their own key, so parallel swarm pieces of one file don't replace each other
+function getUploadKey(peerId, fileId, requestId = null) {
+    return requestId ? `${peerId}:${fileId}:${requestId}` : `${peerId}:${fileId}`;
+}
+
+// Get every upload of a file to a peer ([key, control] pairs)
+function getUploadControls(peerId, fileId) {
+    return Array.from(activeUploads.entries()).filter(([, control]) => control.peerId === peerId && control.fileId === fileId);
+}
+
+// Cancel every upload streaming to a peer
+function cancelUploadsToPeer(peerId) {
+    for (const [key, control] of activeUploads) {
+        if (key.startsWith(`${peerId}:`)) {
+            control.cancel();
+            activeUploads.delete(key);
+        }
+    }
+}
+
+// Get the connection a download is streaming from
+function getTransferConnection(fileId) {
+    const fileData = fileChunks[fileId] || (findPendingBlobRequest(fileId) || {}).fileData;
+    const fileInfo = receivedFileInfoMap.get(fileId);
+    const sourcePeer = (fileData && fileData.sourcePeer) || (fileInfo && fileInfo.sharedBy);
+    return sourcePeer ? connections.get(sourcePeer) : null;
+}
+
+// Get a display name for a transfer
+function getTransferName(fileId) {
+    const fileInfo = receivedFileInfoMap.get(fileId);
+    return fileInfo ? fileInfo.name : (fileChunks[fileId] ? fileChunks[fileId].fileName : fileId);
+}
+
+// Pause a download - the sender stops between chunks until it is resumed
+// Swarm downloads stop requesting new pieces instead
+function pauseTransfer(fileId) {
+    if (swarmDownloads.has(fileId)) {
+        pausedTransfers.add(fileId);
+        updateTransferControls(fileId);
+        updateTransferInfo(`Paused ${getTransferName(fileId)}`);
+        return;
+    }
+    const conn = getTransferConnection(fileId);
+    if (!conn || !conn.open) {
+        showNotification('The sender is not connected', 'error');
+        return;
+    }
+    conn.send({ type: MESSAGE_TYPES.TRANSFER_PAUSE, fileId: fileId });
+    pausedTransfers.add(fileId);
+    updateTransferControls(fileId);
+    updateTransferInfo(`Paused ${getTransferName(fileId)}`);
+}
+
+// Resume a paused download
+function resumeTransfer(fileId) {
+    if (swarmDownloads.has(fileId)) {
+        pausedTransfers.delete(fileId);
+        updateTransferControls(fileId);
+        updateTransferInfo(`Resuming ${getTransferName(fileId)}...`);
+        return;
+    }
+    const conn = getTransferConnection(fileId);
+    if (!conn || !conn.open) {
+        showNotification('The sender is not connected', 'error');
+        return;
+    }
+    conn.send({ type: MESSAGE_TYPES.TRANSFER_RESUME, fileId: fileId });
+    pausedTransfers.delete(fileId);
+    updateTransferControls(fileId);
+    updateTransferInfo(`Resuming ${getTransferName(fileId)}...`);
+}
+
+// Cancel a download and free everything received so far
+function cancelTransfer(fileId) {
+    const swarm = swarmDownloads.get(fileId);
+    const sources = swarm
+        ? Array.from(swarm.sourcePeers).map(peerId => connections.get(peerId))
+        : [getTransferConnection(fileId)];
+    sources.forEach(conn => {
+        if (conn && conn.open) {
+            conn.send({ type: MESSAGE_TYPES.TRANSFER_CANCEL, fileId: fileId });
+        }
+    });
+    const fileName = getTransferName(fileId);
+    discardDownload(fileId);
+    showNotification(`Cancelled ${fileName}`, 'info');
+}
+
+// Drop a download's partial data and reset its list item
+function discardDownload(fileId) {
+    cancelledTransfers.add(fileId);
+    transferStats.finish(fileId, 'received');
+    discardDiskStream(fileId);
+    delete fileChunks[fileId];
+    stopSwarmDownload(fileId);
+    
+    for (const request of Array.from(pendingBlobRequests.values())) {
+        if (request.fileId === fileId) {
+            pendingBlobRequests.delete(request.requestId);
+            request.reject(new Error('Transfer cancelled'));
+        }
+    }
+    
+    pausedTransfers.delete(fileId);
+    resetDownloadButton(fileId);
+    elements.transferProgress.classList.add('hidden');
+    updateProgress(0);
+    updateTransferInfo('');
+}
+
+// Handle transfer-pause / transfer-resume / transfer-cancel
+// Requests from a receiver control our upload and are acknowledged; acknowledgements
+// and sender-initiated messages update our matching download
+function handleTransferControlMessage(data, conn) {
+    const uploads = getUploadControls(conn.peer, data.fileId);
+    
+    if (uploads.length > 0 && !data.acknowledged) {
+        for (const [key, control] of uploads) {
+            if (data.type === MESSAGE_TYPES.TRANSFER_PAUSE) {
+                control.pause();
+            } else if (data.type === MESSAGE_TYPES.TRANSFER_RESUME) {
+                control.resume();
+            } else {
+                control.cancel();
+                activeUploads.delete(key);
+            }
+        }
+        console.log(`⏯️ ${data.type} for upload of ${data.fileId} to peer ${conn.peer}`);
+        conn.send({ type: data.type, fileId: data.fileId, acknowledged: true });
+        return;
+    }
+    
+    // Swarm downloads are paused locally; a holder that stops serving only loses its pieces
+    if (swarmDownloads.has(data.fileId)) {
+        if (data.type === MESSAGE_TYPES.TRANSFER_CANCEL && !data.acknowledged) {
+            rejectSwarmPieceRequests(conn.peer, data.fileId);
+        }
+        return;
+    }
+    
+    // Only downloads streaming from this peer are affected
+    const source = getTransferConnection(data.fileId);
+    if (!source || source.peer !== conn.peer) return;
+    
+    if (data.type === MESSAGE_TYPES.TRANSFER_PAUSE) {
+        pausedTransfers.add(data.fileId);
+        updateTransferControls(data.fileId);
+    } else if (data.type === MESSAGE_TYPES.TRANSFER_RESUME) {
+        pausedTransfers.delete(data.fileId);
+        updateTransferControls(data.fileId);
+    } else if (!data.acknowledged && (fileChunks[data.fileId] || findPendingBlobRequest(data.fileId))) {
+        showNotification(`${getTransferName(data.fileId)} was cancelled by the sender`, 'info');
+        discardDownload(data.fileId);
+    }
+}
+
+// Reset a download button to its idle state (cancelled or failed download)
+function resetDownloadButton(fileId) {
+    downloadProgressMap.delete(fileId);
+    document.querySelectorAll(`li.file-item[data-file-id="${CSS.escape(fileId)}"]`).forEach(li => {
+        const btn = li.querySelector('.icon-button');
+        if (btn && !li.classList.contains('download-completed')) {
+            btn.disabled = false;
+            btn.innerHTML = '<span class="material-icons" translate="no">download</span>';
+        }
+    });
+    updateTransferControls(fileId);
+}
+
+// Show the pause/resume and cancel buttons on list items while a download is in progress
+function updateTransferControls(fileId) {
+    const isActive = downloadProgressMap.has(fileId);
+    const isPaused = isActive && pausedTransfers.has(fileId);
+    
+    document.querySelectorAll(`li.file-item[data-file-id="${CSS.escape(fileId)}"]`).forEach(li => {
+        li.classList.toggle('transfer-active', isActive);
+        li.classList.toggle('transfer-paused', isPaused);
+        const pauseButton = li.querySelector('.transfer-pause-button');
+        if (pauseButton) {
+            pauseButton.innerHTML = `<span class="material-icons" translate="no">${isPaused ? 'play_arrow' : 'pause'}</span>`;
+            pauseButton.title = isPaused ? 'Resume download' : 'Pause download';
+        }
+    });
+}
+
+// Create the pause/resume and cancel buttons for a received file (hidden until a download starts)
+function createTransferControls(fileId) {
+    const controls = document.createElement('div');
+    controls.className = 'transfer-controls';
+    
+    const isPaused = pausedTransfers.has(fileId);
+    const pauseButton = document.createElement('button');
+    pauseButton.className = 'transfer-control-button transfer-pause-button';
+    pauseButton.title = isPaused ? 'Resume download' : 'Pause download';
+    pauseButton.innerHTML = `<span class="material-icons" translate="no">${isPaused ? 'play_arrow' : 'pause'}</span>`;
+    pauseButton.onclick = (e) => {
+        e.stopPropagation();
+        if (pausedTransfers.has(fileId)) {
+            resumeTransfer(fileId);
+        } else {
+            pauseTransfer(fileId);
+        }
+    };
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'transfer-control-button transfer-cancel-button';
+    cancelButton.title = 'Cancel download';
+    cancelButton.innerHTML = '<span class="material-icons" translate="no">close</span>';
+    cancelButton.onclick = (e) => {
+        e.stopPropagation();
+        cancelTransfer(fileId);
+    };
+    
+    controls.appendChild(pauseButton);
+    controls.appendChild(cancelButton);
+    return controls;
+}
+
+// Reconnect to a specific peer (with backoff, see reconnectionManager)
+// Downloads that were in progress resume once the new connection opens (see resumeInterruptedDownloads)
+function reconnectToPeer(peerId) {
+    return reconnectionManager.start(peerId);
+}
+
+// Connections the other peer opened to us - when they drop, that peer is the one that reconnects
+const incomingConnections = new WeakSet();
+
+// Manually paired connections - without the signaling server they can only be paired again
+const manualConnections = new WeakSet();
+
+// Reconnection attempts in flight: peerId -> fail(error), so a 'peer-unavailable' error ends one early
+const reconnectAttempts = new Map();
+
+// Peer connections whose ICE state is already watched
+const watchedPeerConnections = new WeakSet();
+
+// One reconnection attempt - resolves once the new connection is open, rejects on error or timeout
+function openReconnection(peerId) {
+    return new Promise((resolve, reject) => {
+        if (!peer || peer.destroyed || peer.disconnected) {
+            reject(new Error('Not connected to the signaling server'));
+            return;
+        }
+        const existing = connections.get(peerId);
+        if (existing && existing.open) {
+            resolve(existing); // The peer reconnected to us in the meantime
+            return;
+        }
+        
+        console.log(`Attempting to reconnect to peer: ${peerId}`);
+        // The old data channel is gone, so anything it was streaming has to continue on the new one
+        markDownloadsInterrupted(peerId);
+        const conn = peer.connect(peerId, {
+            reliable: true
+        });
+        connections.set(peerId, conn);
+        setupConnectionHandlers(conn);
+        
+        const settle = () => {
+            clearTimeout(timer);
+            reconnectAttempts.delete(peerId);
+            conn.off('open', onOpen);
+            conn.off('error', fail);
+        };
+        const onOpen = () => {
+            settle();
+            resolve(conn);
+        };
+        const fail = (error) => {
+            settle();
+            if (connections.get(peerId) === conn) {
+                connections.delete(peerId);
+            }
+            conn.close();
+            reject(error instanceof Error ? error : new Error(String(error)));
+        };
+        const timer = setTimeout(() => fail(new Error('Connection timeout')), window.CONFIG?.RECONNECT_ATTEMPT_TIMEOUT || 15000);
+        reconnectAttempts.set(peerId, fail);
+        conn.on('open', onOpen);
+        conn.on('error', fail);
+    });
+}
+
+// A connection closed without the peer saying goodbye - reconnect, or wait for the peer to
+// (it opened the connection, so it reconnects unless we need it back to resume downloads)
+function handleConnectionDropped(conn) {
+    const peerId = conn.peer;
+    const entry = reconnectionManager.getState(peerId);
+    const hasInterruptedDownloads = markDownloadsInterrupted(peerId) > 0;
+    
+    // Attempts that failed, connections that never opened and peers that left on purpose are not reconnected
+    if (!entry || (entry.state !== reconnectionManager.STATES.CONNECTED && entry.state !== reconnectionManager.STATES.DEGRADED)) {
+        return;
+    }
+    if (manualConnections.has(conn)) {
+        reconnectionManager.markLost(peerId, 'Connection closed - pair again to reconnect');
+        return;
+    }
+    if (!peer || peer.destroyed) {
+        return;
+    }
+    if (incomingConnections.has(conn) && !hasInterruptedDownloads) {
+        reconnectionManager.markLost(peerId, 'Connection closed');
+        return;
+    }
+    reconnectionManager.start(peerId, 'Connection closed');
+}
+
+// Show a connection as degraded while ICE reports it disconnected (it often recovers on its own)
+function watchConnectionHealth(conn) {
+    const pc = conn.peerConnection;
+    if (!pc || watchedPeerConnections.has(pc)) return;
+    watchedPeerConnections.add(pc);
+    
+    pc.addEventListener('iceconnectionstatechange', () => {
+        if (connections.get(conn.peer) !== conn) return;
+        if (pc.iceConnectionState === 'disconnected') {
+            reconnectionManager.markDegraded(conn.peer, 'Network interrupted');
+        } else if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
+            reconnectionManager.markRecovered(conn.peer);
+        }
+    });
+}
+
+// Show a peer as degraded while it leaves keep-alives unanswered, and as healthy again once it is heard from
+function handleLivenessChange(peerId, entry) {
+    if (entry && entry.misses > 0) {
+        reconnectionManager.markDegraded(peerId, `No response to ${entry.misses} keep-alive${entry.misses === 1 ? '' : 's'}`);
+    } else if (entry && entry.lastSeen >= (entry.pendingSince || 0)) {
+        reconnectionManager.markRecovered(peerId);
+    }
+    renderPeerLatency();
+}
+
+// Show the round-trip time of each connection under the status
+function renderPeerLatency() {
+    const list = elements.peerLatency;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    for (const [peerId, conn] of connections) {
+        const stats = peerLiveness.getStats(peerId);
+        if (!conn.open || !stats) continue;
+        
+        const li = document.createElement('li');
+        let quality = 'pending';
+        let icon = 'hourglass_empty';
+        let detail = 'Measuring...';
+        if (stats.misses > 0) {
+            quality = 'stale';
+            icon = 'warning';
+            detail = `No response (${stats.misses}/${peerLiveness.MAX_MISSES})`;
+            li.title = `Closed and reconnected after ${peerLiveness.MAX_MISSES} unanswered keep-alives`;
+        } else if (stats.smoothedRtt !== null) {
+            quality = stats.smoothedRtt < 150 ? 'good' : stats.smoothedRtt < 400 ? 'fair' : 'poor';
+            icon = 'speed';
+            detail = `${Math.round(stats.smoothedRtt)} ms`;
+            li.title = `Last round trip ${stats.rtt} ms`;
+        }
+        
+        li.className = `peer-latency-item latency-${quality}`;
+        li.innerHTML = `
+            <span class="material-icons" translate="no">${icon}</span>
+            <span class="peer-latency-id" translate="no">${escapeHtml(peerId)}</span>
+            <span class="peer-latency-value">${escapeHtml(detail)}</span>
+        `;
+        list.appendChild(li);
+    }
+    list.classList.toggle('hidden', list.children.length === 0);
 }
 
-// Reconnect to a specific peer
-function reconnectToPeer(peerId) {
-    try {
-        console.log(`Attempting to reconnect to peer: ${peerId}`);
-        const newConnection = peer.connect(peerId, {
-            reliable: true
+// Previous reconnection state per peer, to tell transitions apart
+const reconnectionStates = new Map();
+
+// Reflect a peer's reconnection state on its recent-peer chip and in the status
+function handleReconnectionStateChange(peerId, entry) {
+    const previousState = reconnectionStates.get(peerId) || null;
+    const state = entry ? entry.state : null;
+    if (state) {
+        reconnectionStates.set(peerId, state);
+    } else {
+        reconnectionStates.delete(peerId);
+    }
+    updateRecentPeersList();
+    
+    const STATES = reconnectionManager.STATES;
+    const hasOpenConnections = Array.from(connections.values()).some(conn => conn.open);
+    if (state === STATES.RECONNECTING && !hasOpenConnections) {
+        updateConnectionStatus('connecting', `Reconnecting to ${peerId} (attempt ${Math.max(1, entry.attempt)} of ${reconnectionManager.MAX_ATTEMPTS})...`);
+    }
+    if (state === previousState) return;
+    
+    if (state === STATES.LOST && previousState === STATES.RECONNECTING) {
+        showNotification(`Could not reconnect to ${peerId}${entry.lastError ? ` (${entry.lastError})` : ''}. Open recent connections to retry.`, 'error');
+        if (!hasOpenConnections) {
+            updateConnectionStatus('', 'Disconnected');
+        }
+        Analytics.track('reconnection_failed', {
+            attempts: entry.attempt,
+            device_type: Analytics.getDeviceType()
+        });
+    } else if (state === STATES.CONNECTED && previousState === STATES.RECONNECTING) {
+        showNotification(`Reconnected to ${peerId}`, 'success');
+        Analytics.track('reconnection_succeeded', {
+            attempts: entry.attempt,
+            device_type: Analytics.getDeviceType()
         });
-        connections.set(peerId, newConnection);
-        setupConnectionHandlers(newConnection);
-    } catch (error) {
-        console.error(`Failed to reconnect to peer ${peerId}:`, error);
-        connections.delete(peerId);
+    }
+}
+
+// Label and icon for a reconnection state on a recent-peer chip
+function getReconnectionBadge(entry) {
+    const STATES = reconnectionManager.STATES;
+    switch (entry.state) {
+        case STATES.CONNECTED:
+            return { icon: 'link', label: 'Connected' };
+        case STATES.DEGRADED:
+            return { icon: 'network_check', label: 'Unstable' };
+        case STATES.RECONNECTING:
+            return { icon: 'sync', label: `Reconnecting ${Math.max(1, entry.attempt)}/${reconnectionManager.MAX_ATTEMPTS}` };
+        default:
+            return { icon: 'link_off', label: 'Lost' };
     }
 }
 
@@ -4594,8 +8952,9 @@ function downloadBlob(blob, fileName, fileId) {
                 
                 // Mark file as downloaded (without storing blob URL - file is in Downloads folder)
                 completedFileBlobURLs.set(fileId, true); // Use as flag to track downloaded files
+                updateStoredDownloadStatus(fileId);
                 
-                // Show notification when user clicks to open
+                // Preview the file when user clicks to open (or point to the Downloads folder)
                 downloadButton.onclick = () => {
                     // Track file open click
                     Analytics.track('file_open_clicked', {
@@ -4603,7 +8962,7 @@ function downloadBlob(blob, fileName, fileId) {
                         file_type: Analytics.getFileExtension(fileName),
                         device_type: Analytics.getDeviceType()
                     });
-                    showNotification('Please check your Downloads folder', 'info');
+                    openDownloadedFile(fileId);
                 };
             }
         }
@@ -5501,6 +9860,927 @@ function trackICECandidateAnalytics(allCandidates, hasMDNS, has192IP, isOnWiFi,
     }
 }
 
+// Recent PeerJS and connection errors, included in the diagnostics report
+const MAX_CONNECTION_ERRORS = 10;
+const recentConnectionErrors = [];
+
+// Remember a connection error for the diagnostics report
+function recordConnectionError(type, message) {
+    recentConnectionErrors.push({ time: Date.now(), type: type || 'unknown', message: message || '' });
+    if (recentConnectionErrors.length > MAX_CONNECTION_ERRORS) {
+        recentConnectionErrors.shift();
+    }
+}
+
+// Describe the signaling server and whether we are registered with it
+function getSignalingDescription() {
+    if (!peer) return 'not started';
+    const host = peer.options && peer.options.host ? `${peer.options.host}:${peer.options.port}${peer.options.path}` : 'default';
+    return `${host} (${peer.destroyed ? 'destroyed' : peer.disconnected ? 'disconnected' : 'connected'})`;
+}
+
+// Check a signaling server answers its ID endpoint (the first request PeerJS makes to it)
+async function testSignalingServer(server) {
+    const url = `${server.secure ? 'https' : 'http'}://${server.host}:${server.port}${server.path}${encodeURIComponent(server.key)}/id?ts=${Date.now()}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    const startTime = performance.now();
+    try {
+        const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        await response.text();
+        return { ok: true, responseMs: Math.round(performance.now() - startTime) };
+    } catch (error) {
+        return { ok: false, error: error.name === 'AbortError' ? 'No response' : error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Read the custom server fields of the signaling settings form; throws on invalid input
+function readSignalingForm(form) {
+    const host = form.querySelector('.signaling-host').value.trim().replace(/^(wss?|https?):\/\//, '').replace(/\/.*$/, '');
+    const port = Number(form.querySelector('.signaling-port').value);
+    let path = form.querySelector('.signaling-path').value.trim() || '/';
+    const key = form.querySelector('.signaling-key').value.trim() || 'peerjs';
+    if (!host) {
+        throw new Error('Enter the server host');
+    }
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('Enter a port between 1 and 65535');
+    }
+    if (!path.startsWith('/')) path = '/' + path;
+    if (!path.endsWith('/')) path += '/';
+    return { host, port, path, key, secure: form.querySelector('.signaling-secure').checked };
+}
+
+// Let the user switch to another signaling server (e.g. one started with signaling-server.js)
+async function openSignalingSettings() {
+    const current = getSignalingServer();
+    const defaultServer = window.CONFIG?.SIGNALING_SERVER || { host: '' };
+    const content = document.createElement('div');
+    content.className = 'dialog-fields signaling-settings';
+    content.innerHTML = `
+        <label class="dialog-field">
+            <span>Server</span>
+            <select class="dialog-input signaling-mode">
+                <option value="default">${defaultServer.host ? `Default (${escapeHtml(defaultServer.host)})` : 'PeerJS cloud (default)'}</option>
+                <option value="custom">Custom server</option>
+            </select>
+        </label>
+        <div class="signaling-custom">
+            <label class="dialog-field">
+                <span>Host</span>
+                <input type="text" class="dialog-input signaling-host" placeholder="peers.example.com" autocomplete="off" spellcheck="false">
+            </label>
+            <div class="signaling-row">
+                <label class="dialog-field">
+                    <span>Port</span>
+                    <input type="number" class="dialog-input signaling-port" min="1" max="65535">
+                </label>
+                <label class="dialog-field">
+                    <span>Path</span>
+                    <input type="text" class="dialog-input signaling-path" autocomplete="off" spellcheck="false">
+                </label>
+                <label class="dialog-field">
+                    <span>Key</span>
+                    <input type="text" class="dialog-input signaling-key" autocomplete="off" spellcheck="false">
+                </label>
+            </div>
+            <label class="dialog-checkbox">
+                <input type="checkbox" class="signaling-secure">
+                <span>Secure connection (HTTPS/WSS)</span>
+            </label>
+            <div class="signaling-test">
+                <button type="button" class="dialog-button signaling-test-button">Test server</button>
+                <span class="signaling-test-result"></span>
+            </div>
+        </div>
+    `;
+    const modeSelect = content.querySelector('.signaling-mode');
+    const customFields = content.querySelector('.signaling-custom');
+    const testResult = content.querySelector('.signaling-test-result');
+    const isCustom = !!current.host && current !== defaultServer;
+    const initial = isCustom ? current : { host: '', port: 9000, path: '/', key: 'peerjs', secure: location.protocol === 'https:' };
+    modeSelect.value = isCustom ? 'custom' : 'default';
+    content.querySelector('.signaling-host').value = initial.host;
+    content.querySelector('.signaling-port').value = initial.port;
+    content.querySelector('.signaling-path').value = initial.path;
+    content.querySelector('.signaling-key').value = initial.key;
+    content.querySelector('.signaling-secure').checked = initial.secure;
+    customFields.classList.toggle('hidden', !isCustom);
+    modeSelect.addEventListener('change', () => {
+        customFields.classList.toggle('hidden', modeSelect.value !== 'custom');
+    });
+    
+    content.querySelector('.signaling-test-button').addEventListener('click', async () => {
+        let server;
+        try {
+            server = readSignalingForm(content);
+        } catch (error) {
+            testResult.className = 'signaling-test-result diagnostics-fail';
+            testResult.textContent = error.message;
+            return;
+        }
+        testResult.className = 'signaling-test-result diagnostics-pending';
+        testResult.textContent = 'Testing...';
+        const result = await testSignalingServer(server);
+        testResult.className = `signaling-test-result ${result.ok ? 'diagnostics-ok' : 'diagnostics-fail'}`;
+        testResult.textContent = result.ok ? `Reachable (${result.responseMs} ms)` : `Not reachable: ${result.error}`;
+    });
+    
+    const confirmed = await showDialog(
+        'Signaling server',
+        'Peers find each other through a signaling server before connecting directly. Only peers using the same server can connect. Changing it disconnects current peers and gives you a new peer ID.',
+        content,
+        { confirmText: 'Save' }
+    );
+    if (!confirmed) return;
+    
+    let server = null;
+    if (modeSelect.value === 'custom') {
+        try {
+            server = readSignalingForm(content);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+    }
+    if (JSON.stringify(server) === JSON.stringify(storageService.loadSetting('signalingServer', null))) {
+        return;
+    }
+    
+    storageService.saveSetting('signalingServer', server);
+    Analytics.track('signaling_server_changed', {
+        custom: !!server,
+        device_type: Analytics.getDeviceType()
+    });
+    showNotification(server ? `Using signaling server ${server.host}:${server.port}` : 'Using the default signaling server', 'info');
+    await applySignalingServer();
+}
+
+// Register again with the signaling server that was just chosen (connected peers are dropped)
+async function applySignalingServer() {
+    sendDisconnectNotification();
+    resetConnection();
+    if (autoModeEnabled) {
+        await switchToAutoMode(); // Claims the auto mode ID on the new server
+    } else {
+        initPeerJS();
+    }
+}
+
+// One custom ICE server row of the ICE settings form
+function createIceServerRow(server) {
+    const row = document.createElement('div');
+    row.className = 'ice-server-row';
+    row.dataset.id = server.id;
+    row.innerHTML = `
+        <div class="ice-server-header">
+            <input type="text" class="dialog-input ice-server-urls" placeholder="turn:turn.example.com:3478" autocomplete="off" spellcheck="false" translate="no">
+            <button type="button" class="icon-button ice-server-remove" title="Remove server">
+                <span class="material-icons" translate="no">delete</span>
+            </button>
+        </div>
+        <select class="dialog-input ice-server-type">
+            <option value="static">Username and credential</option>
+            <option value="rest">Time-limited credentials from a REST URL</option>
+        </select>
+        <div class="ice-server-static">
+            <input type="text" class="dialog-input ice-server-username" placeholder="Username" autocomplete="off" spellcheck="false">
+            <input type="password" class="dialog-input ice-server-credential" placeholder="Credential" autocomplete="new-password">
+        </div>
+        <input type="url" class="dialog-input ice-server-rest-url" placeholder="https://example.com/turn-credentials" autocomplete="off" spellcheck="false">
+        <div class="ice-server-result"></div>
+    `;
+    row.querySelector('.ice-server-urls').value = server.urls;
+    row.querySelector('.ice-server-username').value = server.username;
+    row.querySelector('.ice-server-credential').value = server.credential;
+    row.querySelector('.ice-server-rest-url').value = server.restUrl;
+    
+    const typeSelect = row.querySelector('.ice-server-type');
+    const updateType = () => {
+        row.querySelector('.ice-server-static').classList.toggle('hidden', typeSelect.value !== 'static');
+        row.querySelector('.ice-server-rest-url').classList.toggle('hidden', typeSelect.value !== 'rest');
+        row.querySelector('.ice-server-urls').placeholder = typeSelect.value === 'rest'
+            ? 'Server URLs (optional if the REST response lists them)'
+            : 'turn:turn.example.com:3478';
+    };
+    typeSelect.value = server.credentialType;
+    typeSelect.addEventListener('change', updateType);
+    updateType();
+    row.querySelector('.ice-server-remove').addEventListener('click', () => row.remove());
+    return row;
+}
+
+// Read the ICE settings form
+function readIceSettingsForm(form) {
+    return {
+        useDefaultServers: form.querySelector('.ice-use-defaults').checked,
+        relayOnly: form.querySelector('.ice-relay-only').checked,
+        servers: Array.from(form.querySelectorAll('.ice-server-row')).map(row => ({
+            id: row.dataset.id,
+            urls: row.querySelector('.ice-server-urls').value.trim(),
+            credentialType: row.querySelector('.ice-server-type').value,
+            username: row.querySelector('.ice-server-username').value.trim(),
+            credential: row.querySelector('.ice-server-credential').value,
+            restUrl: row.querySelector('.ice-server-rest-url').value.trim()
+        }))
+    };
+}
+
+// Check the settings in the form can be used; returns an error message or null
+function validateIceSettings(settings, manager) {
+    for (const server of settings.servers) {
+        const error = manager.validateServer(server);
+        if (error) return error;
+    }
+    if (settings.relayOnly && !settings.useDefaultServers && settings.servers.length === 0) {
+        return 'Relay only needs at least one TURN server';
+    }
+    return null;
+}
+
+// Probe every server the form's settings would use, showing the result on each custom server row
+async function testIceSettings(form, settings) {
+    const summary = form.querySelector('.ice-test-summary');
+    const manager = new IceSettingsManager(PEER_CONFIG.config, { settings, autoRefresh: false });
+    const error = validateIceSettings(settings, manager);
+    if (error) {
+        summary.className = 'ice-test-summary diagnostics-fail';
+        summary.textContent = error;
+        return;
+    }
+    
+    summary.className = 'ice-test-summary diagnostics-pending';
+    summary.textContent = 'Fetching credentials...';
+    await manager.refreshCredentials();
+    
+    // Each custom server is probed on its own so its row can show the result
+    const rows = new Map(Array.from(form.querySelectorAll('.ice-server-row')).map(row => [row.dataset.id, row]));
+    const customEntries = [];
+    settings.servers.forEach(server => {
+        const iceServers = manager.getServerEntries(server);
+        const resultElement = rows.get(server.id).querySelector('.ice-server-result');
+        const credentialError = manager.getCredentialError(server.id);
+        if (credentialError || iceServers.length === 0) {
+            resultElement.className = 'ice-server-result diagnostics-fail';
+            resultElement.textContent = `Credentials: ${credentialError || 'none received'}`;
+            return;
+        }
+        resultElement.className = 'ice-server-result diagnostics-pending';
+        resultElement.textContent = 'Checking...';
+        customEntries.push({ server, iceServers, resultElement, results: [] });
+    });
+    
+    // Every URL is probed separately (a TURN entry can list UDP, TCP and TLS URLs)
+    const probes = [];
+    customEntries.forEach(entry => {
+        entry.iceServers.forEach(iceServer => {
+            const urls = Array.isArray(iceServer.urls) ? iceServer.urls : [iceServer.urls];
+            urls.forEach(url => probes.push({ entry, server: { ...iceServer, urls: url } }));
+        });
+    });
+    const builtIn = settings.useDefaultServers ? PEER_CONFIG.config.iceServers : [];
+    builtIn.forEach(server => probes.push({ entry: null, server }));
+    
+    let reachable = 0;
+    summary.textContent = `Checking ${probes.length} server${probes.length === 1 ? '' : 's'}...`;
+    await iceDiagnostics.probeServers(probes.map(probe => probe.server), (index, result) => {
+        const probe = probes[index];
+        if (result.ok) reachable++;
+        if (!probe.entry) return;
+        probe.entry.results.push(result);
+        probe.entry.resultElement.className = `ice-server-result ${probe.entry.results.some(item => item.ok) ? 'diagnostics-ok' : 'diagnostics-fail'}`;
+        probe.entry.resultElement.textContent = probe.entry.results
+            .map(item => `${item.url}: ${item.ok ? `${item.responseMs} ms` : item.error}`)
+            .join(' · ');
+    });
+    
+    summary.className = `ice-test-summary ${reachable > 0 ? 'diagnostics-ok' : 'diagnostics-fail'}`;
+    summary.textContent = `${reachable} of ${probes.length} server${probes.length === 1 ? '' : 's'} reachable${builtIn.length > 0 ? ` (including ${builtIn.length} built-in)` : ''}`;
+    Analytics.track('ice_servers_tested', {
+        custom_servers: settings.servers.length,
+        servers_total: probes.length,
+        servers_ok: reachable,
+        device_type: Analytics.getDeviceType()
+    });
+}
+
+// Let the user add TURN servers and force relay-only connections
+async function openIceSettings() {
+    const current = iceSettings.getSettings();
+    const content = document.createElement('div');
+    content.className = 'dialog-fields ice-settings';
+    content.innerHTML = `
+        <label class="dialog-checkbox">
+            <input type="checkbox" class="ice-use-defaults">
+            <span>Use the built-in STUN/TURN servers (${PEER_CONFIG.config.iceServers.length})</span>
+        </label>
+        <label class="dialog-checkbox">
+            <input type="checkbox" class="ice-relay-only">
+            <span>Relay only - never share my IP address with peers (slower, needs a TURN server)</span>
+        </label>
+        <div class="ice-server-list"></div>
+        <div class="ice-settings-actions">
+            <button type="button" class="dialog-button ice-add-server">Add TURN server</button>
+            <button type="button" class="dialog-button ice-test-servers">Test servers</button>
+        </div>
+        <div class="ice-test-summary"></div>
+    `;
+    content.querySelector('.ice-use-defaults').checked = current.useDefaultServers;
+    content.querySelector('.ice-relay-only').checked = current.relayOnly;
+    const list = content.querySelector('.ice-server-list');
+    current.servers.forEach(server => list.appendChild(createIceServerRow(server)));
+    
+    content.querySelector('.ice-add-server').addEventListener('click', () => {
+        const row = createIceServerRow(iceSettings.normalize({ servers: [{}] }).servers[0]);
+        list.appendChild(row);
+        row.querySelector('.ice-server-urls').focus();
+    });
+    const testButton = content.querySelector('.ice-test-servers');
+    testButton.addEventListener('click', async () => {
+        testButton.disabled = true;
+        try {
+            await testIceSettings(content, readIceSettingsForm(content));
+        } finally {
+            testButton.disabled = false;
+        }
+    });
+    
+    const dialog = showDialog(
+        'ICE servers',
+        'STUN servers help peers find a direct route; TURN servers relay the data when no direct route works. Changes apply to new connections.',
+        content,
+        { confirmText: 'Save' }
+    );
+    content.closest('.dialog').classList.add('diagnostics-dialog');
+    if (!await dialog) return;
+    
+    const settings = readIceSettingsForm(content);
+    const error = validateIceSettings(settings, iceSettings);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    storageService.saveSetting('iceSettings', settings);
+    await iceSettings.setSettings(settings);
+    const failed = settings.servers.filter(server => iceSettings.getCredentialError(server.id));
+    if (failed.length > 0) {
+        showNotification(`Could not fetch TURN credentials: ${iceSettings.getCredentialError(failed[0].id)}`, 'error');
+    } else if (settings.relayOnly && !iceSettings.hasRelayServer(peerIceBaseConfig.iceServers)) {
+        showNotification('Relay only is on, but no TURN server is available - connections will fail', 'warning');
+    } else {
+        showNotification('ICE settings saved - they apply to new connections', 'success');
+    }
+    Analytics.track('ice_settings_changed', {
+        custom_servers: settings.servers.length,
+        rest_servers: settings.servers.filter(server => server.credentialType === 'rest').length,
+        relay_only: settings.relayOnly,
+        use_default_servers: settings.useDefaultServers,
+        device_type: Analytics.getDeviceType()
+    });
+}
+
+// Open manual pairing when the page was opened from a pairing link (…#pair=code)
+function checkUrlForPairingCode() {
+    const match = window.location.hash.match(/^#pair=(.+)$/);
+    if (!match) return;
+    
+    // Take the code out of the address bar so a reload doesn't answer it again
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    Analytics.track('manual_pairing_link_opened', {
+        device_type: Analytics.getDeviceType()
+    });
+    openManualPairing(match[1]);
+}
+
+// Our peer ID for manual pairing - waits briefly for the signaling server to assign one,
+// and picks one ourselves when it can't be reached
+async function ensureLocalPeerId() {
+    const current = peer;
+    if (!getLocalPeerId() && current && !current.destroyed) {
+        await new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                current.off('open', done);
+                current.off('error', done);
+                resolve();
+            };
+            const timer = setTimeout(done, 5000);
+            current.on('open', done);
+            current.on('error', done);
+        });
+    }
+    
+    if (!getLocalPeerId()) {
+        localPeerId = `manual-${Math.random().toString(36).slice(2, 10)}`;
+        if (elements.peerId) {
+            elements.peerId.textContent = localPeerId;
+        }
+        console.log('📴 No signaling server - using a local peer ID for manual pairing:', localPeerId);
+    }
+    return getLocalPeerId();
+}
+
+// Hand a manually paired data channel to the usual connection handling, wrapped to look like a PeerJS connection
+// The device that created the pairing code treats it as incoming (admission, passphrase), the other as outgoing
+function startManualConnection(session, remotePeerId, incoming) {
+    const conn = new ManualDataConnection(remotePeerId, session.peerConnection, session.dataChannel);
+    manualConnections.add(conn);
+    screenWake.activateFromConnection();
+    
+    conn.once('open', () => {
+        Analytics.track('manual_pairing_connected', {
+            role: incoming ? 'offer' : 'answer',
+            device_type: Analytics.getDeviceType()
+        });
+    });
+    // A pairing that never connects (no route between the devices) is dropped
+    conn.on('error', (error) => {
+        if (conn.open || connections.get(remotePeerId) !== conn) return;
+        connections.delete(remotePeerId);
+        restoreConnectionStatus();
+        Analytics.track('manual_pairing_failed', {
+            role: incoming ? 'offer' : 'answer',
+            error: error.message,
+            device_type: Analytics.getDeviceType()
+        });
+    });
+    
+    if (incoming) {
+        incomingConnections.add(conn);
+        updateConnectionStatus('connecting', 'Incoming connection...');
+        if (requiresAdmission(remotePeerId)) {
+            admitIncomingConnection(conn);
+            return conn;
+        }
+        connections.set(remotePeerId, conn);
+        setupConnectionHandlers(conn);
+        return conn;
+    }
+    
+    // The reply code still has to reach the other device by hand, so this waits much longer than peer.connect
+    const connectionTimeout = setTimeout(() => {
+        if (connections.get(remotePeerId) === conn && !conn.open) {
+            console.error('Manual pairing timeout for peer:', remotePeerId);
+            connections.delete(remotePeerId);
+            conn.close();
+            restoreConnectionStatus();
+            showNotification('Pairing timed out - the reply code was not entered on the other device', 'error');
+        }
+    }, window.CONFIG?.MANUAL_PAIRING_TIMEOUT || 300000);
+    
+    updateConnectionStatus('connecting', 'Waiting for the other device...');
+    connections.set(remotePeerId, conn);
+    setupConnectionHandlers(conn, connectionTimeout);
+    return conn;
+}
+
+// Show a pairing code as a QR code and as text to copy
+function renderPairingCode(container, code, qrText) {
+    container.innerHTML = `
+        <div class="manual-pairing-qr"></div>
+        <textarea class="dialog-input manual-pairing-code" rows="3" readonly translate="no"></textarea>
+        <button type="button" class="dialog-button manual-pairing-copy">Copy code</button>
+    `;
+    container.querySelector('.manual-pairing-code').value = code;
+    
+    const qr = container.querySelector('.manual-pairing-qr');
+    if (!renderQRCode(qr, qrText, { size: 256, correctLevel: QRCode.CorrectLevel.L })) {
+        qr.innerHTML = '<p class="diagnostics-empty">Too long for a QR code - copy the code instead</p>';
+    }
+    container.querySelector('.manual-pairing-copy').addEventListener('click', async () => {
+        const copied = await copyToClipboard(code);
+        showNotification(copied ? 'Pairing code copied' : 'Failed to copy the code', copied ? 'success' : 'error');
+    });
+}
+
+// Check if QR codes can be read with the camera (BarcodeDetector isn't available everywhere)
+function canScanQRCodes() {
+    return typeof BarcodeDetector !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+}
+
+// Read a QR code with the camera, showing the preview in container
+// Returns { result, stop } - result resolves with the text, or null when stopped
+function scanQRCode(container) {
+    const video = document.createElement('video');
+    video.className = 'manual-pairing-video';
+    video.muted = true;
+    video.playsInline = true;
+    container.appendChild(video);
+    
+    let stream = null;
+    let timer = null;
+    let done = false;
+    let settle = null;
+    const result = new Promise((resolve, reject) => {
+        settle = (error, text = null) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            video.remove();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(text);
+            }
+        };
+    });
+    
+    const detect = async (detector) => {
+        if (done) return;
+        try {
+            const codes = await detector.detect(video);
+            if (codes.length > 0) {
+                settle(null, codes[0].rawValue);
+                return;
+            }
+        } catch (error) {
+            // No frame yet
+        }
+        timer = setTimeout(() => detect(detector), 250);
+    };
+    
+    (async () => {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (done) {
+            stream.getTracks().forEach(track => track.stop()); // Stopped while the camera was starting
+            return;
+        }
+        video.srcObject = stream;
+        await video.play();
+        detect(detector);
+    })().catch(error => settle(error));
+    
+    return { result, stop: () => settle(null) };
+}
+
+// Pair with a device without the signaling server: one device creates a pairing code, the other answers it
+// with a reply code, and the connection opens once the reply is entered on the first device
+// initialCode is a pairing code from a scanned pairing link
+async function openManualPairing(initialCode = '') {
+    if (!manualSignaling.isSupported) {
+        showNotification('WebRTC is not available in this browser', 'error');
+        return;
+    }
+    
+    const content = document.createElement('div');
+    content.className = 'dialog-fields manual-pairing';
+    content.innerHTML = `
+        <div class="manual-pairing-start">
+            <button type="button" class="dialog-button manual-create">Create a pairing code</button>
+            <button type="button" class="dialog-button manual-enter">Enter a code</button>
+        </div>
+        <div class="manual-pairing-offer hidden">
+            <p class="manual-pairing-step">1. Scan this on the other device, or copy the code to it</p>
+            <div class="manual-offer-code"></div>
+            <p class="manual-pairing-step">2. Enter the reply code the other device shows</p>
+            <textarea class="dialog-input manual-reply-input" rows="3" placeholder="Reply code" translate="no"></textarea>
+            <div class="manual-pairing-actions">
+                <button type="button" class="dialog-button manual-scan">Scan QR code</button>
+                <button type="button" class="dialog-button manual-connect">Connect</button>
+            </div>
+        </div>
+        <div class="manual-pairing-answer hidden">
+            <p class="manual-pairing-step">1. Enter the pairing code from the other device</p>
+            <textarea class="dialog-input manual-offer-input" rows="3" placeholder="Pairing code or link" translate="no"></textarea>
+            <div class="manual-pairing-actions">
+                <button type="button" class="dialog-button manual-scan">Scan QR code</button>
+                <button type="button" class="dialog-button manual-reply">Create reply</button>
+            </div>
+            <div class="manual-reply-view hidden">
+                <p class="manual-pairing-step">2. Scan this on the other device, or copy the code to it</p>
+                <div class="manual-reply-code"></div>
+            </div>
+        </div>
+        <div class="manual-pairing-camera"></div>
+        <p class="manual-pairing-status"></p>
+    `;
+    const replyInput = content.querySelector('.manual-reply-input');
+    const offerInput = content.querySelector('.manual-offer-input');
+    const connectButton = content.querySelector('.manual-connect');
+    const replyButton = content.querySelector('.manual-reply');
+    const status = content.querySelector('.manual-pairing-status');
+    const rtcConfig = iceSettings.buildConfig(peerIceBaseConfig);
+    let offerSession = null; // Pairing code waiting for its reply
+    let scanner = null;
+    let dialog = null;
+    
+    const setStatus = (text, className = '') => {
+        status.textContent = text;
+        status.className = `manual-pairing-status ${className}`;
+    };
+    const showStep = (step) => {
+        content.querySelector('.manual-pairing-start').classList.add('hidden');
+        content.querySelector(`.manual-pairing-${step}`).classList.remove('hidden');
+    };
+    const stopScan = () => {
+        if (scanner) scanner.stop();
+    };
+    // Close the dialog once the paired connection opens, or show why it didn't
+    const watchConnection = (conn) => {
+        conn.once('open', () => dialog.dismiss());
+        conn.once('error', error => setStatus(error.message, 'diagnostics-fail'));
+    };
+    
+    const createCode = async () => {
+        showStep('offer');
+        setStatus('Creating a pairing code…', 'diagnostics-pending');
+        try {
+            const localId = await ensureLocalPeerId();
+            const session = await manualSignaling.createOffer(localId, rtcConfig);
+            if (!content.isConnected) {
+                session.peerConnection.close(); // Dialog closed in the meantime
+                return;
+            }
+            offerSession = session;
+            renderPairingCode(content.querySelector('.manual-offer-code'), session.code, `${getAppBaseUrl()}#pair=${session.code}`);
+            setStatus('');
+            Analytics.track('manual_pairing_started', {
+                role: 'offer',
+                code_length: session.code.length,
+                compressed: manualSignaling.canCompress,
+                device_type: Analytics.getDeviceType()
+            });
+        } catch (error) {
+            setStatus(`Could not create a pairing code: ${error.message}`, 'diagnostics-fail');
+        }
+    };
+    
+    const acceptReply = async () => {
+        if (!offerSession) return;
+        connectButton.disabled = true;
+        try {
+            const reply = await manualSignaling.decode(replyInput.value, 'answer');
+            const existing = connections.get(reply.id);
+            if (existing && existing.open) {
+                throw new Error(`Already connected to ${reply.id}`);
+            }
+            const remotePeerId = await manualSignaling.acceptAnswer(offerSession, replyInput.value);
+            const conn = startManualConnection(offerSession, remotePeerId, true);
+            offerSession = null; // The connection owns it now
+            setStatus(`Connecting to ${remotePeerId}…`, 'diagnostics-pending');
+            watchConnection(conn);
+        } catch (error) {
+            setStatus(error.message, 'diagnostics-fail');
+            connectButton.disabled = false;
+        }
+    };
+    
+    const createReply = async () => {
+        replyButton.disabled = true;
+        setStatus('Creating a reply code…', 'diagnostics-pending');
+        try {
+            const offer = await manualSignaling.decode(offerInput.value, 'offer');
+            const existing = connections.get(offer.id);
+            if (existing && existing.open) {
+                throw new Error(`Already connected to ${offer.id}`);
+            }
+            const localId = await ensureLocalPeerId();
+            if (offer.id === localId) {
+                throw new Error('This pairing code was created on this device - enter it on the other one');
+            }
+            const session = await manualSignaling.acceptOffer(offerInput.value, localId, rtcConfig);
+            if (!content.isConnected) {
+                session.peerConnection.close(); // Dialog closed in the meantime
+                return;
+            }
+            const conn = startManualConnection(session, session.remotePeerId, false);
+            const replyView = content.querySelector('.manual-reply-view');
+            renderPairingCode(content.querySelector('.manual-reply-code'), session.code, session.code);
+            replyView.classList.remove('hidden');
+            setStatus(`Waiting for ${session.remotePeerId} to enter the reply…`, 'diagnostics-pending');
+            watchConnection(conn);
+            Analytics.track('manual_pairing_started', {
+                role: 'answer',
+                code_length: session.code.length,
+                compressed: manualSignaling.canCompress,
+                device_type: Analytics.getDeviceType()
+            });
+        } catch (error) {
+            setStatus(error.message, 'diagnostics-fail');
+            replyButton.disabled = false;
+        }
+    };
+    
+    // Fill a code field from the camera and go on with the step it belongs to
+    const scanInto = async (button, input, next) => {
+        if (scanner) {
+            stopScan();
+            return;
+        }
+        scanner = scanQRCode(content.querySelector('.manual-pairing-camera'));
+        button.textContent = 'Stop camera';
+        try {
+            const text = await scanner.result;
+            if (text) {
+                input.value = text;
+                next();
+            }
+        } catch (error) {
+            setStatus(`Camera not available: ${error.message}`, 'diagnostics-fail');
+        } finally {
+            scanner = null;
+            button.textContent = 'Scan QR code';
+        }
+    };
+    
+    content.querySelector('.manual-create').addEventListener('click', createCode);
+    content.querySelector('.manual-enter').addEventListener('click', () => {
+        showStep('answer');
+        offerInput.focus();
+    });
+    connectButton.addEventListener('click', acceptReply);
+    replyButton.addEventListener('click', createReply);
+    content.querySelectorAll('.manual-scan').forEach((button) => {
+        if (!canScanQRCodes()) {
+            button.classList.add('hidden');
+            return;
+        }
+        const offerStep = !!button.closest('.manual-pairing-offer');
+        button.addEventListener('click', () => scanInto(
+            button,
+            offerStep ? replyInput : offerInput,
+            offerStep ? acceptReply : createReply
+        ));
+    });
+    // Enter in a code field shouldn't close the dialog (pasted codes can end in a line break)
+    content.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'TEXTAREA') {
+            e.stopPropagation();
+        }
+    });
+    
+    dialog = showDialog(
+        'Pair without a server',
+        'For devices that can\'t reach the signaling server. One device creates a pairing code, the other answers it with a reply code - pass them over by QR code or copy-paste.',
+        content,
+        { confirmText: 'Done', cancelText: 'Cancel' }
+    );
+    content.closest('.dialog').classList.add('diagnostics-dialog');
+    
+    if (initialCode) {
+        showStep('answer');
+        offerInput.value = initialCode;
+        createReply();
+    }
+    
+    await dialog;
+    stopScan();
+    if (offerSession) {
+        offerSession.peerConnection.close(); // Pairing code that was never answered
+        offerSession = null;
+    }
+}
+
+// Render the diagnostics results gathered so far
+function renderConnectionDiagnostics(container, diagnostics) {
+    const serverRows = diagnostics.iceServers.map((server, index) => {
+        const result = diagnostics.servers[index];
+        const url = Array.isArray(server.urls) ? server.urls[0] : server.urls;
+        const status = !result
+            ? '<span class="diagnostics-pending">Checking…</span>'
+            : result.ok
+                ? `<span class="diagnostics-ok">${result.responseMs} ms</span>`
+                : `<span class="diagnostics-fail">${escapeHtml(result.error)}</span>`;
+        return `<tr><td translate="no">${escapeHtml(url)}</td><td>${status}</td></tr>`;
+    }).join('');
+
+    const candidates = diagnostics.candidates;
+    const connectionRows = diagnostics.connections.map(connection => {
+        const route = connection.route;
+        const pair = route && route.localType
+            ? `${escapeHtml(getRouteLabel(route))}: ${escapeHtml(route.localType)} ${escapeHtml(route.localAddress || '')} ↔ ${escapeHtml(route.remoteType)} ${escapeHtml(route.remoteAddress || '')}`
+            : 'No selected candidate pair';
+        return `<li><span translate="no">${escapeHtml(connection.peerId)}</span> - ${pair}</li>`;
+    }).join('');
+
+    container.querySelector('.diagnostics-summary').innerHTML = `
+        <dl class="diagnostics-facts">
+            <div><dt>NAT type</dt><dd>${diagnostics.nat ? escapeHtml(diagnostics.nat.label) : 'Checking…'}</dd></div>
+            <div><dt>Public IP</dt><dd translate="no">${diagnostics.done || diagnostics.publicIP ? escapeHtml(diagnostics.publicIP || 'Not found') : 'Checking…'}</dd></div>
+            <div><dt>mDNS</dt><dd>${diagnostics.done ? (diagnostics.mdns ? 'Local addresses hidden (.local)' : 'Not used') : 'Checking…'}</dd></div>
+            <div><dt>Candidates</dt><dd>${candidates ? `${candidates.host} host, ${candidates.srflx} srflx, ${candidates.relay} relay` : 'Checking…'}</dd></div>
+            <div><dt>Signaling</dt><dd translate="no">${escapeHtml(diagnostics.signaling)}</dd></div>
+        </dl>
+        <h4>Active connections</h4>
+        ${connectionRows ? `<ul class="diagnostics-connections">${connectionRows}</ul>` : '<p class="diagnostics-empty">No peers connected</p>'}
+        <h4>ICE servers</h4>
+        <table class="diagnostics-servers"><tbody>${serverRows}</tbody></table>`;
+    container.querySelector('.diagnostics-report').value = iceDiagnostics.formatReport(diagnostics);
+}
+
+// Run the STUN/TURN checks and show the results as they come in
+// The dialog's confirm button copies the plain-text report for support tickets
+async function openConnectionDiagnostics() {
+    if (!iceDiagnostics.isSupported) {
+        showNotification('WebRTC is not available in this browser', 'error');
+        return;
+    }
+
+    const diagnostics = {
+        timestamp: Date.now(),
+        userAgent: navigator.userAgent,
+        peerId: getLocalPeerId(),
+        signaling: getSignalingDescription(),
+        iceServers: iceSettings.getIceServers(),
+        servers: iceSettings.getIceServers().map(() => null), // Filled in as each probe finishes
+        candidates: null,
+        nat: null,
+        publicIP: null,
+        mdns: false,
+        connections: [],
+        errors: recentConnectionErrors.slice(),
+        done: false
+    };
+
+    const content = document.createElement('div');
+    content.className = 'diagnostics';
+    content.innerHTML = `
+        <div class="diagnostics-summary"></div>
+        <label class="dialog-field">
+            <span>Report</span>
+            <textarea class="dialog-input diagnostics-report" rows="6" readonly translate="no"></textarea>
+        </label>`;
+
+    const dialog = showDialog('Connection diagnostics', 'Checking your network and the STUN/TURN servers…', content, {
+        confirmText: 'Copy report',
+        cancelText: 'Close'
+    });
+    content.closest('.dialog').classList.add('diagnostics-dialog');
+    const message = content.closest('.dialog').querySelector('.dialog-message');
+    let open = true;
+    dialog.then(async (copy) => {
+        open = false;
+        if (copy) {
+            const copied = await copyToClipboard(iceDiagnostics.formatReport(diagnostics));
+            showNotification(copied ? 'Diagnostics report copied' : 'Failed to copy the report', copied ? 'success' : 'error');
+        }
+    });
+    const render = () => {
+        if (open) renderConnectionDiagnostics(content, diagnostics);
+    };
+
+    // Selected candidate pair of every open connection
+    diagnostics.connections = await Promise.all(Array.from(connections.entries())
+        .filter(([, conn]) => conn.open)
+        .map(async ([peerId, conn]) => {
+            try {
+                return { peerId, route: await transferStats.getConnectionRoute(conn.peerConnection) };
+            } catch (error) {
+                return { peerId, route: null };
+            }
+        }));
+    render();
+
+    // Which configured servers answer, and how fast
+    const servers = diagnostics.iceServers;
+    await iceDiagnostics.probeServers(servers, (index, result) => {
+        diagnostics.servers[index] = result;
+        render();
+    });
+
+    // Gather against several responding STUN servers at once to see how the NAT maps ports
+    const stunServers = servers.filter((server, index) => diagnostics.servers[index].ok && diagnostics.servers[index].kind === 'stun').slice(0, 4);
+    const gathered = await iceDiagnostics.gather(stunServers.length > 0 ? stunServers : servers.slice(0, 2));
+    diagnostics.candidates = iceDiagnostics.summarizeCandidates(gathered.candidates);
+    diagnostics.nat = iceDiagnostics.inferNatType(gathered.candidates, stunServers.length);
+    render();
+
+    // Existing STUN probes for the public and private address (these also report ICE analytics)
+    const [publicIP, privateResult] = await Promise.all([
+        getPublicIPViaSTUN().catch(() => null),
+        getPrivateIP()
+    ]);
+    diagnostics.publicIP = publicIP;
+    diagnostics.mdns = privateResult.hasMDNS || diagnostics.candidates.mdns > 0;
+    const privateIPs = new Set(privateResult.privateIP ? [privateResult.privateIP] : []);
+    trackICECandidateAnalytics(gathered.candidates, diagnostics.mdns, privateIPs.size > 0, privateResult.isOnWiFi, privateIPs);
+
+    diagnostics.done = true;
+    if (message) {
+        message.textContent = diagnostics.nat.canConnectDirectly
+            ? 'Direct connections should work from this network.'
+            : 'Direct connections may fail from this network - transfers will need a TURN relay.';
+    }
+    render();
+
+    Analytics.track('connection_diagnostics_run', {
+        nat_type: diagnostics.nat.type,
+        servers_ok: diagnostics.servers.filter(server => server.ok).length,
+        servers_total: servers.length,
+        has_mdns: diagnostics.mdns,
+        connection_count: diagnostics.connections.length,
+        device_type: Analytics.getDeviceType()
+    });
+}
+
 // Check if WiFi is detected in ICE candidates (via .local mDNS or private IP)
 async function hasMDNSInICE() {
     try {
@@ -5826,15 +11106,7 @@ async function switchToAutoMode() {
         autoModeEnabled = true;
         
         // Initialize new peer with dynamic ID
-        peer = new Peer(autoModePeerId, {
-            debug: 2,
-            config: {
-                iceServers: [
-                    { urls: 'stun:stun.l.google.com:19302' },
-                    { urls: 'stun:global.stun.twilio.com:3478' }
-                ]
-            }
-        });
+        peer = new Peer(autoModePeerId, getPeerOptions(AUTO_MODE_ICE_CONFIG));
         
         setupPeerHandlers();
         
@@ -5981,15 +11253,7 @@ async function switchFromAutoMode() {
         autoModeEnabled = false;
         
         // Initialize new peer with auto-generated ID (no custom ID)
-        peer = new Peer({
-            debug: 2,
-            config: {
-                iceServers: [
-                    { urls: 'stun:stun.l.google.com:19302' },
-                    { urls: 'stun:global.stun.twilio.com:3478' }
-                ]
-            }
-        });
+        peer = new Peer(getPeerOptions(AUTO_MODE_ICE_CONFIG));
         
         setupPeerHandlers();
         
@@ -6054,6 +11318,7 @@ async function switchFromPeerMode() {
     try {
         // Disconnect from auto mode peer
         if (autoModePeerId && connections.has(autoModePeerId)) {
+            reconnectionManager.forget(autoModePeerId);
             const conn = connections.get(autoModePeerId);
             if (conn && conn.open) {
                 conn.close();
@@ -6288,7 +11553,7 @@ async function saveEditedPeerId() {
         connections.clear();
         
         // Initialize new peer with custom ID
-        peer = new Peer(newPeerId, PEER_CONFIG);
+        peer = new Peer(newPeerId, getPeerOptions());
         
         setupPeerHandlers();
         
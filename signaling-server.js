@@ -0,0 +1,497 @@
+#!/usr/bin/env node
+
+// Minimal PeerServer-compatible signaling server for One-Host
+// Speaks the same protocol as the public PeerJS cloud (peerjs-server), so the PeerJS client
+// in the app works against it unchanged - for LANs, blocked networks and tests. No dependencies.
+// Usage: node signaling-server.js [--port 9000] [--path /] [--key peerjs] [--allow-discovery]
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // Offers and candidates are a few KB; anything bigger is dropped
+
+const DEFAULTS = {
+    port: 9000,
+    host: '0.0.0.0',
+    path: '/',
+    key: 'peerjs',
+    expireTimeout: 5000, // Messages for a peer that doesn't connect by then are dropped and the sender gets EXPIRE
+    maxQueuedPerPeer: 100, // Messages held for one peer that isn't connected - more are rejected with EXPIRE
+    maxQueuedBytesPerSource: 256 * 1024, // Bytes one client may have waiting in queues at a time
+    aliveTimeout: 60000, // Clients silent for this long are disconnected (PeerJS sends a heartbeat every 5 seconds)
+    concurrentLimit: 5000,
+    allowDiscovery: false // GET <path><key>/peers lists connected IDs
+};
+
+// Normalize a mount path to start and end with a slash (the PeerJS client does the same)
+function normalizePath(path) {
+    let result = path || '/';
+    if (!result.startsWith('/')) result = '/' + result;
+    if (!result.endsWith('/')) result += '/';
+    return result;
+}
+
+// One WebSocket connection: handshake already done, parses client frames and sends text frames
+class WebSocketConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsSize = 0; // Bytes of the message being reassembled - MAX_MESSAGE_SIZE applies to the whole message
+        this.closed = false;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    // Append received bytes and handle every complete frame
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Read one frame from the buffer, or null if it hasn't fully arrived
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        if (!masked) {
+            this.close(1002, 'Client frames must be masked'); // RFC 6455 5.1
+            return null;
+        }
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+
+        const maskOffset = offset;
+        offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    // Handle control frames and reassemble fragmented text messages
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+                this.fragmentsSize += frame.payload.length;
+                if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+                    this.fragments = [];
+                    this.close(1009, 'Message too big');
+                    break;
+                }
+                this.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    this.onMessage(message);
+                }
+                break;
+            case 0x8: // Close
+                this.close(1000);
+                break;
+            case 0x9: // Ping
+                this.sendFrame(0xA, frame.payload);
+                break;
+            case 0xA: // Pong
+                break;
+            default: // Binary and reserved opcodes aren't part of the protocol
+                this.close(1003, 'Unsupported data');
+        }
+    }
+
+    // Send a text message
+    send(text) {
+        this.sendFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    // Write a single unmasked frame (servers never mask)
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    // Send a close frame and end the connection
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+        this.onClose();
+    }
+
+    // The socket went away (or errored)
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose();
+    }
+}
+
+// Signaling server: registers peers by ID over WebSocket and relays OFFER/ANSWER/CANDIDATE/LEAVE between them
+class SignalingServer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.options.path = normalizePath(this.options.path);
+        this.clients = new Map(); // id -> { id, token, connection, lastSeen }
+        this.messageQueues = new Map(); // dst id -> [{ message, text, time }] for peers that haven't connected yet
+        this.queuedBytes = new Map(); // src id -> bytes of its messages waiting in queues
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        this.timer = null;
+    }
+
+    // Start listening; resolves with the bound port (port 0 picks a free one)
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                this.timer = setInterval(() => this.sweep(), 1000);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    // Disconnect everyone and stop listening
+    close() {
+        clearInterval(this.timer);
+        for (const client of this.clients.values()) {
+            client.connection.close(1001, 'Server shutting down');
+        }
+        this.clients.clear();
+        this.messageQueues.clear();
+        this.queuedBytes.clear();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // HTTP API: server info, ID generation and (optionally) peer discovery
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const { path, key } = this.options;
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'GET') {
+            this.sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        if (url.pathname === path || url.pathname === path.slice(0, -1)) {
+            this.sendJson(res, 200, {
+                name: 'PeerJS Server',
+                description: 'One-Host signaling server (PeerServer-compatible)',
+                website: 'https://peerjs.com/'
+            });
+        } else if (url.pathname === `${path}${key}/id`) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(this.generateId());
+        } else if (url.pathname === `${path}${key}/peers`) {
+            if (!this.options.allowDiscovery) {
+                this.sendJson(res, 401, { error: 'Discovery is disabled' });
+                return;
+            }
+            this.sendJson(res, 200, Array.from(this.clients.keys()));
+        } else {
+            this.sendJson(res, 404, { error: 'Not found' });
+        }
+    }
+
+    // Write a JSON response
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Random ID that isn't in use
+    generateId() {
+        let id;
+        do {
+            id = crypto.randomUUID();
+        } while (this.clients.has(id));
+        return id;
+    }
+
+    // WebSocket handshake for <path>peerjs?key=&id=&token=
+    handleUpgrade(req, socket, head) {
+        // A reset while answering would otherwise be an unhandled 'error' and crash the server
+        // (WebSocketConnection adds its own handler once the handshake is done)
+        socket.on('error', () => {});
+        const url = new URL(req.url, 'http://localhost');
+        const secWebSocketKey = req.headers['sec-websocket-key'];
+        if (url.pathname !== `${this.options.path}peerjs` || !secWebSocketKey || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(secWebSocketKey + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const id = url.searchParams.get('id');
+        const token = url.searchParams.get('token');
+        const key = url.searchParams.get('key');
+        let client = null;
+        const connection = new WebSocketConnection(
+            socket,
+            (text) => client && this.handleMessage(client, text),
+            () => {
+                if (client && this.clients.get(client.id) === client) {
+                    this.clients.delete(client.id);
+                }
+            }
+        );
+
+        const reject = (type, msg) => {
+            connection.send(JSON.stringify({ type, payload: { msg } }));
+            connection.close(1000);
+        };
+        if (!id || !token || !key) {
+            reject('ERROR', 'No id, token, or key supplied to websocket server');
+            return;
+        }
+        if (key !== this.options.key) {
+            reject('ERROR', 'Invalid key provided');
+            return;
+        }
+
+        const existing = this.clients.get(id);
+        if (existing && existing.token !== token) {
+            reject('ID-TAKEN', 'ID is taken');
+            return;
+        }
+        if (!existing && this.clients.size >= this.options.concurrentLimit) {
+            reject('ERROR', 'Server has reached its concurrent user limit');
+            return;
+        }
+
+        // Same ID and token: the peer reconnected (peer.reconnect()), its new socket replaces the old one
+        client = { id, token, connection, lastSeen: Date.now() };
+        this.clients.set(id, client);
+        if (existing) {
+            existing.connection.close(1000, 'Replaced by a new connection');
+        }
+        connection.send(JSON.stringify({ type: 'OPEN' }));
+        this.flushQueue(client);
+
+        // Frames the client sent right behind the handshake arrived with it, not as socket data
+        if (head && head.length > 0) {
+            connection.receive(head);
+        }
+    }
+
+    // Handle a message from a registered client
+    handleMessage(client, text) {
+        client.lastSeen = Date.now();
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return; // Not ours to answer - the PeerJS client never sends invalid JSON
+        }
+        if (!message || typeof message.type !== 'string') return;
+
+        switch (message.type) {
+            case 'HEARTBEAT':
+                break;
+            case 'OFFER':
+            case 'ANSWER':
+            case 'CANDIDATE':
+            case 'LEAVE':
+            case 'EXPIRE':
+                if (typeof message.dst !== 'string') return;
+                this.relay({ type: message.type, src: client.id, dst: message.dst, payload: message.payload });
+                break;
+            default:
+                console.warn(`⚠️ Unknown message type from ${client.id}: ${message.type}`);
+        }
+    }
+
+    // Forward a message to its destination, or queue it until the destination connects
+    relay(message) {
+        const destination = this.clients.get(message.dst);
+        if (destination) {
+            destination.connection.send(JSON.stringify(message));
+            return;
+        }
+        // Nobody to tell that a peer left or that a message expired
+        if (message.type === 'LEAVE' || message.type === 'EXPIRE') return;
+
+        // Queues are capped per destination and per sender, so made-up IDs can't fill the server's memory
+        const queue = this.messageQueues.get(message.dst) || [];
+        const text = JSON.stringify(message);
+        const bytes = (this.queuedBytes.get(message.src) || 0) + Buffer.byteLength(text);
+        if (queue.length >= this.options.maxQueuedPerPeer || bytes > this.options.maxQueuedBytesPerSource) {
+            const sender = this.clients.get(message.src);
+            if (sender) {
+                sender.connection.send(JSON.stringify({ type: 'EXPIRE', src: message.dst, dst: message.src }));
+            }
+            return;
+        }
+        this.queuedBytes.set(message.src, bytes);
+        queue.push({ message, text, time: Date.now() });
+        this.messageQueues.set(message.dst, queue);
+    }
+
+    // Deliver messages that were waiting for a peer that just connected
+    flushQueue(client) {
+        const queue = this.messageQueues.get(client.id);
+        if (!queue) return;
+        this.messageQueues.delete(client.id);
+        queue.forEach((entry) => {
+            this.releaseQueued(entry);
+            client.connection.send(entry.text);
+        });
+    }
+
+    // A queued message was delivered or expired - its bytes no longer count against the sender
+    releaseQueued(entry) {
+        const bytes = (this.queuedBytes.get(entry.message.src) || 0) - Buffer.byteLength(entry.text);
+        if (bytes > 0) {
+            this.queuedBytes.set(entry.message.src, bytes);
+        } else {
+            this.queuedBytes.delete(entry.message.src);
+        }
+    }
+
+    // Expire old queued messages (the sender learns the peer is unavailable) and drop silent clients
+    sweep() {
+        const now = Date.now();
+        for (const [dst, queue] of this.messageQueues) {
+            const expired = queue.filter(entry => now - entry.time >= this.options.expireTimeout);
+            if (expired.length === 0) continue;
+            expired.forEach(entry => this.releaseQueued(entry));
+
+            const notified = new Set();
+            expired.forEach(({ message }) => {
+                if (notified.has(message.src)) return;
+                notified.add(message.src);
+                const sender = this.clients.get(message.src);
+                if (sender) {
+                    sender.connection.send(JSON.stringify({ type: 'EXPIRE', src: dst, dst: message.src }));
+                }
+            });
+
+            const remaining = queue.filter(entry => now - entry.time < this.options.expireTimeout);
+            if (remaining.length > 0) {
+                this.messageQueues.set(dst, remaining);
+            } else {
+                this.messageQueues.delete(dst);
+            }
+        }
+
+        for (const client of Array.from(this.clients.values())) {
+            if (now - client.lastSeen >= this.options.aliveTimeout) {
+                console.log(`💤 ${client.id} stopped sending heartbeats, disconnecting`);
+                client.connection.close(1000, 'Timed out');
+            }
+        }
+    }
+}
+
+// Read --name value flags (and the PORT environment variable) into server options
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--port': options.port = Number(next()); break;
+            case '--host': options.host = next(); break;
+            case '--path': options.path = next(); break;
+            case '--key': options.key = next(); break;
+            case '--expire-timeout': options.expireTimeout = Number(next()); break;
+            case '--alive-timeout': options.aliveTimeout = Number(next()); break;
+            case '--allow-discovery': options.allowDiscovery = true; break;
+            case '--help':
+                console.log('Usage: node signaling-server.js [--port 9000] [--host 0.0.0.0] [--path /] [--key peerjs] [--allow-discovery]');
+                process.exit(0);
+                break;
+            default:
+                console.error(`❌ Unknown option: ${arg}`);
+                process.exit(1);
+        }
+    }
+    if (options.port === undefined && process.env.PORT) {
+        options.port = Number(process.env.PORT);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const server = new SignalingServer(parseArgs(process.argv.slice(2)));
+    server.listen().then((port) => {
+        const { path, key } = server.options;
+        console.log(`✅ Signaling server listening on port ${port}`);
+        console.log(`🔧 Point the app at it with: node switch-env.js signaling <this-host>:${port} ${path} ${key}`);
+    }).catch((error) => {
+        console.error('❌ Could not start the signaling server:', error.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => server.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { SignalingServer, normalizePath };
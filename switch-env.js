@@ -2,6 +2,7 @@
 
 // Simple Environment Switcher for One-Host
 // Usage: node switch-env.js [dev|prod|pro]
+//        node switch-env.js signaling [cloud | [ws://|wss://]host[:port] [path] [key]]
 
 const fs = require('fs');
 const path = require('path');
@@ -61,9 +62,62 @@ function switchEnvironment(env) {
     }
 }
 
+// Point the app at a signaling server (PeerServer), or back at the public PeerJS cloud
+function switchSignalingServer(args) {
+    const target = args[0];
+    if (!target) {
+        console.error('❌ Missing signaling server');
+        console.log('Usage: node switch-env.js signaling [cloud | [ws://|wss://]host[:port] [path] [key]]');
+        process.exit(1);
+    }
+
+    let server = { host: '', port: 443, path: '/', key: 'peerjs', secure: true };
+    if (target !== 'cloud') {
+        const match = target.match(/^(?:(wss?|https?):\/\/)?([^:/]+)(?::(\d+))?$/);
+        if (!match) {
+            console.error(`❌ Invalid signaling server "${target}". Use host, host:port or wss://host:port`);
+            process.exit(1);
+        }
+        const [, scheme, host, port] = match;
+        const secure = scheme ? scheme === 'wss' || scheme === 'https' : !port || port === '443';
+        server = {
+            host,
+            port: port ? Number(port) : (secure ? 443 : 80),
+            path: args[1] || '/',
+            key: args[2] || 'peerjs',
+            secure
+        };
+    }
+
+    try {
+        const content = fs.readFileSync(CONFIG_FILE, 'utf8');
+        // JSON keeps quotes (and anything else) in the path or key from breaking out of the string literals
+        const line = `const SIGNALING_SERVER = ${JSON.stringify(server)};`;
+        const pattern = /^const SIGNALING_SERVER = .*;$/m;
+        if (!pattern.test(content)) {
+            throw new Error(`SIGNALING_SERVER not found in ${CONFIG_FILE}`);
+        }
+        fs.writeFileSync(CONFIG_FILE, content.replace(pattern, () => line));
+
+        console.log(server.host
+            ? `✅ Signaling server set to ${server.secure ? 'wss' : 'ws'}://${server.host}:${server.port}${server.path} (key "${server.key}")`
+            : '✅ Signaling server set to the public PeerJS cloud');
+        console.log(`📁 Updated: ${CONFIG_FILE}`);
+        console.log('ℹ️  Users can still pick another server in the app (it is saved per browser)');
+    } catch (error) {
+        console.error('❌ Error switching signaling server:', error.message);
+        process.exit(1);
+    }
+}
+
 // Get environment from command line argument
 const env = process.argv[2];
 
+if (env === 'signaling') {
+    switchSignalingServer(process.argv.slice(3));
+    process.exit(0);
+}
+
 if (!env) {
     console.log('🔧 One-Host Environment Switcher');
     console.log('');
@@ -74,6 +128,11 @@ if (!env) {
     console.log('  node switch-env.js prod  # Switch to production');
     console.log('  node switch-env.js pro   # Switch to pro');
     console.log('');
+    console.log('Signaling server (default: public PeerJS cloud):');
+    console.log('  node switch-env.js signaling localhost:9000          # Server started with npm run signaling');
+    console.log('  node switch-env.js signaling wss://peers.example.com:443 /myapp mykey');
+    console.log('  node switch-env.js signaling cloud                   # Back to the public PeerJS cloud');
+    console.log('');
     console.log('After switching, commit and push to deploy:');
     console.log('  git add . && git commit -m "Switch to [env]" && git push');
     console.log('');